@@ -0,0 +1,123 @@
+/**
+ * Item Availability
+ * Tracks which menu items a location has run out of ("86'd")
+ *
+ * Sold-out state lives on each location's clientDatabase record:
+ *   "soldOutItems": {
+ *     "Toffee Cake": { "source": "manual", "since": "2026-10-19T17:00:00Z", "until": "2026-10-20T04:00:00Z" },
+ *     "Mac & Cheese": { "source": "square", "since": "2026-10-19T18:15:00Z" }
+ *   }
+ *
+ * Manual entries come from the 86 list API and stay until removed (or `until` passes).
+ * Square entries come from inventory counts and are cleared by the next sync that sees stock.
+ */
+
+const { getMenuItemEntries, speakItemName } = require('./menuMatcher');
+
+/**
+ * Get the items a location currently has sold out
+ * @param {Object} locationRecord - clientDatabase item
+ * @param {Date} [now] - Current time (entries whose `until` has passed are ignored)
+ * @returns {Object} { itemName: { source, since, until } }
+ */
+function getSoldOutItems(locationRecord, now = new Date()) {
+  const soldOut = {};
+
+  for (const [itemName, entry] of Object.entries(locationRecord?.soldOutItems || {})) {
+    if (entry?.until && new Date(entry.until) <= now) continue;
+    soldOut[itemName] = entry || {};
+  }
+
+  return soldOut;
+}
+
+/**
+ * Check whether a menu item is sold out at a location
+ * @param {Object} locationRecord - clientDatabase item
+ * @param {string} itemName - Menu item name
+ * @param {Date} [now] - Current time
+ * @returns {boolean}
+ */
+function isItemSoldOut(locationRecord, itemName, now = new Date()) {
+  return Object.prototype.hasOwnProperty.call(getSoldOutItems(locationRecord, now), itemName);
+}
+
+/**
+ * Pick available items to offer instead of a sold-out one
+ * Prefers the same category, then the closest price
+ * @param {Object} locationMenu - clientMenu record
+ * @param {string} itemName - Sold-out menu item name
+ * @param {Object} soldOutItems - Result of getSoldOutItems
+ * @param {number} [limit] - How many alternatives to return
+ * @returns {Array<string>} Menu item names
+ */
+function findAlternatives(locationMenu, itemName, soldOutItems, limit = 2) {
+  const soldOutItem = locationMenu?.[itemName] || {};
+  const category = (soldOutItem.category || '').toLowerCase();
+
+  return getMenuItemEntries(locationMenu)
+    .filter(([name]) => name !== itemName && !soldOutItems[name])
+    .filter(([, menuItem]) => category && (menuItem.category || '').toLowerCase() === category)
+    .sort(([, a], [, b]) => Math.abs((a.price || 0) - (soldOutItem.price || 0)) - Math.abs((b.price || 0) - (soldOutItem.price || 0)))
+    .slice(0, limit)
+    .map(([name]) => name);
+}
+
+/**
+ * Build the sentence the agent reads when a caller asks for a sold-out item
+ * @param {string} itemName - Sold-out menu item name
+ * @param {Array<string>} alternatives - Result of findAlternatives
+ * @param {Object} [locationMenu] - clientMenu record (for spokenName)
+ * @returns {string} e.g. "Sorry, we're out of Toffee Cake right now. Would you like Banana Pudding instead?"
+ */
+function describeSoldOut(itemName, alternatives, locationMenu) {
+  const speak = name => locationMenu?.[name]?.spokenName || speakItemName(name);
+  const names = (alternatives || []).map(speak);
+
+  const offer = names.length === 0
+    ? ''
+    : ` Would you like ${names.length > 1 ? `${names.slice(0, -1).join(', ')} or ${names[names.length - 1]}` : names[0]} instead?`;
+
+  return `Sorry, we're out of ${speak(itemName)} right now.${offer}`;
+}
+
+/**
+ * Work out which menu items are sold out from Square inventory counts
+ * Only items whose variations are tracked in Square inventory can be sold out;
+ * an item is sold out when none of its tracked variations has stock in IN_STOCK.
+ * @param {Object} locationMenu - clientMenu record (items carry variation_id)
+ * @param {Array<Object>} counts - Square InventoryCount objects ({ catalogObjectId, state, quantity })
+ * @returns {Object} { soldOut: Array<string>, inStock: Array<string> } menu item names
+ */
+function evaluateInventoryCounts(locationMenu, counts) {
+  const stockByVariation = new Map();
+
+  for (const count of counts || []) {
+    if (count.state !== 'IN_STOCK') continue;
+    const quantity = Number(count.quantity) || 0;
+    stockByVariation.set(count.catalogObjectId, (stockByVariation.get(count.catalogObjectId) || 0) + quantity);
+  }
+
+  const soldOut = [];
+  const inStock = [];
+
+  for (const [itemName, menuItem] of getMenuItemEntries(locationMenu)) {
+    if (!stockByVariation.has(menuItem.variation_id)) continue; // Not tracked in Square inventory
+
+    if (stockByVariation.get(menuItem.variation_id) > 0) {
+      inStock.push(itemName);
+    } else {
+      soldOut.push(itemName);
+    }
+  }
+
+  return { soldOut, inStock };
+}
+
+module.exports = {
+  getSoldOutItems,
+  isItemSoldOut,
+  findAlternatives,
+  describeSoldOut,
+  evaluateInventoryCounts
+};
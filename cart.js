@@ -1,4 +1,35 @@
 const AWS = require('aws-sdk');
+const https = require('https');
+const { resolveMenuItem, formatCandidatesForSpeech, getItemAliases, getMenuItemEntries } = require('./menuMatcher');
+const { roundCurrency, calculateLineTotal, getTaxConfig, isLineTaxable, calculateCartTotals } = require('./cartPricing');
+const { checkLineModifiers, describeModifierViolations } = require('./modifierRules');
+const {
+  getItemComponents,
+  findComponentModifier,
+  findComponentSpiceLevel,
+  getMenuSpiceLevels,
+  collectComponentModifierArgs,
+  collectSpiceLevelArgs,
+  describeComponent
+} = require('./menuComponents');
+const { getUpsellSuggestions, formatUpsellMessage, recordUpsellSuggestions, markUpsellAccepted } = require('./upsellEngine');
+const { findComboMatches, applyComboMatch, refreshComboLine, describeComboOffer, calculateComboSavings } = require('./combos');
+const { findPromotion, getPromotionUsage, checkPromotion, describePromotion } = require('./promotions');
+const { getSoldOutItems, findAlternatives, describeSoldOut } = require('./availability');
+const { checkItemAvailability, getUnavailableItems, describeWindow, describeUnavailable } = require('./menuWindows');
+const { parsePickupTime, checkPickupTime, formatLocalTimeForSpeech, formatPickupTimeForSpeech } = require('./storeHours');
+const { estimatePrepTime, describePrepTime, countRecentOrders } = require('./prepTime');
+const { getConversation, extractSessionId, getLocationTarget, describeMissingLocation } = require('./channel');
+const {
+  getDeliveryConfig,
+  normalizeZipCode,
+  describeDeliveryAddress,
+  checkDeliveryAddress,
+  checkDeliveryMinimum
+} = require('./delivery');
+const { normalizePhoneNumber, buildOrderRecord } = require('./customerProfiles');
+const { getRecoveryWindowMinutes, isRecoverableCart, findAbandonedCart } = require('./cartRecovery');
+const { describeMenuItem } = require('./menuInfo');
 
 // Configure AWS region (Lambda uses IAM role for credentials)
 AWS.config.update({ 
@@ -9,97 +40,17 @@ const dynamodb = new AWS.DynamoDB.DocumentClient();
 const SESSION_CARTS_TABLE = process.env.SESSION_CARTS_TABLE || 'session-carts';
 const PHONE_NUMBER_CLIENT_MAP_TABLE = process.env.PHONE_NUMBER_CLIENT_MAP_TABLE || 'phoneNumberClientMap';
 const CLIENT_MENU_TABLE = process.env.CLIENT_MENU_TABLE || 'clientMenu';
+const CLIENT_DATABASE_TABLE = process.env.CLIENT_DATABASE_TABLE || 'clientDatabase';
+const CUSTOMER_PROFILES_TABLE = process.env.CUSTOMER_PROFILES_TABLE || 'customer-profiles';
 
 // Session cart helper functions
+// Carts are kept per call (per chat for web chat)
 function extractCallId(body) {
-  return body.call?.call_id;
+  return extractSessionId(body);
 }
 
-// Helper function to find and apply spice level modifiers
-function findSpiceLevelModifier(menuItem, spiceLevel, isFirstItem, is2PcItem) {
-  if (!spiceLevel || !menuItem.modifiers) {
-    return null;
-  }
-
-  let targetCategory = null;
-
-  if (is2PcItem) {
-    // For 2PC items, look for first/second sandwich mod categories
-    const categoryName = isFirstItem 
-      ? "Choose Your First Sandwich Mods" 
-      : "Choose Your Second Sandwich Mods";
-    
-    targetCategory = menuItem.modifiers.find(cat => cat.category === categoryName);
-  } else {
-    // For single items, look for categories containing "Spice Level"
-    targetCategory = menuItem.modifiers.find(cat => 
-      cat.category.toLowerCase().includes('spice level')
-    );
-  }
-
-  if (!targetCategory || !targetCategory.options) {
-    console.log(`No appropriate spice category found for ${isFirstItem ? 'first' : 'second'} item`);
-    return null;
-  }
-
-  // Find the spice level option in the category
-  const spiceOption = targetCategory.options.find(option => 
-    option.name.trim().toLowerCase() === spiceLevel.toLowerCase()
-  );
-
-  if (!spiceOption) {
-    console.log(`Spice level "${spiceLevel}" not found in category "${targetCategory.category}"`);
-    return null;
-  }
-
-  return {
-    category: targetCategory.category,
-    optionId: spiceOption.id,
-    optionName: spiceOption.name,
-    price: spiceOption.price / 100, // Convert cents to dollars
-    currency: spiceOption.currency
-  };
-}
-
-// Helper function to find modifier in specific category
-function findModifierInCategory(menuItem, modifierName, targetCategoryName) {
-  if (!modifierName || !menuItem.modifiers) {
-    return null;
-  }
-
-  // Find the target category
-  const targetCategory = menuItem.modifiers.find(cat => cat.category === targetCategoryName);
-  
-  if (!targetCategory || !targetCategory.options) {
-    console.log(`Category "${targetCategoryName}" not found or has no options`);
-    return null;
-  }
-
-  // Find the modifier option in the category
-  const modifierOption = targetCategory.options.find(option => 
-    option.name.trim() === modifierName.trim()
-  );
-
-  if (!modifierOption) {
-    console.log(`Modifier "${modifierName}" not found in category "${targetCategoryName}"`);
-    return null;
-  }
-
-  return {
-    category: targetCategory.category,
-    optionId: modifierOption.id,
-    optionName: modifierOption.name,
-    price: modifierOption.price / 100, // Convert cents to dollars
-    currency: modifierOption.currency
-  };
-}
-
-function extractPhoneNumber(body) {
-  // Extract the restaurant phone number (the number customer called)
-  // For phone calls: use to_number
-  // For web calls: fallback to default restaurant number for testing
-  return body.call?.to_number || '+17039120079';
-}
+// Thrown when a request doesn't say which location it is for (see channel.js)
+const LOCATION_UNKNOWN_ERROR = 'LocationUnknown';
 
 async function getLocationFromPhoneNumber(phoneNumber) {
   if (!phoneNumber) {
@@ -130,6 +81,35 @@ async function getLocationFromPhoneNumber(phoneNumber) {
   }
 }
 
+// Helper function to find the location a request is for: the location ID a web call or chat
+// carries, or the restaurant number a phone call came in on
+async function getLocationForRequest(body) {
+  const target = getLocationTarget(body);
+
+  if (target.locationId) {
+    const locationRecord = await getLocationRecord(target.locationId);
+    console.log(`Found location for ${target.channel}: ${locationRecord.restaurantName} - ${target.locationId}`);
+    return {
+      locationId: target.locationId,
+      restaurantName: locationRecord.restaurantName
+    };
+  }
+
+  if (target.phoneNumber) {
+    return getLocationFromPhoneNumber(target.phoneNumber);
+  }
+
+  const error = new Error(describeMissingLocation(target.channel));
+  error.code = LOCATION_UNKNOWN_ERROR;
+  throw error;
+}
+
+// Helper function to answer a failed location lookup: 400 when the request doesn't say
+// which location it is for, 404 when the location it names can't be found
+function createLocationErrorResponse(error) {
+  return createErrorResponse(error.code === LOCATION_UNKNOWN_ERROR ? 400 : 404, `Location lookup failed: ${error.message}`);
+}
+
 async function getLocationMenu(restaurantName, locationId) {
   if (!restaurantName || !locationId) {
     throw new Error('Restaurant name and location ID are required');
@@ -159,112 +139,470 @@ async function getLocationMenu(restaurantName, locationId) {
   }
 }
 
-async function getSessionCart(callId) {
-  if (!callId) return [];
-  
+// Conditional writes that keep failing mean another request keeps winning the race
+const MAX_CART_WRITE_ATTEMPTS = 4;
+const CART_CONTENTION_ERROR = 'CartContention';
+
+async function getSessionRecord(callId) {
   const params = {
     TableName: SESSION_CARTS_TABLE,
-    Key: { call_id: callId }
+    Key: { call_id: callId },
+    ConsistentRead: true
   };
+
+  const result = await dynamodb.get(params).promise();
+  return result.Item || { call_id: callId, cart_items: [] };
+}
+
+async function getSessionCart(callId) {
+  if (!callId) return [];
   
   try {
-    const result = await dynamodb.get(params).promise();
-    return result.Item?.cart_items || [];
+    const session = await getSessionRecord(callId);
+    return session.cart_items || [];
   } catch (error) {
     console.error('Error getting session cart:', error);
     return [];
   }
 }
 
-async function saveSessionCart(callId, cartItems) {
-  if (!callId) {
+// Writes the session back only if nobody else saved it since it was read
+// (version is missing on brand new sessions and on carts saved before versioning)
+async function saveSessionCart(session) {
+  if (!session?.call_id) {
     throw new Error('Call ID required for session cart');
   }
+
+  const expectedVersion = session.version || 0;
   
   const params = {
     TableName: SESSION_CARTS_TABLE,
     Item: {
-      call_id: callId,
-      cart_items: cartItems,
+      ...session,
+      version: expectedVersion + 1,
       updated_at: new Date().toISOString(),
       ttl: Math.floor(Date.now() / 1000) + (2 * 60 * 60) // 2 hours
-    }
+    },
+    ConditionExpression: expectedVersion === 0
+      ? 'attribute_not_exists(#version)'
+      : '#version = :expectedVersion',
+    ExpressionAttributeNames: { '#version': 'version' }
   };
+
+  if (expectedVersion !== 0) {
+    params.ExpressionAttributeValues = { ':expectedVersion': expectedVersion };
+  }
   
+  await dynamodb.put(params).promise();
+  console.log(`Session cart saved for call: ${session.call_id} (version ${expectedVersion + 1})`);
+}
+
+// Read-modify-write a session cart with optimistic concurrency.
+// `mutate(sessionCart, session)` changes the cart in place and returns { response, save };
+// nothing is written unless save is true. On a version conflict the session is re-read
+// and `mutate` runs again on the fresh cart.
+async function updateSessionCart(callId, mutate) {
+  if (!callId) {
+    throw new Error('Call ID required for session cart');
+  }
+
+  for (let attempt = 1; attempt <= MAX_CART_WRITE_ATTEMPTS; attempt++) {
+    const session = await getSessionRecord(callId);
+    const sessionCart = session.cart_items || [];
+
+    // Lines saved before line IDs existed get one on their next update
+    sessionCart.forEach(item => {
+      if (!item.lineId) item.lineId = nextLineId(session);
+    });
+
+    const result = await mutate(sessionCart, session);
+    if (!result.save) {
+      return result.response;
+    }
+
+    try {
+      await saveSessionCart({ ...session, cart_items: sessionCart });
+      return result.response;
+    } catch (error) {
+      if (error.code !== 'ConditionalCheckFailedException') {
+        console.error('Error saving session cart:', error);
+        throw error;
+      }
+
+      console.warn(`Session cart for call ${callId} changed during update (attempt ${attempt}/${MAX_CART_WRITE_ATTEMPTS})`);
+      if (attempt < MAX_CART_WRITE_ATTEMPTS) {
+        // Small jittered backoff so parallel tool calls don't collide again
+        await new Promise(resolve => setTimeout(resolve, 25 * attempt + Math.floor(Math.random() * 50)));
+      }
+    }
+  }
+
+  console.error(`Giving up on session cart update for call ${callId} after ${MAX_CART_WRITE_ATTEMPTS} attempts`);
+  const error = new Error('The cart is being updated by another request. Please try that again.');
+  error.code = CART_CONTENTION_ERROR;
+  throw error;
+}
+
+// Line IDs are short and sequential per call ("L1", "L2", ...) and never reused,
+// so the agent can keep referring to a line after other lines are removed
+function nextLineId(session) {
+  session.line_counter = (session.line_counter || 0) + 1;
+  return `L${session.line_counter}`;
+}
+
+// Helper function to find a cart line by its line ID
+function findLineIndex(sessionCart, lineId) {
+  if (!lineId) return -1;
+  const normalizedId = String(lineId).trim().toUpperCase();
+  return sessionCart.findIndex(item => (item.lineId || '').toUpperCase() === normalizedId);
+}
+
+// Helper function to find the most recently added line for a menu item name
+function findLastLineIndexByName(sessionCart, itemName) {
+  for (let i = sessionCart.length - 1; i >= 0; i--) {
+    if (sessionCart[i].item_name === itemName || sessionCart[i].name === itemName) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+// Helper function to find a combo part by its line ID ("L5" inside combo line "L4")
+// Returns { part, comboLine }, or null when no combo in the cart has that part
+function findComboPart(sessionCart, lineId) {
+  if (!lineId) return null;
+  const normalizedId = String(lineId).trim().toUpperCase();
+  for (const comboLine of sessionCart) {
+    const part = (comboLine.comboItems || []).find(candidate => (candidate.lineId || '').toUpperCase() === normalizedId);
+    if (part) return { part, comboLine };
+  }
+  return null;
+}
+
+// Helper function to find the most recently added combo part for a menu item name
+function findLastComboPartByName(sessionCart, itemName) {
+  for (let i = sessionCart.length - 1; i >= 0; i--) {
+    const part = (sessionCart[i].comboItems || []).find(candidate => candidate.item_name === itemName);
+    if (part) return { part, comboLine: sessionCart[i] };
+  }
+  return null;
+}
+
+// Helper function to find the line a modifier change targets: a cart line, or one part of a combo line
+// Returns { cartItem, comboLine } (comboLine is set when cartItem is a combo part), or null
+function findModifierTarget(sessionCart, lineId, itemName) {
+  const lineIndex = lineId ? findLineIndex(sessionCart, lineId) : findLastLineIndexByName(sessionCart, itemName);
+  if (lineIndex !== -1) {
+    return { cartItem: sessionCart[lineIndex], comboLine: null };
+  }
+
+  const comboPart = lineId ? findComboPart(sessionCart, lineId) : findLastComboPartByName(sessionCart, itemName);
+  return comboPart ? { cartItem: comboPart.part, comboLine: comboPart.comboLine } : null;
+}
+
+// Helper function to tell the agent which part of a combo line to target instead of the whole combo
+function describeComboPartTargets(comboLine) {
+  const parts = comboLine.comboItems.map(part => `${part.item_name} (line ${part.lineId})`);
+  return `${comboLine.item_name} is a combo. Use the line ID of the part to change: ${parts.join(', ')}.`;
+}
+
+// Helper function to describe cart lines in responses so the agent can target a specific line
+// Combo lines list their parts with their own line IDs
+function summarizeCartLines(sessionCart) {
+  return (sessionCart || []).map(item => ({
+    lineId: item.lineId,
+    itemName: item.item_name || item.name,
+    quantity: item.quantity,
+    modifiers: (item.modifiers || []).map(mod => mod.optionName),
+    specialInstructions: item.specialInstructions || '',
+    ...(item.comboItems && {
+      comboItems: item.comboItems.map(part => ({
+        lineId: part.lineId,
+        itemName: part.item_name,
+        modifiers: (part.modifiers || []).map(mod => mod.optionName),
+        specialInstructions: part.specialInstructions || ''
+      }))
+    }),
+    lineTotal: item.lineTotal
+  }));
+}
+
+// Helper function to build the structured cart summary returned next to the speech text
+// Tax is only estimated when the location has a tax rate; otherwise estimatedTax and total are null.
+// An applied promotion is re-checked against the current cart (e.g. minimum subtotal) before it discounts it.
+// `delivery` is the quote saved with a delivery address (see /set-delivery-address), for delivery orders.
+function buildCartSummary(sessionCart, taxConfig = null, promotion = null, delivery = null) {
+  const lines = (sessionCart || []).map(item => ({
+    lineId: item.lineId,
+    itemName: item.item_name || item.name,
+    quantity: item.quantity,
+    unitPrice: roundCurrency(item.unitPrice),
+    modifiers: (item.modifiers || []).map(mod => ({
+      name: mod.optionName,
+      category: mod.category,
+      price: roundCurrency(mod.price)
+    })),
+    specialInstructions: item.specialInstructions || '',
+    ...(item.comboItems && {
+      comboItems: item.comboItems.map(part => part.item_name),
+      savings: roundCurrency(item.savings * item.quantity)
+    }),
+    taxable: taxConfig ? isLineTaxable(item, taxConfig) : null,
+    lineTotal: roundCurrency(item.lineTotal)
+  }));
+
+  const promotionCheck = promotion ? checkPromotion(promotion, sessionCart) : null;
+  const totals = calculateCartTotals(sessionCart, taxConfig, promotionCheck?.valid ? promotionCheck.discount : 0, delivery?.fee || 0);
+  const minimumCheck = delivery ? checkDeliveryMinimum(delivery, totals.subtotal) : null;
+
+  return {
+    lines: lines,
+    itemCount: lines.reduce((sum, line) => sum + line.quantity, 0),
+    subtotal: totals.subtotal,
+    comboSavings: calculateComboSavings(sessionCart),
+    discount: totals.discount,
+    promotion: promotion ? {
+      code: promotion.code,
+      description: describePromotion(promotion),
+      applied: promotionCheck.valid,
+      discount: totals.discount,
+      reason: promotionCheck.reason
+    } : null,
+    deliveryFee: totals.deliveryFee,
+    delivery: delivery ? {
+      address: describeDeliveryAddress(delivery.address),
+      zone: delivery.zone,
+      fee: delivery.fee,
+      minSubtotal: delivery.minSubtotal,
+      minimumMet: minimumCheck.valid,
+      reason: minimumCheck.reason
+    } : null,
+    taxRate: taxConfig ? taxConfig.taxRate : null,
+    estimatedTax: totals.estimatedTax,
+    total: totals.total,
+    currency: sessionCart?.[0]?.currency || 'USD'
+  };
+}
+
+// Helper function to get a location's clientDatabase record (tax rate, promotions, ...)
+async function getLocationRecord(locationId) {
+  const result = await dynamodb.get({
+    TableName: CLIENT_DATABASE_TABLE,
+    Key: { locationId: locationId }
+  }).promise();
+
+  if (!result.Item) {
+    throw new Error(`No location record found for location ID: ${locationId}`);
+  }
+
+  return result.Item;
+}
+
+// Helper function to get what limits ordering at a location right now:
+// its sold-out items and the menu items outside their time-of-day window
+// Best effort: an unreadable location record shouldn't block ordering
+async function getOrderingRestrictions(locationId) {
+  let locationRecord = null;
   try {
-    await dynamodb.put(params).promise();
-    console.log(`Session cart saved for call: ${callId}`);
+    locationRecord = await getLocationRecord(locationId);
   } catch (error) {
-    console.error('Error saving session cart:', error);
-    throw error;
+    console.warn('Could not load location availability:', error.message);
   }
+
+  return {
+    soldOutItems: getSoldOutItems(locationRecord),
+    timeZone: locationRecord?.timeZone
+  };
 }
 
-// Helper function to convert technical modifier names to natural speech
-function convertModifierToSpeech(modifierName) {
-  // Spice levels
-  if (modifierName === 'Original') return 'original';
-  if (modifierName === 'Mild') return 'mild';
-  if (modifierName === 'Medium') return 'medium';
-  if (modifierName === 'Hot') return 'hot';
-  if (modifierName === 'Extra Hot') return 'extra hot';
-  if (modifierName === 'FCK YOU CRA') return 'f you cray';
-  
-  // Add/Remove modifiers (remove piece numbers)
-  if (modifierName.includes('Add cheese')) return 'with cheese';
-  if (modifierName.includes('No cheese')) return 'no cheese';
-  if (modifierName.includes('No Pickles')) return 'no pickles';
-  if (modifierName.includes('No Slaw')) return 'no slaw';
-  if (modifierName.includes('No Big Bird Sauce')) return 'no sauce';
-  if (modifierName === 'Add tender') return 'with extra tender';
-  
-  // Side options
-  if (modifierName === 'Pickles on the side') return 'pickles on the side';
-  if (modifierName === 'Slaw on the side') return 'slaw on the side';
-  if (modifierName === 'Chicken & Bun Only') return 'chicken and bun only';
-  
-  // Substitutions
-  if (modifierName === 'Substitute fries with mac & cheese') return 'substitute fries with mac and cheese';
-  if (modifierName === 'Substitute fries with slaw') return 'substitute fries with slaw';
-  if (modifierName.includes('Substitute Slaw with Lettuce')) return 'substitute slaw with lettuce';
-  
-  // Default: return cleaned up version
-  return modifierName.toLowerCase().replace(/\d+$/, '').trim();
+// Helper function to get the time an order is for: its scheduled pickup, or now
+function getOrderTime(session) {
+  return session?.pickup_time?.pickupAt ? new Date(session.pickup_time.pickupAt) : new Date();
+}
+
+// Helper function to check whether a session is a delivery order (orders are pickup unless set otherwise)
+function isDeliveryOrder(session) {
+  return session?.fulfillment_type === 'delivery';
+}
+
+// Helper function to get the saved delivery quote a delivery order is priced with, or null
+function getDeliveryQuote(session) {
+  return isDeliveryOrder(session) ? session.delivery || null : null;
+}
+
+// Give up on address lookups quickly; the caller is waiting on the line
+const GEOCODE_TIMEOUT_MS = 4000;
+
+// Helper function to look up a delivery address's coordinates (US Census geocoder, no API key needed)
+// Also returns the matched ZIP code and state
+// Returns null when the address can't be found or the lookup fails
+function geocodeAddress(address) {
+  const oneLine = [address.line1, address.city, address.state, address.zipCode].filter(Boolean).join(', ');
+  const query = new URLSearchParams({ address: oneLine, benchmark: 'Public_AR_Current', format: 'json' });
+
+  return new Promise((resolve) => {
+    const req = https.get(`https://geocoding.geo.census.gov/geocoder/locations/onelineaddress?${query.toString()}`, (res) => {
+      if (res.statusCode < 200 || res.statusCode >= 300) {
+        console.warn(`Could not geocode "${oneLine}": geocoder returned HTTP ${res.statusCode}`);
+        res.resume();
+        resolve(null);
+        return;
+      }
+
+      let data = '';
+
+      res.on('data', (chunk) => {
+        data += chunk;
+      });
+
+      res.on('end', () => {
+        try {
+          const match = JSON.parse(data).result?.addressMatches?.[0];
+          resolve(match ? {
+            latitude: match.coordinates.y,
+            longitude: match.coordinates.x,
+            zipCode: match.addressComponents?.zip || null,
+            state: match.addressComponents?.state || null,
+            matchedAddress: match.matchedAddress
+          } : null);
+        } catch (parseError) {
+          console.warn('Could not parse geocoder response:', parseError.message);
+          resolve(null);
+        }
+      });
+    });
+
+    req.setTimeout(GEOCODE_TIMEOUT_MS, () => req.destroy(new Error('Geocoder timed out')));
+    req.on('error', (error) => {
+      console.warn(`Could not geocode "${oneLine}":`, error.message);
+      resolve(null);
+    });
+  });
+}
+
+// Helper function to load what a cart summary needs from the caller's location:
+// the tax configuration (clientDatabase) and pronunciation overrides and combos (clientMenu)
+// Missing pieces fall back to "plus tax" and default phrasing instead of failing the summary
+async function getSummaryContext(body) {
+  const context = { taxConfig: null, pronunciations: {}, locationMenu: null, timeZone: undefined };
+
+  let locationData;
+  try {
+    locationData = await getLocationForRequest(body);
+  } catch (error) {
+    console.warn('Could not look up location for cart summary:', error.message);
+    return context;
+  }
+
+  try {
+    const locationRecord = await getLocationRecord(locationData.locationId);
+    context.taxConfig = getTaxConfig(locationRecord);
+    context.timeZone = locationRecord.timeZone;
+  } catch (error) {
+    console.warn('Could not load location tax configuration:', error.message);
+  }
+
+  try {
+    const locationMenu = await getLocationMenu(locationData.restaurantName, locationData.locationId);
+    context.pronunciations = locationMenu.pronunciations || {};
+    context.locationMenu = locationMenu;
+  } catch (error) {
+    console.warn('Could not load menu pronunciations:', error.message);
+  }
+
+  return context;
+}
+
+// Helper function to resolve a spoken item name against the caller's location menu
+// Returns null (instead of failing) when the location or menu can't be loaded or nothing matches
+async function resolveItemForCall(body, itemName) {
+  try {
+    const locationData = await getLocationForRequest(body);
+    const locationMenu = await getLocationMenu(locationData.restaurantName, locationData.locationId);
+    const match = resolveMenuItem(locationMenu, itemName);
+    return match.status === 'matched' ? match : null;
+  } catch (error) {
+    console.warn(`Could not resolve "${itemName}" against location menu:`, error.message);
+    return null;
+  }
+}
+
+// Helper function to replace whole phrases using a { "written": "spoken" } map (case-insensitive, longest first)
+function applyPronunciations(text, pronunciations) {
+  return Object.keys(pronunciations || {})
+    .filter(phrase => phrase && typeof pronunciations[phrase] === 'string')
+    .sort((a, b) => b.length - a.length)
+    .reduce((result, phrase) => {
+      const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      return result.replace(new RegExp(`(^|[^a-z0-9])${escaped}(?=[^a-z0-9]|$)`, 'gi'), (match, prefix) => `${prefix}${pronunciations[phrase]}`);
+    }, text);
+}
+
+// Helper function to convert a cart modifier to natural speech
+// Uses the option's spokenName from clientMenu, then restaurant pronunciations, then a cleaned-up option name
+function convertModifierToSpeech(modifier, pronunciations) {
+  if (modifier.spokenName) {
+    return modifier.spokenName;
+  }
+
+  // Drop piece numbers ("No Pickles 2") before phrasing
+  const optionName = (modifier.optionName || '').replace(/\s*\d+$/, '').trim();
+
+  return applyPronunciations(optionName, pronunciations)
+    .replace(/&/g, 'and')
+    .replace(/\s+/g, ' ')
+    .toLowerCase()
+    .trim();
+}
+
+// Helper function to convert a cart line's item name to natural speech
+function convertItemNameToSpeech(item, pronunciations) {
+  // Lines added through a menu alias (e.g. "coke" for SODA) or with a menu spokenName are read back by that name
+  if (item.spokenName) {
+    return item.spokenName;
+  }
+
+  const itemName = item.item_name || item.name || 'Unknown Item';
+
+  // SODA lines from menus without drink aliases are read back by the drink in their instructions ("Coke")
+  if (itemName.toUpperCase() === 'SODA' && item.specialInstructions) {
+    return item.specialInstructions;
+  }
+
+  return applyPronunciations(itemName, pronunciations)
+    .replace(/(\d+)pc\b/g, '$1 piece'); // 2pc -> 2 piece
 }
 
 // Helper function to group modifiers by piece and create speech descriptions
-function createModifierDescription(modifiers) {
+function createModifierDescription(modifiers, pronunciations) {
   if (!modifiers || modifiers.length === 0) {
     return '';
   }
   
-  // Group modifiers by piece number
-  const piece1Modifiers = [];
-  const piece2Modifiers = [];
+  // Group modifiers by the piece they were applied to (in piece order)
+  const pieces = new Map();
   const wholeItemModifiers = [];
   
-  modifiers.forEach(modifier => {
-    const speechText = convertModifierToSpeech(modifier.optionName);
-    
-    // Extract piece number from modifier name
-    if (modifier.optionName.endsWith(' 1')) {
-      piece1Modifiers.push(speechText);
-    } else if (modifier.optionName.endsWith(' 2')) {
-      piece2Modifiers.push(speechText);
-    } else {
-      wholeItemModifiers.push(speechText);
-    }
-  });
+  [...modifiers]
+    .sort((a, b) => (a.component || 0) - (b.component || 0))
+    .forEach(modifier => {
+      const speechText = convertModifierToSpeech(modifier, pronunciations);
+
+      if (modifier.componentName) {
+        if (!pieces.has(modifier.componentName)) {
+          pieces.set(modifier.componentName, []);
+        }
+        pieces.get(modifier.componentName).push(speechText);
+      } else {
+        wholeItemModifiers.push(speechText);
+      }
+    });
   
   const descriptions = [];
   
-  // Add piece-specific descriptions
-  if (piece1Modifiers.length > 0) {
-    descriptions.push(`first sandwich ${piece1Modifiers.join(' ')}`);
-  }
-  
-  if (piece2Modifiers.length > 0) {
-    descriptions.push(`second sandwich ${piece2Modifiers.join(' ')}`);
+  // Add piece-specific descriptions ("first sandwich hot", "side mac and cheese")
+  for (const [componentName, pieceModifiers] of pieces) {
+    descriptions.push(`${componentName} ${pieceModifiers.join(' ')}`);
   }
   
   // Add whole-item descriptions
@@ -275,43 +613,1623 @@ function createModifierDescription(modifiers) {
   return descriptions.length > 0 ? ` - ${descriptions.join(', ')}` : '';
 }
 
-function createSpeechFriendlySummary(sessionCart, subtotal) {
+function createSpeechFriendlySummary(sessionCart, totals, pronunciations = {}) {
   if (!sessionCart || sessionCart.length === 0) {
     return "Your cart is empty.";
   }
 
   // Create speech-friendly item descriptions with modifiers
   const speechItems = sessionCart.map(item => {
-    let itemName = item.item_name || item.name || 'Unknown Item';
+    const itemName = convertItemNameToSpeech(item, pronunciations);
+    const quantity = item.quantity || 1;
+    
+    // Combos are read back part by part ("Sandwich Combo with Sandwich 1 piece hot, Regular Fries and Coke")
+    if (item.comboItems) {
+      const parts = item.comboItems.map(part => {
+        const partModifiers = (part.modifiers || []).map(modifier => convertModifierToSpeech(modifier, pronunciations));
+        return [convertItemNameToSpeech(part, pronunciations), ...partModifiers].join(' ');
+      });
+      const partsText = parts.length > 1 ? `${parts.slice(0, -1).join(', ')} and ${parts[parts.length - 1]}` : parts.join('');
+      return `${quantity} ${itemName} with ${partsText}`;
+    }
+
+    // Add modifier description
+    const modifierDescription = createModifierDescription(item.modifiers, pronunciations);
     
-    // For SODA items, use the actual drink name from specialInstructions
-    if (itemName.toUpperCase() === 'SODA' && item.specialInstructions) {
-      itemName = item.specialInstructions;
+    return `${quantity} ${itemName}${modifierDescription}`;
+  });
+
+  // Create the summary message
+  const itemsText = speechItems.join(', ');
+  const formattedSubtotal = (totals?.subtotal || 0).toFixed(2);
+
+  const comboSavings = calculateComboSavings(sessionCart);
+  const savingsText = comboSavings > 0 ? ` You're saving $${comboSavings.toFixed(2)} with combos.` : '';
+
+  // Promotions: the discount when it applies, otherwise why it doesn't (yet)
+  const promotion = totals?.promotion;
+  const discount = promotion?.applied ? totals.discount : 0;
+  const promotionText = promotion && !promotion.applied ? ` ${promotion.reason}` : '';
+
+  // Delivery fees are not taxed, so they're added after tax
+  const deliveryFee = totals?.deliveryFee || 0;
+
+  if (totals?.estimatedTax === null || totals?.estimatedTax === undefined) {
+    const feeText = deliveryFee > 0 ? `, including a $${deliveryFee.toFixed(2)} delivery fee` : '';
+    if (discount > 0) {
+      const discountedTotal = ((totals?.subtotal || 0) - discount + deliveryFee).toFixed(2);
+      return `${itemsText}.${savingsText} Your total is $${discountedTotal} plus tax, after $${discount.toFixed(2)} off with promo ${promotion.code}${feeText}`;
     }
+    const totalText = deliveryFee > 0 ? ((totals?.subtotal || 0) + deliveryFee).toFixed(2) : formattedSubtotal;
+    return `${itemsText}.${savingsText}${promotionText} Your total is $${totalText} plus tax${feeText}`;
+  }
+
+  const discountText = discount > 0 ? `, minus $${discount.toFixed(2)} with promo ${promotion.code}` : '';
+  const feeText = deliveryFee > 0 ? `, plus a $${deliveryFee.toFixed(2)} delivery fee` : '';
+  return `${itemsText}.${savingsText}${promotionText} Your subtotal is $${formattedSubtotal}${discountText}, plus $${totals.estimatedTax.toFixed(2)} estimated tax${feeText}, for a total of $${totals.total.toFixed(2)}`;
+}
+
+// Helper function to describe a combo the cart qualifies for, for tool responses
+function formatComboOffer(comboMatch) {
+  return {
+    comboName: comboMatch.combo.name,
+    lineIds: comboMatch.parts.map(part => part.lineId),
+    comboPrice: comboMatch.comboPrice,
+    regularPrice: comboMatch.regularPrice,
+    savings: comboMatch.savings,
+    message: describeComboOffer(comboMatch)
+  };
+}
+
+// Helper function to pick the alias a cart line should be read back as
+// Uses the alias the caller matched, or an alias whose instructions match the line's
+// (so "SODA" with instructions "Sprite" is still read back as "Sprite")
+function findLineAlias(menuItem, matchedAlias, specialInstructions) {
+  if (matchedAlias) return matchedAlias;
+  if (!specialInstructions) return null;
+
+  return getItemAliases(menuItem).find(alias =>
+    alias.specialInstructions &&
+    alias.specialInstructions.trim().toLowerCase() === specialInstructions.trim().toLowerCase()
+  ) || null;
+}
+
+// Helper function to build a new cart line for a menu item, priced from the current menu
+function buildCartItem(itemName, menuItem, quantity, specialInstructions = '') {
+  return {
+    // Square-required fields
+    variation_id: menuItem.variation_id,
+    item_name: itemName,
     
-    // Apply speech transformations
-    itemName = itemName.replace(/(\d+)pc\b/g, '$1 piece'); // 2pc -> 2 piece
-    itemName = itemName.replace(/FCK YOU CRA/g, 'F.C.K.'); // FCK YOU CRA -> F You Cray
+    // Menu data
+    price: menuItem.price,
+    currency: menuItem.currency,
+    description: menuItem.description || '',
+    ...(menuItem.taxCategory && { taxCategory: menuItem.taxCategory }),
     
-    const quantity = item.quantity || 1;
+    // Square payment processor expects this format
+    price_money: {
+      amount: menuItem.price,
+      currency: menuItem.currency
+    },
     
-    // Add modifier description
-    const modifierDescription = createModifierDescription(item.modifiers);
+    // Cart-specific fields
+    quantity: quantity,
+    specialInstructions: specialInstructions,
+    unitPrice: menuItem.price / 100, // Convert cents to dollars
+    lineTotal: (menuItem.price / 100) * quantity,
+    modifiers: [], // Initialize empty modifiers array
     
-    return `${quantity} ${itemName}${modifierDescription}`;
+    // For backward compatibility
+    itemId: menuItem.variation_id,
+    name: itemName
+  };
+}
+
+// Helper function to find a cart line configured exactly like a new one (same item + instructions + modifiers)
+function findMatchingLineIndex(sessionCart, cartItem) {
+  return sessionCart.findIndex(item => {
+    if (item.comboItems || item.itemId !== cartItem.itemId || item.specialInstructions !== cartItem.specialInstructions) {
+      return false;
+    }
+    
+    // Compare modifiers (same modifiers = same item configuration)
+    if (item.modifiers?.length !== cartItem.modifiers?.length) {
+      return false;
+    }
+    
+    // Check if all modifiers match
+    const itemModifierIds = (item.modifiers || []).map(mod => mod.optionId).sort();
+    const cartModifierIds = (cartItem.modifiers || []).map(mod => mod.optionId).sort();
+    
+    return JSON.stringify(itemModifierIds) === JSON.stringify(cartModifierIds);
   });
+}
+
+// Add item to cart
+module.exports.addToCart = async (event) => {
+  console.log('[addToCart] Starting function...');
+  
+  try {
+    // Parse the request body
+    let body;
+    if (typeof event.body === 'string') {
+      body = JSON.parse(event.body);
+    } else {
+      body = event.body;
+    }
+
+    // Extract call ID and item data
+    const callId = extractCallId(body);
+    if (!callId) {
+      return createErrorResponse(400, 'Missing call ID in request');
+    }
+
+    // Extract item data from args (preserve original order payload)
+    const requestedItemName = body.args?.itemName;
+    const quantity = body.args?.quantity || 1;
+    let specialInstructions = body.args?.specialInstructions || '';
+    // One spice level per piece (spiceLevels), or firstItemSpiceLevel / secondItemSpiceLevel
+    const spiceLevels = collectSpiceLevelArgs(body.args);
+
+    console.log(`[addToCart] Call ID: ${callId}, Args:`, { 
+      itemName: requestedItemName, 
+      quantity, 
+      specialInstructions,
+      spiceLevels
+    });
+
+    // Validate inputs
+    if (!requestedItemName) {
+      return createErrorResponse(400, 'Missing required field: itemName');
+    }
+
+    if (quantity <= 0 || !Number.isInteger(quantity)) {
+      return createErrorResponse(400, 'Quantity must be a positive integer');
+    }
+
+    // Step 1: Get location from phone number
+    let locationData;
+    try {
+      locationData = await getLocationForRequest(body);
+    } catch (error) {
+      return createLocationErrorResponse(error);
+    }
+
+    // Step 2: Get location-specific menu
+    let locationMenu;
+    try {
+      locationMenu = await getLocationMenu(locationData.restaurantName, locationData.locationId);
+    } catch (error) {
+      return createErrorResponse(404, `Menu lookup failed: ${error.message}`);
+    }
+
+    // Step 3: Resolve what the caller said to a menu item (fuzzy match)
+    const match = resolveMenuItem(locationMenu, requestedItemName);
+    if (match.status === 'ambiguous') {
+      return createErrorResponse(409,
+        `"${requestedItemName}" could be ${formatCandidatesForSpeech(match.candidates)}. Which one would you like?`,
+        { candidates: match.candidates }
+      );
+    }
+    if (match.status === 'not_found') {
+      const suggestion = match.candidates.length > 0
+        ? ` Did you mean ${formatCandidatesForSpeech(match.candidates)}?`
+        : '';
+      return createErrorResponse(404, 
+        `Item "${requestedItemName}" not found in ${locationData.restaurantName} ${locationData.locationId} menu.${suggestion}`, 
+        { suggestions: match.candidates }
+      );
+    }
+
+    const itemName = match.itemName;
+    const menuItem = match.menuItem;
+    console.log(`[addToCart] Resolved "${requestedItemName}" to "${itemName}" (confidence ${match.score})`);
+
+    // Step 4: Refuse items the location has run out of, offering something close instead
+    const { soldOutItems, timeZone } = await getOrderingRestrictions(locationData.locationId);
+    if (soldOutItems[itemName]) {
+      const notServedNow = Object.fromEntries(getUnavailableItems(locationMenu, timeZone).map(name => [name, {}]));
+      const alternatives = findAlternatives(locationMenu, itemName, { ...soldOutItems, ...notServedNow });
+      console.log(`[addToCart] "${itemName}" is sold out; alternatives:`, alternatives);
+      return createErrorResponse(409, describeSoldOut(itemName, alternatives, locationMenu), {
+        soldOut: true,
+        itemName: itemName,
+        alternatives: alternatives
+      });
+    }
+
+    // Aliases can preset the line's special instructions ("coke" -> SODA, "Coke")
+    if (!specialInstructions && match.alias?.specialInstructions) {
+      specialInstructions = match.alias.specialInstructions;
+    }
+    const lineAlias = findLineAlias(menuItem, match.alias, specialInstructions);
+
+    // Create cart item using new menu structure
+    const cartItem = buildCartItem(itemName, menuItem, quantity, specialInstructions);
+
+    // Plain aliases ("sando") only help matching; the line keeps its menu name (or the item's spokenName)
+    if (lineAlias?.spokenName || lineAlias?.specialInstructions) {
+      cartItem.spokenName = lineAlias.spokenName || lineAlias.specialInstructions;
+    } else if (menuItem.spokenName) {
+      cartItem.spokenName = menuItem.spokenName;
+    }
+
+    // Auto-apply spice level modifiers, one per piece
+    for (const { component, spiceLevel } of spiceLevels) {
+      const spiceModifier = findComponentSpiceLevel(menuItem, component, spiceLevel);
+      if (spiceModifier) {
+        cartItem.modifiers.push(spiceModifier);
+        console.log(`Applied ${describeComponent(menuItem, component)} spice level: ${spiceModifier.optionName}`);
+      } else {
+        console.warn(`Could not apply spice level "${spiceLevel}" to piece ${component} of ${itemName}`);
+      }
+    }
+
+    // Recalculate line total including modifier prices
+    cartItem.lineTotal = calculateLineTotal(cartItem);
+
+    // Merge into the session cart (re-run on the fresh cart if a parallel call saved first)
+    return await updateSessionCart(callId, (sessionCart, session) => {
+      // Step 5: Refuse items outside their menu window (breakfast at 9pm), as of the order's pickup time
+      const availability = checkItemAvailability(locationMenu, itemName, timeZone, getOrderTime(session));
+      if (!availability.available) {
+        console.log(`[addToCart] "${itemName}" is outside its menu window`);
+        return {
+          save: false,
+          response: createErrorResponse(409, describeUnavailable(itemName, availability.windows, locationMenu), {
+            unavailable: true,
+            itemName: itemName,
+            availableDuring: availability.windows.map(describeWindow)
+          })
+        };
+      }
+
+      // Check if item already exists in cart (same item + instructions + modifiers)
+      const existingIndex = findMatchingLineIndex(sessionCart, cartItem);
+
+      let lineId;
+      if (existingIndex >= 0) {
+        // Update existing item (keeps its line ID)
+        sessionCart[existingIndex].quantity += quantity;
+        lineId = sessionCart[existingIndex].lineId;
+        
+        // Recalculate line total including modifiers
+        sessionCart[existingIndex].lineTotal = calculateLineTotal(sessionCart[existingIndex]);
+      } else {
+        // Add new item
+        lineId = nextLineId(session);
+        sessionCart.push({ ...cartItem, lineId, modifiers: [...cartItem.modifiers] });
+      }
+
+      console.log(`Item added successfully to session cart (line ${lineId})`);
+      stampSessionCaller(session, body, locationData.locationId);
+
+      // Adding an item the agent offered earlier in the call counts as an accepted upsell
+      const acceptedUpsell = markUpsellAccepted(session, {
+        itemName,
+        lineId,
+        quantity,
+        revenue: cartItem.lineTotal
+      });
+      if (acceptedUpsell) {
+        console.log(`Upsell accepted: ${itemName} (line ${lineId})`);
+      }
+
+      // Tell the agent which required choices (e.g. spice level) are still missing
+      const violations = checkLineModifiers(menuItem, sessionCart[findLineIndex(sessionCart, lineId)]);
+      const followUp = violations.length > 0 ? ` ${describeModifierViolations(itemName, violations)}` : '';
+
+      // Meal deals: automatic combos are converted now, others involving this item are offered
+      const comboLines = [];
+      const comboOffers = [];
+      let resultLineId = lineId;
+      for (const comboMatch of findComboMatches(locationMenu, sessionCart)) {
+        if (comboMatch.combo.autoApply) {
+          const comboLine = applyComboMatch(sessionCart, comboMatch, () => nextLineId(session));
+          comboLines.push({ lineId: comboLine.lineId, comboName: comboMatch.combo.name, savings: comboMatch.savings });
+          console.log(`Converted cart lines into combo ${comboMatch.combo.name} (line ${comboLine.lineId})`);
+
+          // The added line was folded into this combo line
+          if (findLineIndex(sessionCart, lineId) === -1 && comboMatch.parts.some(part => part.lineId === lineId)) {
+            resultLineId = comboLine.lineId;
+          }
+        } else if (comboMatch.parts.some(part => part.lineId === lineId)) {
+          comboOffers.push(comboMatch);
+        }
+      }
+
+      const comboText = [
+        ...comboLines.map(combo => ` I made that a ${combo.comboName}, which saves you $${combo.savings.toFixed(2)}.`),
+        ...(comboOffers.length > 0 ? [` ${describeComboOffer(comboOffers[0])}`] : [])
+      ].join('');
+
+      return {
+        save: true,
+        response: createSuccessResponse({
+          message: `Added ${quantity} ${itemName} to cart for ${locationData.restaurantName} ${locationData.locationId}.${followUp}${comboText}`,
+          lineId: resultLineId,
+          matchedItem: itemName,
+          matchConfidence: match.score,
+          acceptedUpsell: !!acceptedUpsell,
+          missingModifiers: violations,
+          combos: comboLines,
+          comboOffers: comboOffers.map(formatComboOffer),
+          cart: summarizeCartLines(sessionCart)
+        })
+      };
+    });
+
+  } catch (error) {
+    if (error.code === CART_CONTENTION_ERROR) {
+      return createErrorResponse(409, error.message);
+    }
+    console.error('Error adding to cart:', error);
+    return createErrorResponse(500, 'Internal server error', { details: error.message });
+  }
+};
+
+// Helper function to check whether a cart modifier sits on a given piece (number or component name)
+function modifierBelongsToComponent(modifier, component) {
+  if (modifier.component === undefined) {
+    return Number(component) === 1;
+  }
+  if (Number.isInteger(Number(component))) {
+    return modifier.component === Number(component);
+  }
+  return (modifier.componentName || '').toLowerCase() === String(component).trim().toLowerCase();
+}
+
+// Helper function to swap the spice level modifier on one piece of a cart line
+// spiceLevelNames (see getMenuSpiceLevels) tells spice levels apart from other mods sharing the piece's category
+// Returns the applied modifier, or null if the spice level isn't offered for that piece
+function replaceSpiceLevelModifier(cartItem, menuItem, spiceLevel, component, spiceLevelNames) {
+  const spiceModifier = findComponentSpiceLevel(menuItem, component, spiceLevel);
+  if (!spiceModifier) {
+    return null;
+  }
+
+  // Drop the previous spice level from the same category, keep every other mod
+  cartItem.modifiers = (cartItem.modifiers || []).filter(mod => {
+    if (mod.category !== spiceModifier.category) return true;
+    const isSpiceCategory = mod.category.toLowerCase().includes('spice level');
+    return !isSpiceCategory && !spiceLevelNames.includes(mod.optionName.trim().toLowerCase());
+  });
+  cartItem.modifiers.push(spiceModifier);
+
+  return spiceModifier;
+}
+
+// Helper function to find a cart line by substring of its name ("the fries")
+// A combo line only matches when its own name was said, so "sandwich" never picks the whole Sandwich Combo
+function findLineIndexBySubstring(sessionCart, itemName) {
+  const spoken = itemName.toLowerCase();
+  return sessionCart.findIndex(item => {
+    const name = (item.name || item.item_name || '').toLowerCase();
+    return spoken.includes(name) || (!item.comboItems && name.includes(spoken));
+  });
+}
+
+// Helper function to swap spice levels or instructions on one part of a combo line inside updateSessionCart
+// Every unit of the combo line shares its parts, so the change applies to all of them
+function updateComboPart({ part, comboLine }, { spiceLevels, specialInstructions, locationMenu, sessionCart }) {
+  const changes = [];
+
+  if (spiceLevels.length > 0) {
+    const menuItem = locationMenu[part.item_name];
+    if (!menuItem) {
+      return { response: createErrorResponse(404, `Item "${part.item_name}" is no longer on the menu`) };
+    }
+
+    const pieceCount = Math.max(1, getItemComponents(menuItem).length);
+    for (const { component, spiceLevel } of spiceLevels) {
+      if (component > pieceCount) {
+        return { response: createErrorResponse(400, `${part.item_name} only has ${pieceCount} piece${pieceCount === 1 ? '' : 's'}`) };
+      }
+      const spiceModifier = replaceSpiceLevelModifier(part, menuItem, spiceLevel, component, getMenuSpiceLevels(locationMenu));
+      if (!spiceModifier) {
+        return { response: createErrorResponse(400, `Spice level "${spiceLevel}" is not available for the ${describeComponent(menuItem, component)} of ${part.item_name}`) };
+      }
+      changes.push(pieceCount > 1
+        ? `${describeComponent(menuItem, component)} spice level set to ${spiceModifier.optionName}`
+        : `spice level set to ${spiceModifier.optionName}`);
+    }
+  }
+
+  if (specialInstructions !== undefined) {
+    part.specialInstructions = specialInstructions || '';
+    changes.push(specialInstructions ? `instructions set to "${specialInstructions}"` : 'instructions cleared');
+  }
+
+  refreshComboLine(comboLine);
+  console.log(`Combo part ${part.lineId} of line ${comboLine.lineId} updated: ${changes.join(', ')}`);
+
+  return {
+    save: true,
+    response: createSuccessResponse({
+      message: `Updated the ${part.item_name} in your ${comboLine.item_name}: ${changes.join(', ')}`,
+      lineId: part.lineId,
+      comboLineId: comboLine.lineId,
+      newItemTotal: comboLine.lineTotal,
+      cart: summarizeCartLines(sessionCart)
+    })
+  };
+}
+
+// Update quantity, special instructions or spice level of an existing cart line
+module.exports.updateCartItem = async (event) => {
+  console.log('[updateCartItem] Starting function...');
+
+  try {
+    // Parse the request body
+    let body;
+    if (typeof event.body === 'string') {
+      body = JSON.parse(event.body);
+    } else {
+      body = event.body;
+    }
+
+    // Extract call ID and item data
+    const callId = extractCallId(body);
+    if (!callId) {
+      return createErrorResponse(400, 'Missing call ID in request');
+    }
+
+    const itemName = body.args?.itemName;
+    const lineId = body.args?.lineId;
+    const quantity = body.args?.quantity;
+    const specialInstructions = body.args?.specialInstructions;
+    const spiceLevels = collectSpiceLevelArgs(body.args);
+
+    console.log(`[updateCartItem] Call ID: ${callId}, Args:`, {
+      itemName,
+      lineId,
+      quantity,
+      specialInstructions,
+      spiceLevels
+    });
+
+    // Validate inputs
+    if (!itemName && !lineId) {
+      return createErrorResponse(400, 'Missing required field: itemName or lineId');
+    }
+
+    if (quantity === undefined && specialInstructions === undefined && spiceLevels.length === 0) {
+      return createErrorResponse(400, 'Nothing to update: provide quantity, specialInstructions or spice levels');
+    }
+
+    if (quantity !== undefined && (quantity < 0 || !Number.isInteger(quantity))) {
+      return createErrorResponse(400, 'Quantity must be a non-negative integer');
+    }
+
+    // Resolve the spoken name against the location menu (honors per-location aliases)
+    const match = lineId ? null : await resolveItemForCall(body, itemName);
+
+    // Spice swaps need the menu's modifier options for the line's item,
+    // and raising a quantity needs the same sold-out and menu window checks as addToCart
+    let locationMenu = null;
+    let soldOutItems = {};
+    let timeZone;
+    if (spiceLevels.length > 0 || quantity > 0) {
+      try {
+        const locationData = await getLocationForRequest(body);
+        locationMenu = await getLocationMenu(locationData.restaurantName, locationData.locationId);
+        ({ soldOutItems, timeZone } = await getOrderingRestrictions(locationData.locationId));
+      } catch (error) {
+        return createErrorResponse(404, `Menu lookup failed: ${error.message}`);
+      }
+    }
+
+    return await updateSessionCart(callId, (sessionCart, session) => {
+      if (!sessionCart.length) {
+        return { response: createErrorResponse(400, 'Cart is empty') };
+      }
+
+      // Find the line: by line ID, then by resolved menu name (cart lines, then combo parts), then by substring
+      let cartIndex;
+      let comboPart = null;
+      if (lineId) {
+        cartIndex = findLineIndex(sessionCart, lineId);
+        comboPart = cartIndex === -1 ? findComboPart(sessionCart, lineId) : null;
+      } else {
+        cartIndex = match ? findLastLineIndexByName(sessionCart, match.itemName) : -1;
+        comboPart = cartIndex === -1 && match ? findLastComboPartByName(sessionCart, match.itemName) : null;
+        if (cartIndex === -1 && !comboPart) {
+          cartIndex = findLineIndexBySubstring(sessionCart, itemName);
+        }
+      }
+
+      if (cartIndex === -1 && !comboPart) {
+        return { response: createErrorResponse(404, `Item "${lineId || itemName}" not found in cart`, { cart: summarizeCartLines(sessionCart) }) };
+      }
+
+      // A combo part takes spice levels and instructions; its quantity is the combo line's
+      if (comboPart) {
+        if (quantity !== undefined) {
+          return {
+            response: createErrorResponse(400,
+              `The ${comboPart.part.item_name} is part of the ${comboPart.comboLine.item_name} (line ${comboPart.comboLine.lineId}). Change the quantity on that line instead.`,
+              { cart: summarizeCartLines(sessionCart) }
+            )
+          };
+        }
+        return updateComboPart(comboPart, { spiceLevels, specialInstructions, locationMenu, sessionCart });
+      }
+
+      const cartItem = sessionCart[cartIndex];
+
+      // "Actually, none of those" - an absolute quantity of 0 removes the line
+      if (quantity === 0) {
+        return removeQuantityFromLine(sessionCart, cartIndex);
+      }
+
+      // Spice levels belong to the pieces inside a combo, not the combo line
+      if (spiceLevels.length > 0 && cartItem.comboItems) {
+        return { response: createErrorResponse(400, describeComboPartTargets(cartItem), { cart: summarizeCartLines(sessionCart) }) };
+      }
+
+      // "Make that three" adds more of the item, so it has to still be available
+      if (quantity !== undefined && quantity > (cartItem.quantity || 0)) {
+        const lineItemNames = cartItem.comboItems
+          ? cartItem.comboItems.map(part => part.item_name)
+          : [cartItem.item_name || cartItem.name];
+
+        const soldOutName = lineItemNames.find(name => soldOutItems[name]);
+        if (soldOutName) {
+          const notServedNow = Object.fromEntries(getUnavailableItems(locationMenu, timeZone).map(name => [name, {}]));
+          const alternatives = findAlternatives(locationMenu, soldOutName, { ...soldOutItems, ...notServedNow });
+          console.log(`[updateCartItem] "${soldOutName}" is sold out; alternatives:`, alternatives);
+          return {
+            response: createErrorResponse(409, describeSoldOut(soldOutName, alternatives, locationMenu), {
+              soldOut: true,
+              itemName: soldOutName,
+              alternatives: alternatives
+            })
+          };
+        }
+
+        for (const name of lineItemNames) {
+          const availability = checkItemAvailability(locationMenu, name, timeZone, getOrderTime(session));
+          if (!availability.available) {
+            console.log(`[updateCartItem] "${name}" is outside its menu window`);
+            return {
+              response: createErrorResponse(409, describeUnavailable(name, availability.windows, locationMenu), {
+                unavailable: true,
+                itemName: name,
+                availableDuring: availability.windows.map(describeWindow)
+              })
+            };
+          }
+        }
+      }
+
+      const changes = [];
+
+      if (spiceLevels.length > 0) {
+        const menuItem = locationMenu[cartItem.item_name];
+        if (!menuItem) {
+          return { response: createErrorResponse(404, `Item "${cartItem.item_name}" is no longer on the menu`) };
+        }
+
+        const pieceCount = Math.max(1, getItemComponents(menuItem).length);
+        for (const { component, spiceLevel } of spiceLevels) {
+          if (component > pieceCount) {
+            return { response: createErrorResponse(400, `${cartItem.item_name} only has ${pieceCount} piece${pieceCount === 1 ? '' : 's'}`) };
+          }
+          const spiceModifier = replaceSpiceLevelModifier(cartItem, menuItem, spiceLevel, component, getMenuSpiceLevels(locationMenu));
+          if (!spiceModifier) {
+            return { response: createErrorResponse(400, `Spice level "${spiceLevel}" is not available for the ${describeComponent(menuItem, component)} of ${cartItem.item_name}`) };
+          }
+          changes.push(pieceCount > 1
+            ? `${describeComponent(menuItem, component)} spice level set to ${spiceModifier.optionName}`
+            : `spice level set to ${spiceModifier.optionName}`);
+        }
+      }
+
+      if (quantity !== undefined) {
+        cartItem.quantity = quantity;
+        changes.push(`quantity set to ${quantity}`);
+      }
+
+      if (specialInstructions !== undefined) {
+        cartItem.specialInstructions = specialInstructions || '';
+        changes.push(specialInstructions ? `instructions set to "${specialInstructions}"` : 'instructions cleared');
+      }
+
+      // Recalculate line total including modifier prices
+      cartItem.lineTotal = calculateLineTotal(cartItem);
+
+      console.log(`Cart line ${cartItem.lineId} updated: ${changes.join(', ')}`);
+
+      return {
+        save: true,
+        response: createSuccessResponse({
+          message: `Updated ${cartItem.name}: ${changes.join(', ')}`,
+          lineId: cartItem.lineId,
+          newItemTotal: cartItem.lineTotal,
+          cart: summarizeCartLines(sessionCart)
+        })
+      };
+    });
+
+  } catch (error) {
+    if (error.code === CART_CONTENTION_ERROR) {
+      return createErrorResponse(409, error.message);
+    }
+    console.error('Error updating cart item:', error);
+    return createErrorResponse(500, 'Internal server error', { details: error.message });
+  }
+};
+
+// Helper function to remove some (or all) of a cart line's quantity inside updateSessionCart
+function removeQuantityFromLine(sessionCart, cartIndex, quantityToRemove) {
+  const cartItem = sessionCart[cartIndex];
+  const removeQty = quantityToRemove || cartItem.quantity; // Remove all if not specified
+
+  if (removeQty >= cartItem.quantity) {
+    // Remove entire item
+    sessionCart.splice(cartIndex, 1);
+  } else {
+    // Reduce quantity
+    sessionCart[cartIndex].quantity -= removeQty;
+    sessionCart[cartIndex].lineTotal = calculateLineTotal(sessionCart[cartIndex]);
+  }
+
+  console.log(`Item removed successfully from session cart (line ${cartItem.lineId})`);
+
+  return {
+    save: true,
+    response: createSuccessResponse({
+      message: `Removed ${removeQty} ${cartItem.name} from cart`,
+      lineId: cartItem.lineId,
+      cart: summarizeCartLines(sessionCart)
+    })
+  };
+}
+
+// Helper function to answer a request to remove one part of a combo line
+function describeComboPartRemoval({ part, comboLine }, sessionCart) {
+  return createErrorResponse(409,
+    `The ${part.item_name} is part of the ${comboLine.item_name} (line ${comboLine.lineId}). To drop it, remove that line and add back the items the caller still wants.`,
+    { comboLineId: comboLine.lineId, cart: summarizeCartLines(sessionCart) }
+  );
+}
+
+// Remove item from cart
+module.exports.removeFromCart = async (event) => {
+  console.log('[removeFromCart] Starting function...');
+  
+  try {
+    // Parse the request body
+    let body;
+    if (typeof event.body === 'string') {
+      body = JSON.parse(event.body);
+    } else {
+      body = event.body;
+    }
+
+    // Extract call ID and item data
+    const callId = extractCallId(body);
+    if (!callId) {
+      return createErrorResponse(400, 'Missing call ID in request');
+    }
+
+    const itemName = body.args?.itemName;
+    const lineId = body.args?.lineId;
+    const quantityToRemove = body.args?.quantityToRemove;
+
+    console.log(`[removeFromCart] Call ID: ${callId}, Args:`, { itemName, lineId, quantityToRemove });
+
+    // Validate inputs
+    if (!itemName && !lineId) {
+      return createErrorResponse(400, 'Missing required field: itemName or lineId');
+    }
+
+    // Resolve the spoken name against the location menu (honors per-location aliases)
+    const match = lineId ? null : await resolveItemForCall(body, itemName);
+
+    return await updateSessionCart(callId, (sessionCart) => {
+      if (!sessionCart.length) {
+        return { response: createErrorResponse(400, 'Cart is empty') };
+      }
+
+      // A line ID targets exactly one line ("the second sandwich, the hot one")
+      if (lineId) {
+        const lineIndex = findLineIndex(sessionCart, lineId);
+        const comboPart = lineIndex === -1 ? findComboPart(sessionCart, lineId) : null;
+        if (comboPart) {
+          return { response: describeComboPartRemoval(comboPart, sessionCart) };
+        }
+        if (lineIndex === -1) {
+          return { response: createErrorResponse(404, `Line "${lineId}" not found in cart`, { cart: summarizeCartLines(sessionCart) }) };
+        }
+        return removeQuantityFromLine(sessionCart, lineIndex, quantityToRemove);
+      }
+
+      let cartIndex = -1;
+      if (match) {
+        const matchingIndexes = sessionCart
+          .map((item, index) => ((item.item_name === match.itemName || item.name === match.itemName) ? index : -1))
+          .filter(index => index !== -1);
+
+        // "remove the coke" should pick the SODA line that was added as a coke
+        const aliasInstructions = match.alias?.specialInstructions?.toLowerCase();
+        const aliasIndex = aliasInstructions
+          ? matchingIndexes.find(index => (sessionCart[index].specialInstructions || '').toLowerCase() === aliasInstructions)
+          : undefined;
+
+        cartIndex = aliasIndex !== undefined ? aliasIndex : (matchingIndexes[0] ?? -1);
+      }
+
+      // Removing one part would break the combo; the agent has to decide what happens to the rest
+      const comboPart = cartIndex === -1 && match ? findLastComboPartByName(sessionCart, match.itemName) : null;
+      if (comboPart) {
+        return { response: describeComboPartRemoval(comboPart, sessionCart) };
+      }
+
+      // Fall back to substring matching on cart item names
+      if (cartIndex === -1) {
+        cartIndex = findLineIndexBySubstring(sessionCart, itemName);
+      }
+
+      if (cartIndex === -1) {
+        const cartItemNames = sessionCart.map(item => item.name);
+        return { response: createErrorResponse(404, `Item "${itemName}" not found in cart`, { currentItems: cartItemNames, cart: summarizeCartLines(sessionCart) }) };
+      }
+
+      return removeQuantityFromLine(sessionCart, cartIndex, quantityToRemove);
+    });
+
+  } catch (error) {
+    if (error.code === CART_CONTENTION_ERROR) {
+      return createErrorResponse(409, error.message);
+    }
+    console.error('Error removing from cart:', error);
+    return createErrorResponse(500, 'Internal server error', { details: error.message });
+  }
+};
+
+// Get cart summary with totals
+module.exports.getCartSummary = async (event) => {
+  console.log('[getCartSummary] Starting function...');
+  
+  try {
+    // Parse the request body
+    let body;
+    if (typeof event.body === 'string') {
+      body = JSON.parse(event.body);
+    } else {
+      body = event.body;
+    }
+
+    // Extract call ID
+    const callId = extractCallId(body);
+    if (!callId) {
+      return createErrorResponse(400, 'Missing call ID in request');
+    }
+
+    console.log(`[getCartSummary] Call ID: ${callId}, Args: (no additional args)`);
+
+    // Get session cart (and any promotion applied to it)
+    const session = await getSessionRecord(callId);
+    const sessionCart = session.cart_items || [];
+
+    if (!sessionCart.length) {
+      return createSuccessResponse({
+        message: 'Your cart is empty',
+        cart: [],
+        cartSummary: buildCartSummary([])
+      });
+    }
+
+    // Calculate totals with the location's tax rate; read back with its pronunciations
+    const { taxConfig, pronunciations, locationMenu, timeZone } = await getSummaryContext(body);
+    const cartSummary = buildCartSummary(sessionCart, taxConfig, session.promotion || null, getDeliveryQuote(session));
+
+    // Create speech-friendly summary (with the delivery address and the time when the order is scheduled)
+    const delivering = isDeliveryOrder(session);
+    const pickupTime = session.pickup_time
+      ? formatPickupTimeForSpeech(new Date(session.pickup_time.pickupAt), timeZone)
+      : null;
+    let fulfillmentText = '';
+    if (delivering) {
+      fulfillmentText = session.delivery
+        ? `. Delivering to ${describeDeliveryAddress(session.delivery.address)}`
+        : '. This is a delivery order, but I still need the delivery address';
+    }
+    const speechSummary = createSpeechFriendlySummary(sessionCart, cartSummary, pronunciations) +
+      fulfillmentText +
+      (pickupTime ? `. ${delivering ? 'Delivery' : 'Pickup'} is scheduled for ${pickupTime}` : '') +
+      (cartSummary.delivery && !cartSummary.delivery.minimumMet ? `. ${cartSummary.delivery.reason}` : '');
+
+    console.log('Cart summary generated for session cart');
+
+    return createSuccessResponse({
+      message: speechSummary,
+      cart: summarizeCartLines(sessionCart),
+      cartSummary: cartSummary,
+      fulfillmentType: delivering ? 'delivery' : 'pickup',
+      pickupTime: session.pickup_time ? { pickupAt: session.pickup_time.pickupAt, spoken: pickupTime } : null,
+      // Combos the cart qualifies for but hasn't been converted into (see /apply-combo)
+      comboOffers: locationMenu ? findComboMatches(locationMenu, sessionCart).map(formatComboOffer) : []
+    });
+
+  } catch (error) {
+    console.error('Error getting cart summary:', error);
+    return createErrorResponse(500, 'Internal server error', { details: error.message });
+  }
+};
+
+// Generate upsell suggestions based on current cart
+module.exports.upsell = async (event) => {
+  console.log('[upsell] Starting function...');
+  
+  try {
+    // Parse the request body
+    let body;
+    if (typeof event.body === 'string') {
+      body = JSON.parse(event.body);
+    } else {
+      body = event.body;
+    }
+
+    // Extract call ID
+    const callId = extractCallId(body);
+    if (!callId) {
+      return createErrorResponse(400, 'Missing call ID in request');
+    }
+
+    console.log(`[upsell] Call ID: ${callId}, Args: (no additional args)`);
+
+    // Get location and its menu (upsell rules live on the clientMenu record)
+    let locationData;
+    try {
+      locationData = await getLocationForRequest(body);
+    } catch (error) {
+      return createLocationErrorResponse(error);
+    }
+
+    let locationMenu;
+    try {
+      locationMenu = await getLocationMenu(locationData.restaurantName, locationData.locationId);
+    } catch (error) {
+      return createErrorResponse(404, `Menu lookup failed: ${error.message}`);
+    }
+
+    // Never suggest something the kitchen has run out of or isn't serving at pickup time
+    const { soldOutItems, timeZone } = await getOrderingRestrictions(locationData.locationId);
+
+    // Rank add-ons and remember what was offered so addToCart can mark acceptances
+    return await updateSessionCart(callId, (sessionCart, session) => {
+      const exclude = [...Object.keys(soldOutItems), ...getUnavailableItems(locationMenu, timeZone, getOrderTime(session))];
+      const suggestions = getUpsellSuggestions(locationMenu, sessionCart, { exclude });
+      const message = formatUpsellMessage(suggestions, locationMenu);
+
+      console.log(`Upsell suggestions generated: ${suggestions.map(suggestion => suggestion.itemName).join(', ') || 'none'}`);
+
+      recordUpsellSuggestions(session, suggestions);
+
+      return {
+        save: suggestions.length > 0,
+        response: createSuccessResponse({
+          message: message,
+          suggestions: suggestions
+        })
+      };
+    });
+
+  } catch (error) {
+    if (error.code === CART_CONTENTION_ERROR) {
+      return createErrorResponse(409, error.message);
+    }
+    console.error('Error generating upsell suggestions:', error);
+    return createErrorResponse(500, 'Internal server error', { details: error.message });
+  }
+};
+
+// Convert cart items into a combo the caller agreed to
+module.exports.applyCombo = async (event) => {
+  console.log('[applyCombo] Starting function...');
+
+  try {
+    // Parse the request body
+    let body;
+    if (typeof event.body === 'string') {
+      body = JSON.parse(event.body);
+    } else {
+      body = event.body;
+    }
+
+    // Extract call ID
+    const callId = extractCallId(body);
+    if (!callId) {
+      return createErrorResponse(400, 'Missing call ID in request');
+    }
+
+    // Optional: which combo to apply (defaults to the first one the cart qualifies for)
+    const comboName = (body.args?.comboName || '').trim();
+
+    console.log(`[applyCombo] Call ID: ${callId}, Args:`, { comboName });
+
+    // Get location and its menu (combos live on the clientMenu record)
+    let locationData;
+    try {
+      locationData = await getLocationForRequest(body);
+    } catch (error) {
+      return createLocationErrorResponse(error);
+    }
+
+    let locationMenu;
+    try {
+      locationMenu = await getLocationMenu(locationData.restaurantName, locationData.locationId);
+    } catch (error) {
+      return createErrorResponse(404, `Menu lookup failed: ${error.message}`);
+    }
+
+    return await updateSessionCart(callId, (sessionCart, session) => {
+      const matches = findComboMatches(locationMenu, sessionCart);
+      const target = comboName
+        ? matches.find(match => match.combo.name.toLowerCase() === comboName.toLowerCase())
+        : matches[0];
+
+      if (!target) {
+        return {
+          save: false,
+          response: createErrorResponse(404,
+            comboName
+              ? `The cart doesn't have everything for a ${comboName} yet.`
+              : "The cart doesn't qualify for a combo right now.",
+            { comboOffers: matches.map(formatComboOffer), cart: summarizeCartLines(sessionCart) }
+          )
+        };
+      }
+
+      // Convert every instance of that combo the cart qualifies for (two sandwiches, two fries, two drinks -> 2 combos)
+      const applied = matches.filter(match => match.combo.name === target.combo.name);
+      let comboLine;
+      for (const match of applied) {
+        comboLine = applyComboMatch(sessionCart, match, () => nextLineId(session));
+      }
+
+      const savings = roundCurrency(applied.reduce((sum, match) => sum + match.savings, 0));
+      console.log(`Converted ${applied.length} x ${target.combo.name} into line ${comboLine.lineId}`);
+
+      return {
+        save: true,
+        response: createSuccessResponse({
+          message: `Done, that's ${applied.length > 1 ? `${applied.length} ${target.combo.name}s` : `a ${target.combo.name}`}. You're saving $${savings.toFixed(2)}.`,
+          lineId: comboLine.lineId,
+          comboName: target.combo.name,
+          combosApplied: applied.length,
+          savings: savings,
+          cart: summarizeCartLines(sessionCart)
+        })
+      };
+    });
+
+  } catch (error) {
+    if (error.code === CART_CONTENTION_ERROR) {
+      return createErrorResponse(409, error.message);
+    }
+    console.error('Error applying combo:', error);
+    return createErrorResponse(500, 'Internal server error', { details: error.message });
+  }
+};
+
+// Helper function to get the number a caller's profile and carts are kept under: the number they're calling from
+// Only the channel's from_number counts; a phone the caller says or types could be anyone's, so web calls
+// and chats (which have no from_number) get null
+function extractCallerPhoneNumber(body) {
+  return normalizePhoneNumber(getConversation(body).from_number);
+}
+
+// Helper function to record whose cart this is, so it can be found again if the call drops (see cartRecovery.js)
+function stampSessionCaller(session, body, locationId) {
+  const callerNumber = extractCallerPhoneNumber(body);
+  if (callerNumber) session.caller_number = callerNumber;
+  if (locationId) session.location_id = locationId;
+}
+
+// Helper function to get a caller's profile at a location (see customerProfiles.js)
+async function getCustomerProfile(phoneNumber, locationId) {
+  const result = await dynamodb.get({
+    TableName: CUSTOMER_PROFILES_TABLE,
+    Key: { phoneNumber: phoneNumber, locationId: locationId }
+  }).promise();
+
+  return result.Item || null;
+}
+
+// Helper function to rebuild a line of a past order from the current menu
+// Returns { cartItem, menuItem, droppedModifiers }, or { reason } when the item can't be ordered now
+function rebuildOrderLine(line, quantity, locationMenu, { soldOutItems, timeZone, orderTime }) {
+  const menuItem = getMenuItemEntries(locationMenu).find(([itemName]) => itemName === line.itemName)?.[1];
+  if (!menuItem) {
+    return { reason: 'is no longer on the menu' };
+  }
+  if (soldOutItems[line.itemName]) {
+    return { reason: 'is sold out right now' };
+  }
+  const availability = checkItemAvailability(locationMenu, line.itemName, timeZone, orderTime);
+  if (!availability.available) {
+    return { reason: `is only served during ${availability.windows.map(describeWindow).join(', or ')}` };
+  }
+
+  // Today's price, and each modifier only if the menu still offers it on that piece
+  const cartItem = buildCartItem(line.itemName, menuItem, quantity, line.specialInstructions || '');
+  if (line.spokenName || menuItem.spokenName) {
+    cartItem.spokenName = line.spokenName || menuItem.spokenName;
+  }
+
+  const droppedModifiers = [];
+  for (const modifier of line.modifiers || []) {
+    const current = findComponentModifier(menuItem, modifier.component ?? 1, modifier.optionName);
+    if (!current) {
+      droppedModifiers.push(modifier.optionName);
+    } else if (!cartItem.modifiers.some(mod => mod.optionId === current.optionId)) {
+      cartItem.modifiers.push(current);
+    }
+  }
+  cartItem.lineTotal = calculateLineTotal(cartItem);
+
+  return { cartItem, menuItem, droppedModifiers };
+}
+
+// Helper function to add the lines of an earlier order (a profile's past order, or a dropped call's cart)
+// to the cart, each rebuilt from the current menu with rebuildOrderLine
+// Combos are added as their parts and counted in wantedCombos, for applyPastOrderCombos to convert again
+// Returns { addedCount, notes, skippedItems, missingModifiers, wantedCombos }
+function addPastOrderLines(sessionCart, session, lines, { locationMenu, restrictions, pronunciations }) {
+  const speak = line => line.spokenName || convertItemNameToSpeech({ item_name: line.itemName }, pronunciations);
+  const notes = [];
+  const skippedItems = [];
+  const missingModifiers = [];
+  const wantedCombos = {};
+  let addedCount = 0;
+
+  for (const line of lines) {
+    // Combos are rebuilt from their parts, then converted again by applyPastOrderCombos
+    const parts = line.comboItems || [line];
+    if (line.comboItems) {
+      wantedCombos[line.comboName] = (wantedCombos[line.comboName] || 0) + (line.quantity || 1);
+    }
+
+    for (const part of parts) {
+      const rebuilt = rebuildOrderLine(part, line.quantity || 1, locationMenu, restrictions);
+      if (rebuilt.reason) {
+        skippedItems.push({ itemName: part.itemName, reason: rebuilt.reason });
+        notes.push(`${speak(part)} ${rebuilt.reason}, so I left it off.`);
+        continue;
+      }
+
+      const { cartItem, menuItem, droppedModifiers } = rebuilt;
+      if (droppedModifiers.length > 0) {
+        const spokenModifiers = droppedModifiers.map(optionName => convertModifierToSpeech({ optionName }, pronunciations));
+        skippedItems.push({ itemName: part.itemName, modifiers: droppedModifiers, reason: 'is no longer offered' });
+        notes.push(`I left off ${spokenModifiers.join(' and ')} on ${speak(part)}, since ${droppedModifiers.length > 1 ? "they aren't" : "it isn't"} offered anymore.`);
+      }
+
+      const existingIndex = findMatchingLineIndex(sessionCart, cartItem);
+      let lineId;
+      if (existingIndex >= 0) {
+        sessionCart[existingIndex].quantity += cartItem.quantity;
+        sessionCart[existingIndex].lineTotal = calculateLineTotal(sessionCart[existingIndex]);
+        lineId = sessionCart[existingIndex].lineId;
+      } else {
+        lineId = nextLineId(session);
+        sessionCart.push({ ...cartItem, lineId });
+      }
+      addedCount += cartItem.quantity;
+
+      // Required choices the menu added since (or that were dropped above)
+      const violations = checkLineModifiers(menuItem, sessionCart[findLineIndex(sessionCart, lineId)]);
+      if (violations.length > 0) {
+        missingModifiers.push({ lineId, itemName: part.itemName, violations });
+        notes.push(describeModifierViolations(part.itemName, violations));
+      }
+    }
+  }
+
+  return { addedCount, notes, skippedItems, missingModifiers, wantedCombos };
+}
+
+// Helper function to convert an earlier order's combos again, plus any the location converts automatically
+// A combo that no longer fits its items gets a note; returns the combo lines applied
+function applyPastOrderCombos(sessionCart, session, locationMenu, wantedCombos, notes) {
+  const comboLines = [];
+  for (const comboMatch of findComboMatches(locationMenu, sessionCart)) {
+    const comboName = comboMatch.combo.name;
+    if (!comboMatch.combo.autoApply && !(wantedCombos[comboName] > 0)) continue;
+
+    const comboLine = applyComboMatch(sessionCart, comboMatch, () => nextLineId(session));
+    comboLines.push({ lineId: comboLine.lineId, comboName: comboName, savings: comboMatch.savings });
+    if (wantedCombos[comboName] > 0) wantedCombos[comboName] -= 1;
+  }
+  for (const [comboName, remaining] of Object.entries(wantedCombos)) {
+    if (remaining > 0) {
+      notes.push(`The ${comboName} isn't available for those items anymore, so I added them separately.`);
+    }
+  }
+
+  return comboLines;
+}
+
+// Add the caller's most recent order at this location to the cart again ("my usual")
+module.exports.reorderLastOrder = async (event) => {
+  console.log('[reorderLastOrder] Starting function...');
+
+  try {
+    // Parse the request body
+    let body;
+    if (typeof event.body === 'string') {
+      body = JSON.parse(event.body);
+    } else {
+      body = event.body;
+    }
+
+    // Extract call ID
+    const callId = extractCallId(body);
+    if (!callId) {
+      return createErrorResponse(400, 'Missing call ID in request');
+    }
+
+    const phoneNumber = extractCallerPhoneNumber(body);
+    console.log(`[reorderLastOrder] Call ID: ${callId}, caller: ${phoneNumber || 'none'}`);
+
+    // Without a caller number there's no way to tell whose orders to look at
+    if (!phoneNumber) {
+      return createErrorResponse(404, "I don't see a previous order for this number here. What can I get you today?");
+    }
+
+    // Get location and its menu (past orders are kept per location)
+    let locationData;
+    try {
+      locationData = await getLocationForRequest(body);
+    } catch (error) {
+      return createLocationErrorResponse(error);
+    }
+
+    let locationMenu;
+    try {
+      locationMenu = await getLocationMenu(locationData.restaurantName, locationData.locationId);
+    } catch (error) {
+      return createErrorResponse(404, `Menu lookup failed: ${error.message}`);
+    }
+
+    const profile = await getCustomerProfile(phoneNumber, locationData.locationId);
+    const lastOrder = profile?.recentOrders?.[0];
+    if (!lastOrder || !(lastOrder.items || []).length) {
+      return createErrorResponse(404, "I don't see a previous order for this number here. What can I get you today?");
+    }
+
+    // Sold-out items and tax, as of now; menu windows as of the order's pickup time
+    const { soldOutItems, timeZone } = await getOrderingRestrictions(locationData.locationId);
+    const { taxConfig, pronunciations } = await getSummaryContext(body);
+
+    return await updateSessionCart(callId, (sessionCart, session) => {
+      // Calling the tool twice shouldn't double the order
+      if (session.reorder?.orderedAt === lastOrder.orderedAt) {
+        return {
+          save: false,
+          response: createErrorResponse(409, 'Your last order is already in the cart.', { cart: summarizeCartLines(sessionCart) })
+        };
+      }
+
+      const restrictions = { soldOutItems, timeZone, orderTime: getOrderTime(session) };
+      const { addedCount, notes, skippedItems, missingModifiers, wantedCombos } =
+        addPastOrderLines(sessionCart, session, lastOrder.items, { locationMenu, restrictions, pronunciations });
+
+      if (addedCount === 0) {
+        return {
+          save: false,
+          response: createErrorResponse(409, `I couldn't add anything from your last order. ${notes.join(' ')}`, { skippedItems })
+        };
+      }
+
+      // Same meal deals as last time, plus any the location converts automatically
+      const comboLines = applyPastOrderCombos(sessionCart, session, locationMenu, wantedCombos, notes);
+
+      session.reorder = { orderedAt: lastOrder.orderedAt, reorderedAt: new Date().toISOString() };
+      stampSessionCaller(session, body, locationData.locationId);
+      console.log(`Re-added last order from ${lastOrder.orderedAt}: ${addedCount} item(s), ${skippedItems.length} change(s)`);
+
+      const cartSummary = buildCartSummary(sessionCart, taxConfig, session.promotion || null, getDeliveryQuote(session));
+      const noteText = notes.length > 0 ? ` ${notes.join(' ')}` : '';
+
+      return {
+        save: true,
+        response: createSuccessResponse({
+          message: `I added your last order. ${createSpeechFriendlySummary(sessionCart, cartSummary, pronunciations)}.${noteText}`,
+          reorderedFrom: lastOrder.orderedAt,
+          skippedItems: skippedItems,
+          missingModifiers: missingModifiers,
+          combos: comboLines,
+          cart: summarizeCartLines(sessionCart),
+          cartSummary: cartSummary
+        })
+      };
+    });
+
+  } catch (error) {
+    if (error.code === CART_CONTENTION_ERROR) {
+      return createErrorResponse(409, error.message);
+    }
+    console.error('Error reordering last order:', error);
+    return createErrorResponse(500, 'Internal server error', { details: error.message });
+  }
+};
+
+// Helper function to mark an abandoned cart as taken by a call, so it is restored only once
+async function claimAbandonedCart(abandonedCallId, callId) {
+  await dynamodb.update({
+    TableName: SESSION_CARTS_TABLE,
+    Key: { call_id: abandonedCallId },
+    UpdateExpression: 'SET #recoveredBy = :callId, #recoveredAt = :now',
+    ConditionExpression: 'attribute_exists(#callIdKey) AND attribute_not_exists(#recoveredBy) AND attribute_not_exists(#orderedAt)',
+    ExpressionAttributeNames: {
+      '#callIdKey': 'call_id',
+      '#recoveredBy': 'recovered_by',
+      '#recoveredAt': 'recovered_at',
+      '#orderedAt': 'ordered_at'
+    },
+    ExpressionAttributeValues: { ':callId': callId, ':now': new Date().toISOString() }
+  }).promise();
+}
+
+// Helper function to give a claimed cart back when restoring it failed
+async function releaseAbandonedCart(abandonedCallId, callId) {
+  try {
+    await dynamodb.update({
+      TableName: SESSION_CARTS_TABLE,
+      Key: { call_id: abandonedCallId },
+      UpdateExpression: 'REMOVE #recoveredBy, #recoveredAt',
+      ConditionExpression: '#recoveredBy = :callId',
+      ExpressionAttributeNames: { '#recoveredBy': 'recovered_by', '#recoveredAt': 'recovered_at' },
+      ExpressionAttributeValues: { ':callId': callId }
+    }).promise();
+  } catch (error) {
+    console.warn(`Could not release abandoned cart ${abandonedCallId}:`, error.message);
+  }
+}
+
+// Restore the cart a caller left behind on a dropped call into this call's cart
+module.exports.restoreAbandonedCart = async (event) => {
+  console.log('[restoreAbandonedCart] Starting function...');
+
+  let claimed = null;
+  let callId;
+
+  try {
+    // Parse the request body
+    let body;
+    if (typeof event.body === 'string') {
+      body = JSON.parse(event.body);
+    } else {
+      body = event.body;
+    }
+
+    // Extract call ID
+    callId = extractCallId(body);
+    if (!callId) {
+      return createErrorResponse(400, 'Missing call ID in request');
+    }
+
+    // The cart the inbound webhook found (abandoned_call_id), or look again
+    const abandonedCallId = body.args?.abandonedCallId ||
+      getConversation(body).retell_llm_dynamic_variables?.abandoned_call_id;
+    const callerNumber = extractCallerPhoneNumber(body);
+
+    console.log(`[restoreAbandonedCart] Call ID: ${callId}, Args:`, { abandonedCallId });
+
+    // Carts are only handed back to the number that built them, as the channel reports it (from_number).
+    // Web calls and chats have none; a number the caller gives isn't proof it's theirs
+    if (!callerNumber) {
+      return createErrorResponse(400, 'I can only pick up an earlier order when you call from the same phone number.');
+    }
+
+    let locationData;
+    try {
+      locationData = await getLocationForRequest(body);
+    } catch (error) {
+      return createLocationErrorResponse(error);
+    }
+
+    let locationRecord = null;
+    try {
+      locationRecord = await getLocationRecord(locationData.locationId);
+    } catch (error) {
+      console.warn('Could not load location record for cart recovery:', error.message);
+    }
+
+    const windowMinutes = getRecoveryWindowMinutes(locationRecord);
+    const recovery = {
+      callerNumber: callerNumber,
+      locationId: locationData.locationId,
+      excludeCallId: callId,
+      since: new Date(Date.now() - windowMinutes * 60000).toISOString()
+    };
+
+    let abandoned = null;
+    if (windowMinutes > 0) {
+      // The caller index can lag behind the table, so the cart itself is read before restoring it
+      const abandonedId = abandonedCallId || (await findAbandonedCart(dynamodb, SESSION_CARTS_TABLE, recovery))?.call_id;
+      abandoned = abandonedId ? await getSessionRecord(abandonedId) : null;
+    }
+    if (!isRecoverableCart(abandoned, recovery)) {
+      return createErrorResponse(404, "I don't see an unfinished order from an earlier call. What can I get you?");
+    }
+
+    let locationMenu;
+    try {
+      locationMenu = await getLocationMenu(locationData.restaurantName, locationData.locationId);
+    } catch (error) {
+      return createErrorResponse(404, `Menu lookup failed: ${error.message}`);
+    }
+
+    // Claim it first, so two calls can't both restore the same cart
+    try {
+      await claimAbandonedCart(abandoned.call_id, callId);
+      claimed = abandoned.call_id;
+    } catch (error) {
+      if (error.code === 'ConditionalCheckFailedException') {
+        return createErrorResponse(409, 'That order was already picked up on another call.');
+      }
+      throw error;
+    }
+
+    const soldOutItems = getSoldOutItems(locationRecord);
+    const { taxConfig, pronunciations } = await getSummaryContext(body);
+
+    const response = await updateSessionCart(callId, (sessionCart, session) => {
+      // Pickup time, delivery and promo carry over unless this call already set them
+      // (the pickup time first, since menu windows are checked at the time the order is for)
+      if (!session.pickup_time && abandoned.pickup_time && new Date(abandoned.pickup_time.pickupAt) > new Date()) {
+        session.pickup_time = abandoned.pickup_time;
+      }
+
+      // Each line is rebuilt from today's menu, as for a reorder: prices are current, and anything that
+      // sold out, left the menu or is out of its menu window since the call dropped is left off
+      const restrictions = { soldOutItems, timeZone: locationRecord?.timeZone, orderTime: getOrderTime(session) };
+      const { addedCount, notes, skippedItems, missingModifiers, wantedCombos } =
+        addPastOrderLines(sessionCart, session, buildOrderRecord(abandoned.cart_items).items, { locationMenu, restrictions, pronunciations });
+
+      if (addedCount === 0) {
+        return {
+          save: false,
+          response: createErrorResponse(409, `I couldn't pick up your earlier order. ${notes.join(' ')} What else can I get you?`, { skippedItems })
+        };
+      }
+
+      // The same meal deals as before the call dropped
+      const comboLines = applyPastOrderCombos(sessionCart, session, locationMenu, wantedCombos, notes);
+
+      if (!session.fulfillment_type && abandoned.fulfillment_type) {
+        session.fulfillment_type = abandoned.fulfillment_type;
+        if (!session.delivery && abandoned.delivery) session.delivery = abandoned.delivery;
+      }
+      if (!session.promotion && abandoned.promotion) {
+        session.promotion = abandoned.promotion;
+      }
+
+      session.recovered_from = abandoned.call_id;
+      stampSessionCaller(session, body, locationData.locationId);
+      console.log(`Restored ${addedCount} item(s) from call ${abandoned.call_id}, ${skippedItems.length} change(s)`);
+
+      const cartSummary = buildCartSummary(sessionCart, taxConfig, session.promotion || null, getDeliveryQuote(session));
+      const noteText = notes.length > 0 ? ` ${notes.join(' ')}` : '';
+
+      return {
+        save: true,
+        response: createSuccessResponse({
+          message: `I picked up your order from the earlier call. ${createSpeechFriendlySummary(sessionCart, cartSummary, pronunciations)}.${noteText}`,
+          recoveredFrom: abandoned.call_id,
+          restoredCount: addedCount,
+          skippedItems: skippedItems,
+          missingModifiers: missingModifiers,
+          combos: comboLines,
+          cart: summarizeCartLines(sessionCart),
+          cartSummary: cartSummary
+        })
+      };
+    });
+
+    if (response.statusCode >= 400) {
+      await releaseAbandonedCart(claimed, callId);
+    }
+    return response;
+
+  } catch (error) {
+    if (claimed) {
+      await releaseAbandonedCart(claimed, callId);
+    }
+    if (error.code === CART_CONTENTION_ERROR) {
+      return createErrorResponse(409, error.message);
+    }
+    console.error('Error restoring abandoned cart:', error);
+    return createErrorResponse(500, 'Internal server error', { details: error.message });
+  }
+};
+
+// Answer questions about a menu item (price, description, ingredients, options) without touching the cart
+module.exports.getMenuItemInfo = async (event) => {
+  console.log('[getMenuItemInfo] Starting function...');
+
+  try {
+    // Parse the request body
+    let body;
+    if (typeof event.body === 'string') {
+      body = JSON.parse(event.body);
+    } else {
+      body = event.body;
+    }
+
+    const requestedItemName = body.args?.itemName;
+    // Optional: options to price in ("how much with cheese?")
+    const requestedOptions = Array.isArray(body.args?.modifiers)
+      ? body.args.modifiers
+      : String(body.args?.modifiers || '').split(',').filter(name => name.trim());
+
+    console.log('[getMenuItemInfo] Args:', { itemName: requestedItemName, modifiers: requestedOptions });
+
+    if (!requestedItemName) {
+      return createErrorResponse(400, 'Missing required field: itemName');
+    }
+
+    let locationData;
+    try {
+      locationData = await getLocationForRequest(body);
+    } catch (error) {
+      return createLocationErrorResponse(error);
+    }
+
+    let locationMenu;
+    try {
+      locationMenu = await getLocationMenu(locationData.restaurantName, locationData.locationId);
+    } catch (error) {
+      return createErrorResponse(404, `Menu lookup failed: ${error.message}`);
+    }
+
+    // Resolve what the caller asked about, the same way addToCart does
+    const match = resolveMenuItem(locationMenu, requestedItemName);
+    if (match.status === 'ambiguous') {
+      return createErrorResponse(409,
+        `"${requestedItemName}" could be ${formatCandidatesForSpeech(match.candidates)}. Which one do you mean?`,
+        { candidates: match.candidates }
+      );
+    }
+    if (match.status === 'not_found') {
+      const suggestion = match.candidates.length > 0
+        ? ` Did you mean ${formatCandidatesForSpeech(match.candidates)}?`
+        : '';
+      return createErrorResponse(404,
+        `I don't see "${requestedItemName}" on the ${locationData.restaurantName} menu.${suggestion}`,
+        { suggestions: match.candidates }
+      );
+    }
+
+    // Mention when the item can't be ordered right now, so the agent doesn't offer it
+    const { soldOutItems, timeZone } = await getOrderingRestrictions(locationData.locationId);
+    const availability = checkItemAvailability(locationMenu, match.itemName, timeZone);
+
+    const info = describeMenuItem(match.itemName, match.menuItem, {
+      selectedOptions: requestedOptions,
+      soldOut: !!soldOutItems[match.itemName],
+      availability: {
+        available: availability.available,
+        windowsText: availability.windows.map(describeWindow).join(', or ')
+      }
+    });
+
+    console.log(`[getMenuItemInfo] Resolved "${requestedItemName}" to "${match.itemName}" (confidence ${match.score})`);
+
+    return createSuccessResponse({
+      ...info,
+      matchConfidence: match.score,
+      soldOut: !!soldOutItems[match.itemName],
+      available: availability.available,
+      availableDuring: availability.windows.map(describeWindow)
+    });
+
+  } catch (error) {
+    console.error('Error getting menu item info:', error);
+    return createErrorResponse(500, 'Internal server error', { details: error.message });
+  }
+};
+
+// Apply a spoken promo code to the session cart
+module.exports.applyPromotion = async (event) => {
+  console.log('[applyPromotion] Starting function...');
+
+  try {
+    // Parse the request body
+    let body;
+    if (typeof event.body === 'string') {
+      body = JSON.parse(event.body);
+    } else {
+      body = event.body;
+    }
+
+    // Extract call ID and promo code
+    const callId = extractCallId(body);
+    if (!callId) {
+      return createErrorResponse(400, 'Missing call ID in request');
+    }
+
+    const promoCode = body.args?.promoCode;
+
+    console.log(`[applyPromotion] Call ID: ${callId}, Args:`, { promoCode });
+
+    if (!promoCode) {
+      return createErrorResponse(400, 'Missing required field: promoCode');
+    }
+
+    // Get location and its promotions (clientDatabase record)
+    let locationData;
+    try {
+      locationData = await getLocationForRequest(body);
+    } catch (error) {
+      return createLocationErrorResponse(error);
+    }
+
+    let locationRecord;
+    try {
+      locationRecord = await getLocationRecord(locationData.locationId);
+    } catch (error) {
+      return createErrorResponse(404, `Location lookup failed: ${error.message}`);
+    }
+
+    const promotion = findPromotion(locationRecord, promoCode);
+    if (!promotion) {
+      return createErrorResponse(404, `I couldn't find a promo code "${promoCode}" for ${locationData.restaurantName}.`);
+    }
+
+    return await updateSessionCart(callId, (sessionCart, session) => {
+      // A use this call's checkout already counted doesn't count against it
+      const ownUses = session.promotion_counted === promotion.code ? 1 : 0;
+      const check = checkPromotion(promotion, sessionCart, {
+        usageCount: Math.max(0, getPromotionUsage(locationRecord, promotion.code) - ownUses)
+      });
+
+      if (!check.valid) {
+        console.log(`Promotion ${promotion.code} rejected: ${check.reason}`);
+        return {
+          save: false,
+          response: createErrorResponse(400, check.reason, { promoCode: promotion.code })
+        };
+      }
 
-  // Create the summary message
-  const itemsText = speechItems.join(', ');
-  const formattedSubtotal = (subtotal || 0).toFixed(2);
-  
-  return `${itemsText}. Your total is $${formattedSubtotal} plus tax`;
-}
+      // One promotion per order; a new code replaces the previous one
+      const replaced = session.promotion?.code && session.promotion.code !== promotion.code
+        ? session.promotion.code
+        : null;
+      session.promotion = { ...promotion, appliedAt: new Date().toISOString() };
+
+      console.log(`Promotion ${promotion.code} applied: $${check.discount.toFixed(2)} off${replaced ? ` (replaces ${replaced})` : ''}`);
+
+      return {
+        save: true,
+        response: createSuccessResponse({
+          message: `Promo ${promotion.code} applied: ${describePromotion(promotion)}. That's $${check.discount.toFixed(2)} off your order.${replaced ? ` It replaces promo ${replaced}.` : ''}`,
+          promoCode: promotion.code,
+          discount: check.discount,
+          replacedPromoCode: replaced
+        })
+      };
+    });
+
+  } catch (error) {
+    if (error.code === CART_CONTENTION_ERROR) {
+      return createErrorResponse(409, error.message);
+    }
+    console.error('Error applying promotion:', error);
+    return createErrorResponse(500, 'Internal server error', { details: error.message });
+  }
+};
+
+// Schedule the order for a later pickup (or back to ASAP)
+module.exports.setPickupTime = async (event) => {
+  console.log('[setPickupTime] Starting function...');
 
-// Add item to cart
-module.exports.addToCart = async (event) => {
-  console.log('[addToCart] Starting function...');
-  
   try {
     // Parse the request body
     let body;
@@ -321,190 +2239,127 @@ module.exports.addToCart = async (event) => {
       body = event.body;
     }
 
-    // Extract call ID and item data
+    // Extract call ID and the requested time
     const callId = extractCallId(body);
     if (!callId) {
       return createErrorResponse(400, 'Missing call ID in request');
     }
 
-    // Extract phone number from Retell payload
-    const phoneNumber = extractPhoneNumber(body);
-    if (!phoneNumber) {
-      return createErrorResponse(400, 'Missing phone number in request - cannot determine location');
-    }
-
-    // Extract item data from args (preserve original order payload)
-    const itemName = body.args?.itemName;
-    const quantity = body.args?.quantity || 1;
-    const specialInstructions = body.args?.specialInstructions || '';
-    const firstItemSpiceLevel = body.args?.firstItemSpiceLevel;
-    const secondItemSpiceLevel = body.args?.secondItemSpiceLevel;
+    const requestedTime = body.args?.pickupTime;
 
-    console.log(`[addToCart] Call ID: ${callId}, Args:`, { 
-      phoneNumber, 
-      itemName, 
-      quantity, 
-      specialInstructions,
-      firstItemSpiceLevel,
-      secondItemSpiceLevel
-    });
+    console.log(`[setPickupTime] Call ID: ${callId}, Args:`, { pickupTime: requestedTime });
 
-    // Validate inputs
-    if (!itemName) {
-      return createErrorResponse(400, 'Missing required field: itemName');
+    if (!requestedTime) {
+      return createErrorResponse(400, 'Missing required field: pickupTime');
     }
 
-    if (quantity <= 0 || !Number.isInteger(quantity)) {
-      return createErrorResponse(400, 'Quantity must be a positive integer');
+    // Get location hours (clientDatabase record) and menu windows (clientMenu)
+    let locationData;
+    try {
+      locationData = await getLocationForRequest(body);
+    } catch (error) {
+      return createLocationErrorResponse(error);
     }
 
-    // Step 1: Get location from phone number
-    let locationData;
+    let locationRecord;
     try {
-      locationData = await getLocationFromPhoneNumber(phoneNumber);
+      locationRecord = await getLocationRecord(locationData.locationId);
     } catch (error) {
       return createErrorResponse(404, `Location lookup failed: ${error.message}`);
     }
 
-    // Step 2: Get location-specific menu
-    let locationMenu;
+    let locationMenu = null;
     try {
       locationMenu = await getLocationMenu(locationData.restaurantName, locationData.locationId);
     } catch (error) {
-      return createErrorResponse(404, `Menu lookup failed: ${error.message}`);
+      console.warn('Could not load menu windows for pickup time:', error.message);
     }
 
-    // Step 3: Find item in location menu (direct access by item name)
-    const menuItem = locationMenu[itemName];
-    if (!menuItem) {
-      const availableItems = Object.keys(locationMenu).filter(key => 
-        !['restaurantName', 'locationID'].includes(key)
-      );
-      return createErrorResponse(404, 
-        `Item "${itemName}" not found in ${locationData.restaurantName} ${locationData.locationId} menu`, 
-        { availableItems }
-      );
+    const timeZone = locationRecord.timeZone;
+    const pickupAt = parsePickupTime(requestedTime, timeZone);
+    if (!pickupAt) {
+      return createErrorResponse(400, `I didn't catch a pickup time in "${requestedTime}". What time would you like to pick up?`);
     }
 
-    // Get existing session cart
-    const sessionCart = await getSessionCart(callId);
-
-    // Determine if this is a 2PC item
-    const is2PcItem = itemName.includes("(2pc)");
-
-    // Create cart item using new menu structure
-    const cartItem = {
-      // Square-required fields
-      variation_id: menuItem.variation_id,
-      item_name: itemName,
-      
-      // Menu data
-      price: menuItem.price,
-      currency: menuItem.currency,
-      description: menuItem.description || '',
-      
-      // Square payment processor expects this format
-      price_money: {
-        amount: menuItem.price,
-        currency: menuItem.currency
-      },
-      
-      // Cart-specific fields
-      quantity: quantity,
-      specialInstructions: specialInstructions,
-      unitPrice: menuItem.price / 100, // Convert cents to dollars
-      lineTotal: (menuItem.price / 100) * quantity,
-      modifiers: [], // Initialize empty modifiers array
-      
-      // For backward compatibility
-      itemId: menuItem.variation_id,
-      name: itemName
-    };
+    // The kitchen's current load counts toward how soon the order can be ready
+    const recentOrders = await countRecentOrders(dynamodb, SESSION_CARTS_TABLE, locationData.locationId, locationRecord);
 
-    // Auto-apply spice level modifiers
-    let totalModifierPrice = 0;
+    return await updateSessionCart(callId, (sessionCart, session) => {
+      if (pickupAt === 'asap') {
+        const wasScheduled = !!session.pickup_time;
+        delete session.pickup_time;
 
-    // Apply first item spice level
-    if (firstItemSpiceLevel) {
-      const firstSpiceModifier = findSpiceLevelModifier(menuItem, firstItemSpiceLevel, true, is2PcItem);
-      if (firstSpiceModifier) {
-        cartItem.modifiers.push(firstSpiceModifier);
-        totalModifierPrice += firstSpiceModifier.price;
-        console.log(`Applied first item spice level: ${firstSpiceModifier.optionName}`);
-      } else {
-        console.warn(`Could not apply first item spice level: ${firstItemSpiceLevel}`);
+        return {
+          save: wasScheduled,
+          response: createSuccessResponse({
+            message: 'Got it, the order will be ready as soon as possible.',
+            pickupTime: null
+          })
+        };
       }
-    }
 
-    // Apply second item spice level (only for 2PC items)
-    if (secondItemSpiceLevel) {
-      if (is2PcItem) {
-        const secondSpiceModifier = findSpiceLevelModifier(menuItem, secondItemSpiceLevel, false, is2PcItem);
-        if (secondSpiceModifier) {
-          cartItem.modifiers.push(secondSpiceModifier);
-          totalModifierPrice += secondSpiceModifier.price;
-          console.log(`Applied second item spice level: ${secondSpiceModifier.optionName}`);
-        } else {
-          console.warn(`Could not apply second item spice level: ${secondItemSpiceLevel}`);
-        }
-      } else {
-        console.warn(`Second item spice level ignored for non-2PC item: ${itemName}`);
+      // The cart has to be ready (and delivered) by then, and the store open
+      const delivering = isDeliveryOrder(session);
+      const estimate = estimatePrepTime(sessionCart, locationMenu, locationRecord, { recentOrders });
+      const deliveryMinutes = delivering ? getDeliveryConfig(locationRecord)?.deliveryMinutes || 0 : 0;
+      const check = checkPickupTime(locationRecord, pickupAt, { prepMinutes: estimate.minutes + deliveryMinutes });
+      if (!check.valid) {
+        console.log(`Pickup time ${pickupAt.toISOString()} rejected: ${check.reason}`);
+        return {
+          save: false,
+          response: createErrorResponse(400, check.reason, {
+            earliestPickupTime: check.earliest ? check.earliest.toISOString() : null
+          })
+        };
       }
-    }
-
-    // Recalculate line total including modifier prices
-    cartItem.lineTotal = (cartItem.unitPrice + totalModifierPrice) * quantity;
 
-    // Check if item already exists in cart (same item + instructions + modifiers)
-    const existingIndex = sessionCart.findIndex(item => {
-      if (item.itemId !== cartItem.itemId || item.specialInstructions !== cartItem.specialInstructions) {
-        return false;
-      }
-      
-      // Compare modifiers (same modifiers = same item configuration)
-      if (item.modifiers?.length !== cartItem.modifiers?.length) {
-        return false;
+      // Items already in the cart have to be served at the new time too
+      const unavailableLines = locationMenu
+        ? sessionCart
+          .flatMap(item => item.comboItems ? item.comboItems.map(part => part.item_name) : [item.item_name || item.name])
+          .map(itemName => ({ itemName, availability: checkItemAvailability(locationMenu, itemName, timeZone, pickupAt) }))
+          .filter(line => !line.availability.available)
+        : [];
+      if (unavailableLines.length > 0) {
+        return {
+          save: false,
+          response: createErrorResponse(409,
+            unavailableLines.map(line => describeUnavailable(line.itemName, line.availability.windows, locationMenu)).join(' '),
+            { unavailableItems: unavailableLines.map(line => line.itemName) }
+          )
+        };
       }
-      
-      // Check if all modifiers match
-      const itemModifierIds = (item.modifiers || []).map(mod => mod.optionId).sort();
-      const cartModifierIds = (cartItem.modifiers || []).map(mod => mod.optionId).sort();
-      
-      return JSON.stringify(itemModifierIds) === JSON.stringify(cartModifierIds);
-    });
 
-    if (existingIndex >= 0) {
-      // Update existing item
-      sessionCart[existingIndex].quantity += quantity;
-      
-      // Recalculate line total including modifiers
-      const existingModifierTotal = (sessionCart[existingIndex].modifiers || [])
-        .reduce((sum, mod) => sum + (mod.price || 0), 0);
-      sessionCart[existingIndex].lineTotal = (sessionCart[existingIndex].unitPrice + existingModifierTotal) * sessionCart[existingIndex].quantity;
-    } else {
-      // Add new item
-      sessionCart.push(cartItem);
-    }
-
-    // Save updated cart to session
-    await saveSessionCart(callId, sessionCart);
-
-    console.log('Item added successfully to session cart');
-
-    return createSuccessResponse({
-      message: `Added ${quantity} ${itemName} to cart for ${locationData.restaurantName} ${locationData.locationId}`
+      session.pickup_time = {
+        pickupAt: pickupAt.toISOString(),
+        requested: requestedTime
+      };
+
+      const spoken = formatPickupTimeForSpeech(pickupAt, timeZone);
+      console.log(`Pickup scheduled for ${session.pickup_time.pickupAt} (${spoken})`);
+
+      return {
+        save: true,
+        response: createSuccessResponse({
+          message: `${delivering ? 'Delivery' : 'Pickup'} is set for ${spoken}.`,
+          pickupTime: { pickupAt: session.pickup_time.pickupAt, spoken: spoken }
+        })
+      };
     });
 
   } catch (error) {
-    console.error('Error adding to cart:', error);
+    if (error.code === CART_CONTENTION_ERROR) {
+      return createErrorResponse(409, error.message);
+    }
+    console.error('Error setting pickup time:', error);
     return createErrorResponse(500, 'Internal server error', { details: error.message });
   }
 };
 
-// Remove item from cart
-module.exports.removeFromCart = async (event) => {
-  console.log('[removeFromCart] Starting function...');
-  
+// Estimate how long until the order is ready ("how long will it be?")
+module.exports.getPrepEstimate = async (event) => {
+  console.log('[getPrepEstimate] Starting function...');
+
   try {
     // Parse the request body
     let body;
@@ -514,71 +2369,78 @@ module.exports.removeFromCart = async (event) => {
       body = event.body;
     }
 
-    // Extract call ID and item data
+    // Extract call ID
     const callId = extractCallId(body);
     if (!callId) {
       return createErrorResponse(400, 'Missing call ID in request');
     }
 
-    const itemName = body.args?.itemName;
-    const quantityToRemove = body.args?.quantityToRemove;
+    console.log(`[getPrepEstimate] Call ID: ${callId}, Args: (no additional args)`);
 
-    console.log(`[removeFromCart] Call ID: ${callId}, Args:`, { itemName, quantityToRemove });
-
-    // Validate inputs
-    if (!itemName) {
-      return createErrorResponse(400, 'Missing required field: itemName');
+    // Get location prep settings (clientDatabase record) and per-item prep times (clientMenu)
+    let locationData;
+    try {
+      locationData = await getLocationForRequest(body);
+    } catch (error) {
+      return createLocationErrorResponse(error);
     }
 
-    // Get session cart
-    const sessionCart = await getSessionCart(callId);
+    let locationRecord;
+    try {
+      locationRecord = await getLocationRecord(locationData.locationId);
+    } catch (error) {
+      return createErrorResponse(404, `Location lookup failed: ${error.message}`);
+    }
 
-    if (!sessionCart.length) {
-      return createErrorResponse(400, 'Cart is empty');
+    let locationMenu = null;
+    try {
+      locationMenu = await getLocationMenu(locationData.restaurantName, locationData.locationId);
+    } catch (error) {
+      console.warn('Could not load menu prep times:', error.message);
     }
 
-    // Find item in cart (flexible matching)
-    const cartIndex = sessionCart.findIndex(item => 
-      item.name.toLowerCase().includes(itemName.toLowerCase()) ||
-      itemName.toLowerCase().includes(item.name.toLowerCase())
-    );
+    const session = await getSessionRecord(callId);
+    const recentOrders = await countRecentOrders(dynamodb, SESSION_CARTS_TABLE, locationData.locationId, locationRecord);
+    const estimate = estimatePrepTime(session.cart_items || [], locationMenu, locationRecord, { recentOrders });
 
-    if (cartIndex === -1) {
-      const cartItemNames = sessionCart.map(item => item.name);
-      return createErrorResponse(404, `Item "${itemName}" not found in cart`, { currentItems: cartItemNames });
-    }
+    // Delivery orders also need the drive over
+    const delivering = isDeliveryOrder(session);
+    const deliveryMinutes = delivering ? getDeliveryConfig(locationRecord)?.deliveryMinutes || 0 : 0;
 
-    const cartItem = sessionCart[cartIndex];
-    const removeQty = quantityToRemove || cartItem.quantity; // Remove all if not specified
+    const timeZone = locationRecord.timeZone;
+    const readyAt = new Date(Date.now() + (estimate.minutes + deliveryMinutes) * 60000);
 
-    if (removeQty >= cartItem.quantity) {
-      // Remove entire item
-      sessionCart.splice(cartIndex, 1);
+    let message;
+    if (session.pickup_time) {
+      message = `Your order is scheduled for ${delivering ? 'delivery' : 'pickup'} ${formatPickupTimeForSpeech(new Date(session.pickup_time.pickupAt), timeZone)}.`;
     } else {
-      // Reduce quantity
-      sessionCart[cartIndex].quantity -= removeQty;
-      sessionCart[cartIndex].lineTotal = sessionCart[cartIndex].unitPrice * sessionCart[cartIndex].quantity;
+      const readyText = `${delivering ? 'delivered' : 'ready'} in ${describePrepTime(estimate.minutes + deliveryMinutes)}, around ${formatLocalTimeForSpeech(readyAt, timeZone)}`;
+      message = estimate.loadMinutes >= 5
+        ? `We're a little busy right now, so your order will be ${readyText}.`
+        : `Your order will be ${readyText}.`;
     }
 
-    // Save updated cart to session
-    await saveSessionCart(callId, sessionCart);
-
-    console.log('Item removed successfully from session cart');
+    console.log(`Prep estimate for call ${callId}: ${estimate.minutes} minutes (${estimate.itemCount} items, ${recentOrders} recent orders)`);
 
     return createSuccessResponse({
-      message: `Removed ${removeQty} ${cartItem.name} from cart`
+      message: message,
+      prepMinutes: estimate.minutes,
+      deliveryMinutes: deliveryMinutes,
+      readyAt: session.pickup_time ? session.pickup_time.pickupAt : readyAt.toISOString(),
+      scheduled: !!session.pickup_time,
+      estimate: estimate
     });
 
   } catch (error) {
-    console.error('Error removing from cart:', error);
+    console.error('Error estimating prep time:', error);
     return createErrorResponse(500, 'Internal server error', { details: error.message });
   }
 };
 
-// Get cart summary with totals
-module.exports.getCartSummary = async (event) => {
-  console.log('[getCartSummary] Starting function...');
-  
+// Choose pickup or delivery for the order
+module.exports.setFulfillmentType = async (event) => {
+  console.log('[setFulfillmentType] Starting function...');
+
   try {
     // Parse the request body
     let body;
@@ -588,46 +2450,87 @@ module.exports.getCartSummary = async (event) => {
       body = event.body;
     }
 
-    // Extract call ID
+    // Extract call ID and the requested fulfillment type
     const callId = extractCallId(body);
     if (!callId) {
       return createErrorResponse(400, 'Missing call ID in request');
     }
 
-    console.log(`[getCartSummary] Call ID: ${callId}, Args: (no additional args)`);
+    const requestedType = body.args?.fulfillmentType;
 
-    // Get session cart
-    const sessionCart = await getSessionCart(callId);
+    console.log(`[setFulfillmentType] Call ID: ${callId}, Args:`, { fulfillmentType: requestedType });
 
-    if (!sessionCart.length) {
-      return createSuccessResponse({
-        message: 'Your cart is empty'
-      });
+    if (!requestedType) {
+      return createErrorResponse(400, 'Missing required field: fulfillmentType');
+    }
+
+    // "delivery", "deliver it"; "pickup", "carry out", "takeout", "to go"
+    const normalizedType = String(requestedType).toLowerCase();
+    const fulfillmentType = /deliver/.test(normalizedType)
+      ? 'delivery'
+      : /pick|carry|take|to go/.test(normalizedType) ? 'pickup' : null;
+    if (!fulfillmentType) {
+      return createErrorResponse(400, `Fulfillment type must be pickup or delivery (got "${requestedType}").`);
     }
 
-    // Calculate totals
-    const subtotal = sessionCart.reduce((sum, item) => sum + item.lineTotal, 0);
-    const itemCount = sessionCart.reduce((sum, item) => sum + item.quantity, 0);
+    // Delivery has to be offered at the caller's location (clientDatabase record)
+    let locationRecord = null;
+    if (fulfillmentType === 'delivery') {
+      let locationData;
+      try {
+        locationData = await getLocationForRequest(body);
+        locationRecord = await getLocationRecord(locationData.locationId);
+      } catch (error) {
+        return createLocationErrorResponse(error);
+      }
+
+      if (!getDeliveryConfig(locationRecord)) {
+        return createErrorResponse(400, `Sorry, ${locationData.restaurantName} doesn't offer delivery, but you can pick the order up.`);
+      }
+    }
 
-    // Create speech-friendly summary
-    const speechSummary = createSpeechFriendlySummary(sessionCart, subtotal);
+    return await updateSessionCart(callId, (sessionCart, session) => {
+      const changed = (session.fulfillment_type || 'pickup') !== fulfillmentType;
+      session.fulfillment_type = fulfillmentType;
 
-    console.log('Cart summary generated for session cart');
+      if (fulfillmentType === 'pickup') {
+        return {
+          save: changed,
+          response: createSuccessResponse({
+            message: 'Got it, the order is for pickup.',
+            fulfillmentType: 'pickup'
+          })
+        };
+      }
 
-    return createSuccessResponse({
-      message: speechSummary
+      // A delivery address given earlier in the call is used again
+      const addressKnown = !!session.delivery;
+      return {
+        save: changed,
+        response: createSuccessResponse({
+          message: addressKnown
+            ? `Got it, we'll deliver to ${describeDeliveryAddress(session.delivery.address)}.`
+            : "Sure, we can deliver. What's the delivery address?",
+          fulfillmentType: 'delivery',
+          needsAddress: !addressKnown,
+          deliveryAddress: addressKnown ? describeDeliveryAddress(session.delivery.address) : null
+        })
+      };
     });
 
   } catch (error) {
-    console.error('Error getting cart summary:', error);
+    if (error.code === CART_CONTENTION_ERROR) {
+      return createErrorResponse(409, error.message);
+    }
+    console.error('Error setting fulfillment type:', error);
     return createErrorResponse(500, 'Internal server error', { details: error.message });
   }
 };
 
-// Generate upsell suggestions based on current cart
-module.exports.upsell = async (event) => {
-  console.log('[upsell] Starting function...');
-  
+// Capture the delivery address and check it against the location's delivery zones
+module.exports.setDeliveryAddress = async (event) => {
+  console.log('[setDeliveryAddress] Starting function...');
+
   try {
     // Parse the request body
     let body;
@@ -637,70 +2540,117 @@ module.exports.upsell = async (event) => {
       body = event.body;
     }
 
-    // Extract call ID
+    // Extract call ID and the address as the caller gave it
     const callId = extractCallId(body);
     if (!callId) {
       return createErrorResponse(400, 'Missing call ID in request');
     }
 
-    console.log(`[upsell] Call ID: ${callId}, Args: (no additional args)`);
+    const args = body.args || {};
+    const street = (args.address || '').trim();
 
-    // Get session cart
-    const sessionCart = await getSessionCart(callId);
+    console.log(`[setDeliveryAddress] Call ID: ${callId}, Args:`, {
+      address: street,
+      unit: args.unit,
+      city: args.city,
+      state: args.state,
+      zipCode: args.zipCode
+    });
 
-    // Check what's already in cart
-    const cartItemNames = sessionCart.map(item => (item.item_name || item.name || '').toLowerCase());
-    
-    // Check for items in cart
-    const hasFries = cartItemNames.some(item => item.includes('fries'));
-    const hasMac = cartItemNames.some(item => item.includes('mac'));
-    const hasSlaw = cartItemNames.some(item => item.includes('slaw'));
-    const hasToffee = cartItemNames.some(item => item.includes('toffee'));
-
-    // Start with base sentence and remove parts
-    let message = "Before I confirm, would you like to add ";
-    let parts = [];
-    
-    // Add fries if not in cart
-    if (!hasFries) {
-      parts.push("regular fries, cheese fries");
+    if (!street) {
+      return createErrorResponse(400, 'Missing required field: address');
     }
-    
-    // Add mac & cheese if not in cart
-    if (!hasMac) {
-      parts.push("mac & cheese");
-    }
-    
-    // Add slaw if not in cart
-    if (!hasSlaw) {
-      parts.push("slaw");
+
+    // Get the location's delivery zones (clientDatabase record)
+    let locationData;
+    try {
+      locationData = await getLocationForRequest(body);
+    } catch (error) {
+      return createLocationErrorResponse(error);
     }
-    
-    // Add dessert part if toffee cake not in cart
-    let dessertPart = "";
-    if (!hasToffee) {
-      dessertPart = ", we also have toffee cake for dessert";
+
+    let locationRecord;
+    try {
+      locationRecord = await getLocationRecord(locationData.locationId);
+    } catch (error) {
+      return createErrorResponse(404, `Location lookup failed: ${error.message}`);
     }
-    
-    // Build final message
-    if (parts.length === 0) {
-      message = "";
-    } else if (parts.length === 1) {
-      message += parts[0] + dessertPart + "?";
-    } else {
-      // Join with commas and add "or" before the last item
-      const lastItem = parts.pop();
-      message += parts.join(", ") + ", or " + lastItem + dessertPart + "?";
+
+    const deliveryConfig = getDeliveryConfig(locationRecord);
+    if (!deliveryConfig) {
+      return createErrorResponse(400, `Sorry, ${locationData.restaurantName} doesn't offer delivery, but you can pick the order up.`);
     }
 
-    console.log('Upsell suggestions generated');
+    // A ZIP code said along with the street ("123 Main St 22201") is moved to its own field
+    const zipFromStreet = args.zipCode ? null : normalizeZipCode(street);
+    const address = {
+      line1: zipFromStreet ? street.replace(/,?\s*\d{5}(?:-\d{4})?\s*$/, '') || street : street,
+      line2: (args.unit || '').trim() || null,
+      city: (args.city || '').trim() || null,
+      state: (args.state || '').trim() || null,
+      zipCode: normalizeZipCode(args.zipCode) || zipFromStreet,
+      notes: (args.deliveryNotes || '').trim() || null,
+      // Coordinates always come from our own lookup; ones passed in the request would decide the zone and fee
+      latitude: null,
+      longitude: null
+    };
+
+    // Zones need the address on the map, and a ZIP allowlist is checked against the matched ZIP
+    // rather than the one the caller said
+    if (deliveryConfig.zones.length > 0 || deliveryConfig.zipCodes.length > 0) {
+      const location = await geocodeAddress(address);
+      if (location) {
+        address.latitude = location.latitude;
+        address.longitude = location.longitude;
+        address.zipCode = normalizeZipCode(location.zipCode) || address.zipCode;
+        address.state = address.state || location.state;
+        console.log(`[setDeliveryAddress] Geocoded "${street}" to ${location.matchedAddress}`);
+      }
+    }
 
-    return createSuccessResponse({
-      message: message
+    const check = checkDeliveryAddress(locationRecord, address);
+    if (!check.valid) {
+      console.log(`Delivery address "${street}" rejected: ${check.reason}`);
+      return createErrorResponse(400, check.reason, { distanceMiles: check.distanceMiles ?? null });
+    }
+
+    return await updateSessionCart(callId, (sessionCart, session) => {
+      session.fulfillment_type = 'delivery';
+      session.delivery = {
+        address: address,
+        zone: check.zone,
+        fee: check.fee,
+        minSubtotal: check.minSubtotal,
+        distanceMiles: check.distanceMiles,
+        checkedAt: new Date().toISOString()
+      };
+
+      const spoken = describeDeliveryAddress(address);
+      const feeText = check.fee > 0 ? ` The delivery fee is $${check.fee.toFixed(2)}.` : ' Delivery is free.';
+      const minimumCheck = checkDeliveryMinimum(check, calculateCartTotals(sessionCart, null).subtotal);
+
+      console.log(`Delivery set for call ${callId}: ${spoken} (zone ${check.zone || 'ZIP'}, fee $${check.fee.toFixed(2)})`);
+
+      return {
+        save: true,
+        response: createSuccessResponse({
+          message: `Got it, we'll deliver to ${spoken}.${feeText}${minimumCheck.valid ? '' : ` ${minimumCheck.reason}`}`,
+          fulfillmentType: 'delivery',
+          deliveryAddress: spoken,
+          zone: check.zone,
+          deliveryFee: check.fee,
+          minSubtotal: check.minSubtotal,
+          minimumMet: minimumCheck.valid,
+          distanceMiles: check.distanceMiles
+        })
+      };
     });
 
   } catch (error) {
-    console.error('Error generating upsell suggestions:', error);
+    if (error.code === CART_CONTENTION_ERROR) {
+      return createErrorResponse(409, error.message);
+    }
+    console.error('Error setting delivery address:', error);
     return createErrorResponse(500, 'Internal server error', { details: error.message });
   }
 };
@@ -724,39 +2674,46 @@ module.exports.addModifierToCart = async (event) => {
       return createErrorResponse(400, 'Missing call ID in request');
     }
 
-    // Extract phone number from Retell payload
-    const phoneNumber = extractPhoneNumber(body);
-    if (!phoneNumber) {
-      return createErrorResponse(400, 'Missing phone number in request - cannot determine location');
-    }
-
     // Extract modifier data from args
-    const itemName = body.args?.itemName;
-    const firstSandwichMods = body.args?.firstSandwichMods || [];
-    const secondSandwichMods = body.args?.secondSandwichMods || [];
+    let requestedItemName = body.args?.itemName;
+    const lineId = body.args?.lineId;
+    // Per-piece modifiers: componentModifiers, or firstSandwichMods / secondSandwichMods (pieces 1 and 2)
+    const modifierRequests = collectComponentModifierArgs(body.args);
 
     console.log(`[addModifierToCart] Call ID: ${callId}, Args:`, { 
-      phoneNumber, 
-      itemName, 
-      firstSandwichMods,
-      secondSandwichMods
+      itemName: requestedItemName, 
+      lineId,
+      modifierRequests
     });
 
     // Validate inputs
-    if (!itemName) {
-      return createErrorResponse(400, 'Missing required field: itemName');
+    if (!requestedItemName && !lineId) {
+      return createErrorResponse(400, 'Missing required field: itemName or lineId');
+    }
+
+    // A line ID pins the exact line (or combo part); its menu item comes from the cart
+    if (lineId) {
+      const currentCart = await getSessionCart(callId);
+      const target = findModifierTarget(currentCart, lineId);
+      if (!target) {
+        return createErrorResponse(404, `Line "${lineId}" not found in cart`, { cart: summarizeCartLines(currentCart) });
+      }
+      if (target.cartItem.comboItems) {
+        return createErrorResponse(400, describeComboPartTargets(target.cartItem), { cart: summarizeCartLines(currentCart) });
+      }
+      requestedItemName = target.cartItem.item_name || target.cartItem.name;
     }
 
-    if (firstSandwichMods.length === 0 && secondSandwichMods.length === 0) {
-      return createErrorResponse(400, 'At least one modifier array (firstSandwichMods or secondSandwichMods) must contain modifiers');
+    if (modifierRequests.length === 0) {
+      return createErrorResponse(400, 'At least one modifier list (componentModifiers, firstSandwichMods or secondSandwichMods) must contain modifiers');
     }
 
     // Step 1: Get location from phone number
     let locationData;
     try {
-      locationData = await getLocationFromPhoneNumber(phoneNumber);
+      locationData = await getLocationForRequest(body);
     } catch (error) {
-      return createErrorResponse(404, `Location lookup failed: ${error.message}`);
+      return createLocationErrorResponse(error);
     }
 
     // Step 2: Get location-specific menu
@@ -767,77 +2724,41 @@ module.exports.addModifierToCart = async (event) => {
       return createErrorResponse(404, `Menu lookup failed: ${error.message}`);
     }
 
-    // Step 3: Find item in location menu (direct access by item name)
-    const menuItem = locationMenu[itemName];
-    if (!menuItem) {
-      const availableItems = Object.keys(locationMenu).filter(key => 
-        !['restaurantName', 'locationID'].includes(key)
+    // Step 3: Resolve the spoken name to a menu item (fuzzy match + aliases)
+    const match = resolveMenuItem(locationMenu, requestedItemName);
+    if (match.status === 'ambiguous') {
+      return createErrorResponse(409,
+        `"${requestedItemName}" could be ${formatCandidatesForSpeech(match.candidates)}. Which one should I modify?`,
+        { candidates: match.candidates }
       );
+    }
+    if (match.status === 'not_found') {
       return createErrorResponse(404, 
-        `Item "${itemName}" not found in ${locationData.restaurantName} menu`, 
-        { availableItems }
+        `Item "${requestedItemName}" not found in ${locationData.restaurantName} menu`, 
+        { suggestions: match.candidates }
       );
     }
 
-    // Step 4: Determine item type and find modifiers
-    const is2PcItem = itemName.includes("(2pc)");
+    const itemName = match.itemName;
+    const menuItem = match.menuItem;
+
+    // Step 4: Find each requested modifier on the piece it was asked for
     const modifiersToApply = [];
     const failedModifiers = [];
 
-    // Apply first sandwich modifiers
-    if (firstSandwichMods.length > 0) {
-      for (const firstMod of firstSandwichMods) {
-        let firstModifierDetails = null;
-        
-        if (is2PcItem) {
-          // For 2PC items, look in "Choose Your First Sandwich Mods"
-          firstModifierDetails = findModifierInCategory(menuItem, firstMod, "Choose Your First Sandwich Mods");
-        } else {
-          // For single items, search through all categories (existing behavior for single items)
-          for (const modifierCategory of menuItem.modifiers || []) {
-            if (!modifierCategory.options) continue;
-            
-            const option = modifierCategory.options.find(opt => opt.name.trim() === firstMod.trim());
-            if (option) {
-              firstModifierDetails = {
-                category: modifierCategory.category,
-                optionId: option.id,
-                optionName: option.name,
-                price: option.price / 100, // Convert cents to dollars
-                currency: option.currency || 'USD'
-              };
-        break;
-      }
-    }
-        }
-        
-        if (firstModifierDetails) {
-          modifiersToApply.push(firstModifierDetails);
-          console.log(`First modifier found: ${firstModifierDetails.optionName} in ${firstModifierDetails.category}`);
-        } else {
-          failedModifiers.push(`${firstMod} (first piece)`);
-          console.warn(`First modifier "${firstMod}" not found for "${itemName}"`);
-        }
-      }
-    }
+    for (const { component, modifiers } of modifierRequests) {
+      const pieceName = describeComponent(menuItem, component);
 
-    // Apply second sandwich modifiers (only for 2PC items)
-    if (secondSandwichMods.length > 0) {
-      if (is2PcItem) {
-        for (const secondMod of secondSandwichMods) {
-          const secondModifierDetails = findModifierInCategory(menuItem, secondMod, "Choose Your Second Sandwich Mods");
-          
-          if (secondModifierDetails) {
-            modifiersToApply.push(secondModifierDetails);
-            console.log(`Second modifier found: ${secondModifierDetails.optionName} in ${secondModifierDetails.category}`);
-          } else {
-            failedModifiers.push(`${secondMod} (second piece)`);
-            console.warn(`Second modifier "${secondMod}" not found for "${itemName}"`);
-          }
+      for (const modifierName of modifiers) {
+        const modifierDetails = findComponentModifier(menuItem, component, modifierName);
+
+        if (modifierDetails) {
+          modifiersToApply.push(modifierDetails);
+          console.log(`Modifier found for ${pieceName}: ${modifierDetails.optionName} in ${modifierDetails.category}`);
+        } else {
+          failedModifiers.push(`${modifierName} (${pieceName})`);
+          console.warn(`Modifier "${modifierName}" not found for ${pieceName} of "${itemName}"`);
         }
-      } else {
-        console.warn(`Second modifiers ignored for non-2PC item: ${itemName}`);
-        failedModifiers.push(...secondSandwichMods.map(mod => `${mod} (second piece - not applicable)`));
       }
     }
 
@@ -848,99 +2769,111 @@ module.exports.addModifierToCart = async (event) => {
       });
     }
 
-    // Step 6: Get session cart and find most recent matching item
-    const sessionCart = await getSessionCart(callId);
-    
-    // Find the most recent cart item with matching name (reverse search)
-    let targetCartItemIndex = -1;
-    for (let i = sessionCart.length - 1; i >= 0; i--) {
-      if (sessionCart[i].item_name === itemName || sessionCart[i].name === itemName) {
-        targetCartItemIndex = i;
-        break;
-      }
-    }
+    // Step 6: Apply to the session cart (re-run on the fresh cart if a parallel call saved first)
+    return await updateSessionCart(callId, (sessionCart) => {
+      // Target the requested line, or the most recent cart item (or combo part) with matching name
+      const target = findModifierTarget(sessionCart, lineId, itemName);
 
-    if (targetCartItemIndex === -1) {
-      return createErrorResponse(404, `No "${itemName}" found in cart to modify. Add the item first.`);
-    }
+      if (!target) {
+        return {
+          response: createErrorResponse(404, `No "${lineId || itemName}" found in cart to modify. Add the item first.`, {
+            cart: summarizeCartLines(sessionCart)
+          })
+        };
+      }
+      if (target.cartItem.comboItems) {
+        return { response: createErrorResponse(400, describeComboPartTargets(target.cartItem), { cart: summarizeCartLines(sessionCart) }) };
+      }
 
-    // Step 7: Add modifiers to cart item
-    const cartItem = sessionCart[targetCartItemIndex];
-    
-    // Initialize modifiers array if it doesn't exist
-    if (!cartItem.modifiers) {
-      cartItem.modifiers = [];
-    }
+      // Step 7: Add modifiers to cart item
+      const { cartItem, comboLine } = target;
+      
+      // Initialize modifiers array if it doesn't exist
+      if (!cartItem.modifiers) {
+        cartItem.modifiers = [];
+      }
 
-    const addedModifiers = [];
-    const skippedModifiers = [];
+      const addedModifiers = [];
+      const skippedModifiers = [];
 
-    // Apply each modifier
-    for (const modifierDetails of modifiersToApply) {
-    // Check if this modifier already exists (prevent duplicates)
-    const existingModifier = cartItem.modifiers.find(mod => 
-      mod.optionId === modifierDetails.optionId
-    );
-    
-    if (existingModifier) {
-        skippedModifiers.push(modifierDetails.optionName);
-        console.warn(`Modifier "${modifierDetails.optionName}" already applied to this item`);
-        continue;
-    }
+      // Apply each modifier
+      for (const modifierDetails of modifiersToApply) {
+        // Check if this modifier already exists (prevent duplicates)
+        const existingModifier = cartItem.modifiers.find(mod => 
+          mod.optionId === modifierDetails.optionId
+        );
+        
+        if (existingModifier) {
+          skippedModifiers.push(modifierDetails.optionName);
+          console.warn(`Modifier "${modifierDetails.optionName}" already applied to this item`);
+          continue;
+        }
 
-    // Add the new modifier
-    const newModifier = {
-        category: modifierDetails.category,
-      optionId: modifierDetails.optionId,
-      optionName: modifierDetails.optionName,
-        price: modifierDetails.price, // Already converted to dollars
-      currency: modifierDetails.currency
-    };
+        // Add the new modifier (price already converted to dollars, tagged with its piece)
+        const newModifier = { ...modifierDetails };
 
-    cartItem.modifiers.push(newModifier);
-      addedModifiers.push(newModifier);
-      console.log(`Added modifier: ${newModifier.optionName} to ${itemName}`);
-    }
+        cartItem.modifiers.push(newModifier);
+        addedModifiers.push(newModifier);
+        console.log(`Added modifier: ${newModifier.optionName} to ${itemName}`);
+      }
 
-    if (addedModifiers.length === 0) {
-      return createErrorResponse(400, `All modifiers already applied to this item: ${skippedModifiers.join(', ')}`);
-    }
+      if (addedModifiers.length === 0) {
+        return { response: createErrorResponse(400, `All modifiers already applied to this item: ${skippedModifiers.join(', ')}`) };
+      }
 
-    // Step 8: Recalculate total price
-    const modifierTotal = cartItem.modifiers.reduce((sum, mod) => sum + (mod.price || 0), 0);
-    cartItem.lineTotal = (cartItem.unitPrice + modifierTotal) * cartItem.quantity;
+      // Step 8: Recalculate total price (a combo part is priced on its combo line)
+      if (comboLine) {
+        refreshComboLine(comboLine);
+      } else {
+        cartItem.lineTotal = calculateLineTotal(cartItem);
+      }
 
-    // Step 9: Save updated cart
-    await saveSessionCart(callId, sessionCart);
+      console.log('Modifiers added successfully to cart item');
 
-    console.log('Modifiers added successfully to cart item');
+      // Create response message
+      const addedNames = addedModifiers.map(mod => mod.optionName);
+      const totalRequested = modifierRequests.reduce((sum, request) => sum + request.modifiers.length, 0);
+      
+      let message;
+      if (addedNames.length === 1) {
+        message = `Added "${addedNames[0]}" to ${itemName}`;
+      } else if (addedNames.length === totalRequested) {
+        message = `Added ${addedNames.length} modifiers to ${itemName}: ${addedNames.join(', ')}`;
+      } else {
+        message = `Added ${addedNames.length} of ${totalRequested} modifiers to ${itemName}: ${addedNames.join(', ')}`;
+      }
 
-    // Create response message
-    const addedNames = addedModifiers.map(mod => mod.optionName);
-    const totalRequested = firstSandwichMods.length + secondSandwichMods.length;
-    
-    let message;
-    if (addedNames.length === 1) {
-      message = `Added "${addedNames[0]}" to ${itemName}`;
-    } else if (addedNames.length === totalRequested) {
-      message = `Added ${addedNames.length} modifiers to ${itemName}: ${addedNames.join(', ')}`;
-    } else {
-      message = `Added ${addedNames.length} of ${totalRequested} modifiers to ${itemName}: ${addedNames.join(', ')}`;
-    }
+      // Remind the agent of required choices that are still open (or now over the limit)
+      const violations = checkLineModifiers(menuItem, cartItem);
+      if (violations.length > 0) {
+        message += `. ${describeModifierViolations(itemName, violations)}`;
+      }
 
-    return createSuccessResponse({
-      message: message,
-      modifiersAdded: addedModifiers.map(mod => ({
-        name: mod.optionName,
-        price: mod.price,
-        category: mod.category
-      })),
-      skippedModifiers: skippedModifiers,
-      failedModifiers: failedModifiers,
-      newItemTotal: cartItem.lineTotal
+      // Step 9: Save updated cart
+      return {
+        save: true,
+        response: createSuccessResponse({
+          message: message,
+          modifiersAdded: addedModifiers.map(mod => ({
+            name: mod.optionName,
+            price: mod.price,
+            category: mod.category
+          })),
+          skippedModifiers: skippedModifiers,
+          failedModifiers: failedModifiers,
+          lineId: cartItem.lineId,
+          ...(comboLine && { comboLineId: comboLine.lineId }),
+          newItemTotal: (comboLine || cartItem).lineTotal,
+          missingModifiers: violations,
+          cart: summarizeCartLines(sessionCart)
+        })
+      };
     });
 
   } catch (error) {
+    if (error.code === CART_CONTENTION_ERROR) {
+      return createErrorResponse(409, error.message);
+    }
     console.error('Error adding modifier to cart:', error);
     return createErrorResponse(500, 'Internal server error', { details: error.message });
   }
@@ -966,156 +2899,133 @@ module.exports.removeModifierFromCart = async (event) => {
     }
 
     // Extract modifier data from args
-    const itemName = body.args?.itemName;
-    const firstSandwichMods = body.args?.firstSandwichMods || [];
-    const secondSandwichMods = body.args?.secondSandwichMods || [];
+    const requestedItemName = body.args?.itemName;
+    const lineId = body.args?.lineId;
+    // Per-piece modifiers: componentModifiers, or firstSandwichMods / secondSandwichMods (pieces 1 and 2)
+    const modifierRequests = collectComponentModifierArgs(body.args);
 
     console.log(`[removeModifierFromCart] Call ID: ${callId}, Args:`, { 
-      itemName, 
-      firstSandwichMods,
-      secondSandwichMods
+      itemName: requestedItemName, 
+      lineId,
+      modifierRequests
     });
 
     // Validate inputs
-    if (!itemName) {
-      return createErrorResponse(400, 'Missing required field: itemName');
+    if (!requestedItemName && !lineId) {
+      return createErrorResponse(400, 'Missing required field: itemName or lineId');
     }
 
-    if (firstSandwichMods.length === 0 && secondSandwichMods.length === 0) {
-      return createErrorResponse(400, 'At least one modifier array (firstSandwichMods or secondSandwichMods) must contain modifiers to remove');
+    if (modifierRequests.length === 0) {
+      return createErrorResponse(400, 'At least one modifier list (componentModifiers, firstSandwichMods or secondSandwichMods) must contain modifiers to remove');
     }
 
-    // Get session cart
-    const sessionCart = await getSessionCart(callId);
+    // Apply to the session cart (re-run on the fresh cart if a parallel call saved first)
+    return await updateSessionCart(callId, (sessionCart) => {
+      if (!sessionCart.length) {
+        return { response: createErrorResponse(400, 'Cart is empty') };
+      }
 
-    if (!sessionCart.length) {
-      return createErrorResponse(400, 'Cart is empty');
-    }
+      // Target the requested line, or the most recent cart item (or combo part) with matching name (same logic as addModifierToCart)
+      const target = findModifierTarget(sessionCart, lineId, requestedItemName);
 
-    // Find the most recent cart item with matching name (same logic as addModifierToCart)
-    let targetCartItemIndex = -1;
-    for (let i = sessionCart.length - 1; i >= 0; i--) {
-      if (sessionCart[i].item_name === itemName || sessionCart[i].name === itemName) {
-        targetCartItemIndex = i;
-        break;
+      if (!target) {
+        return {
+          response: createErrorResponse(404, `No "${lineId || requestedItemName}" found in cart to modify`, {
+            cart: summarizeCartLines(sessionCart)
+          })
+        };
+      }
+      if (target.cartItem.comboItems) {
+        return { response: createErrorResponse(400, describeComboPartTargets(target.cartItem), { cart: summarizeCartLines(sessionCart) }) };
       }
-    }
-
-    if (targetCartItemIndex === -1) {
-      return createErrorResponse(404, `No "${itemName}" found in cart to modify`);
-    }
 
-    const cartItem = sessionCart[targetCartItemIndex];
+      const { cartItem, comboLine } = target;
+      const itemName = cartItem.item_name || cartItem.name;
     
-    // Check if item has modifiers
-    if (!cartItem.modifiers || cartItem.modifiers.length === 0) {
-      return createErrorResponse(404, `No modifiers found on "${itemName}"`);
-    }
-
-    // Determine item type for piece-specific targeting
-    const is2PcItem = itemName.includes("(2pc)");
-    const removedModifiers = [];
-    const failedModifiers = [];
-
-    // Process first sandwich modifiers
-    if (firstSandwichMods.length > 0) {
-      for (const modToRemove of firstSandwichMods) {
-        let modifierIndex = -1;
-        
-        if (is2PcItem) {
-          // For 2PC items, only remove from "Choose Your First Sandwich Mods" category
-          modifierIndex = cartItem.modifiers.findIndex(mod => 
-            mod.optionName.trim() === modToRemove.trim() && 
-            mod.category === "Choose Your First Sandwich Mods"
-          );
-        } else {
-          // For single items, find any matching modifier
-          modifierIndex = cartItem.modifiers.findIndex(mod => 
-            mod.optionName.trim() === modToRemove.trim()
-          );
-        }
-
-        if (modifierIndex !== -1) {
-          const removedModifier = cartItem.modifiers.splice(modifierIndex, 1)[0];
-          removedModifiers.push(removedModifier);
-          console.log(`Removed first modifier: ${removedModifier.optionName} from ${removedModifier.category}`);
-        } else {
-          failedModifiers.push(`${modToRemove} (first piece)`);
-          console.warn(`First modifier "${modToRemove}" not found on "${itemName}"`);
-        }
+      // Check if item has modifiers
+      if (!cartItem.modifiers || cartItem.modifiers.length === 0) {
+        return { response: createErrorResponse(404, `No modifiers found on "${itemName}"`) };
       }
-    }
 
-    // Process second sandwich modifiers (only for 2PC items)
-    if (secondSandwichMods.length > 0) {
-      if (is2PcItem) {
-        for (const modToRemove of secondSandwichMods) {
-          // For 2PC items, only remove from "Choose Your Second Sandwich Mods" category
-          const modifierIndex = cartItem.modifiers.findIndex(mod => 
-            mod.optionName.trim() === modToRemove.trim() && 
-            mod.category === "Choose Your Second Sandwich Mods"
+      const removedModifiers = [];
+      const failedModifiers = [];
+
+      // Only remove from the piece the modifier was asked for (whole-item modifiers count as piece 1)
+      for (const { component, modifiers } of modifierRequests) {
+        for (const modToRemove of modifiers) {
+          const modifierIndex = cartItem.modifiers.findIndex(mod =>
+            mod.optionName.trim() === modToRemove.trim() && modifierBelongsToComponent(mod, component)
           );
 
           if (modifierIndex !== -1) {
             const removedModifier = cartItem.modifiers.splice(modifierIndex, 1)[0];
             removedModifiers.push(removedModifier);
-            console.log(`Removed second modifier: ${removedModifier.optionName} from ${removedModifier.category}`);
+            console.log(`Removed modifier: ${removedModifier.optionName} from ${removedModifier.category}`);
           } else {
-            failedModifiers.push(`${modToRemove} (second piece)`);
-            console.warn(`Second modifier "${modToRemove}" not found on "${itemName}"`);
+            failedModifiers.push(`${modToRemove} (piece ${component})`);
+            console.warn(`Modifier "${modToRemove}" not found on piece ${component} of "${itemName}"`);
           }
         }
-      } else {
-        console.warn(`Second modifiers ignored for non-2PC item: ${itemName}`);
-        failedModifiers.push(...secondSandwichMods.map(mod => `${mod} (second piece - not applicable)`));
       }
-    }
 
-    if (removedModifiers.length === 0) {
-      const availableModifiers = cartItem.modifiers.map(mod => `${mod.optionName} (${mod.category})`);
-      return createErrorResponse(404, 
-        `No specified modifiers found on "${itemName}"`, 
-        { 
-          failedModifiers,
-          availableModifiers
-        }
-      );
-    }
-
-    // Recalculate total price
-    const modifierTotal = cartItem.modifiers.reduce((sum, mod) => sum + (mod.price || 0), 0);
-    cartItem.lineTotal = (cartItem.unitPrice + modifierTotal) * cartItem.quantity;
+      if (removedModifiers.length === 0) {
+        const availableModifiers = cartItem.modifiers.map(mod => `${mod.optionName} (${mod.category})`);
+        return {
+          response: createErrorResponse(404, 
+            `No specified modifiers found on "${itemName}"`, 
+            { 
+              failedModifiers,
+              availableModifiers
+            }
+          )
+        };
+      }
 
-    // Save updated cart
-    await saveSessionCart(callId, sessionCart);
+      // Recalculate total price (a combo part is priced on its combo line)
+      if (comboLine) {
+        refreshComboLine(comboLine);
+      } else {
+        cartItem.lineTotal = calculateLineTotal(cartItem);
+      }
 
-    console.log('Modifiers removed successfully from cart item');
+      console.log('Modifiers removed successfully from cart item');
 
-    // Create response message
-    const removedNames = removedModifiers.map(mod => mod.optionName);
-    const totalRequested = firstSandwichMods.length + secondSandwichMods.length;
+      // Create response message
+      const removedNames = removedModifiers.map(mod => mod.optionName);
+      const totalRequested = modifierRequests.reduce((sum, request) => sum + request.modifiers.length, 0);
     
-    let message;
-    if (removedNames.length === 1) {
-      message = `Removed "${removedNames[0]}" from ${itemName}`;
-    } else if (removedNames.length === totalRequested) {
-      message = `Removed ${removedNames.length} modifiers from ${itemName}: ${removedNames.join(', ')}`;
-    } else {
-      message = `Removed ${removedNames.length} of ${totalRequested} modifiers from ${itemName}: ${removedNames.join(', ')}`;
-    }
+      let message;
+      if (removedNames.length === 1) {
+        message = `Removed "${removedNames[0]}" from ${itemName}`;
+      } else if (removedNames.length === totalRequested) {
+        message = `Removed ${removedNames.length} modifiers from ${itemName}: ${removedNames.join(', ')}`;
+      } else {
+        message = `Removed ${removedNames.length} of ${totalRequested} modifiers from ${itemName}: ${removedNames.join(', ')}`;
+      }
 
-    return createSuccessResponse({
-      message: message,
-      modifiersRemoved: removedModifiers.map(mod => ({
-        name: mod.optionName,
-        price: mod.price,
-        category: mod.category
-      })),
-      failedModifiers: failedModifiers,
-      newItemTotal: cartItem.lineTotal
+      // Save updated cart
+      return {
+        save: true,
+        response: createSuccessResponse({
+          message: message,
+          modifiersRemoved: removedModifiers.map(mod => ({
+            name: mod.optionName,
+            price: mod.price,
+            category: mod.category
+          })),
+          failedModifiers: failedModifiers,
+          lineId: cartItem.lineId,
+          ...(comboLine && { comboLineId: comboLine.lineId }),
+          newItemTotal: (comboLine || cartItem).lineTotal,
+          cart: summarizeCartLines(sessionCart)
+        })
+      };
     });
 
   } catch (error) {
+    if (error.code === CART_CONTENTION_ERROR) {
+      return createErrorResponse(409, error.message);
+    }
     console.error('Error removing modifier from cart:', error);
     return createErrorResponse(500, 'Internal server error', { details: error.message });
   }
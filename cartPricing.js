@@ -0,0 +1,141 @@
+/**
+ * Cart Pricing
+ * Estimates tax and grand totals for a session cart
+ *
+ * Tax configuration lives on each location's clientDatabase record:
+ * - taxRate: combined sales tax rate as a fraction (e.g. 0.06 for 6%)
+ * - taxName: label used on the Square order (defaults to "Sales Tax")
+ * - taxExemptCategories: menu item taxCategory values that are not taxed (e.g. ["grocery"])
+ *
+ * Tax is computed per line and rounded to the cent, the same way Square
+ * computes an order-level tax applied to individual line items. An order
+ * discount (promotion) is spread across lines in proportion to their totals
+ * before tax, as Square does. A delivery fee is added after tax (it isn't taxed).
+ *
+ * Cart amounts are dollars; roundCurrency and calculateLineTotal are the money helpers
+ * the cart, combos, promotions, delivery and menu info modules share.
+ */
+
+const DEFAULT_TAX_NAME = 'Sales Tax';
+
+// UID that ties Square line items to the order-level tax
+const SQUARE_TAX_UID = 'location-sales-tax';
+
+/**
+ * Round a dollar amount to cents
+ * @param {number} amount - Dollars
+ * @returns {number}
+ */
+function roundCurrency(amount) {
+  return Math.round((amount || 0) * 100) / 100;
+}
+
+/**
+ * Price a cart line: (unit price + modifier prices) x quantity
+ * @param {Object} cartItem - Session cart line ({ unitPrice, modifiers, quantity }, in dollars)
+ * @returns {number} Line total in dollars
+ */
+function calculateLineTotal(cartItem) {
+  const modifierTotal = (cartItem.modifiers || []).reduce((sum, mod) => sum + (mod.price || 0), 0);
+  return (cartItem.unitPrice + modifierTotal) * cartItem.quantity;
+}
+
+/**
+ * Read the tax configuration from a clientDatabase location record
+ * @param {Object} locationRecord - clientDatabase item
+ * @returns {Object|null} { taxRate, taxName, exemptCategories } or null if the location has no tax rate
+ */
+function getTaxConfig(locationRecord) {
+  const taxRate = Number(locationRecord?.taxRate);
+  if (locationRecord?.taxRate === undefined || locationRecord?.taxRate === null || !Number.isFinite(taxRate) || taxRate < 0) {
+    return null;
+  }
+
+  return {
+    taxRate: taxRate,
+    taxName: locationRecord.taxName || DEFAULT_TAX_NAME,
+    exemptCategories: (locationRecord.taxExemptCategories || []).map(category => String(category).trim().toLowerCase())
+  };
+}
+
+/**
+ * Check whether a cart line is taxed under a location's configuration
+ * Lines without a taxCategory are always taxable
+ * @param {Object} cartItem - Session cart line
+ * @param {Object} taxConfig - Result of getTaxConfig
+ * @returns {boolean}
+ */
+function isLineTaxable(cartItem, taxConfig) {
+  if (!taxConfig) return false;
+  const taxCategory = (cartItem.taxCategory || '').trim().toLowerCase();
+  return !taxCategory || !taxConfig.exemptCategories.includes(taxCategory);
+}
+
+/**
+ * Calculate subtotal, estimated tax and total for a cart
+ * @param {Array} sessionCart - Session cart lines (lineTotal in dollars)
+ * @param {Object|null} taxConfig - Result of getTaxConfig (null = tax unknown)
+ * @param {number} [discount] - Order discount in dollars (capped at the subtotal)
+ * @param {number} [deliveryFee] - Delivery fee in dollars
+ * @returns {Object} { subtotal, discount, deliveryFee, taxableSubtotal, estimatedTax, total } in dollars; tax and total are null when unknown
+ */
+function calculateCartTotals(sessionCart, taxConfig, discount = 0, deliveryFee = 0) {
+  const lines = (sessionCart || []).map(item => ({ item, cents: Math.round((item.lineTotal || 0) * 100) }));
+  const subtotalCents = lines.reduce((sum, line) => sum + line.cents, 0);
+  const discountCents = Math.min(Math.max(Math.round((discount || 0) * 100), 0), subtotalCents);
+  const deliveryFeeCents = Math.max(Math.round((deliveryFee || 0) * 100), 0);
+
+  let taxableCents = 0;
+  let taxCents = 0;
+  let unallocatedCents = discountCents;
+
+  lines.forEach((line, i) => {
+    // The last line takes the rounding remainder so the shares add up to the discount
+    const share = discountCents === 0 || i === lines.length - 1
+      ? unallocatedCents
+      : Math.round(discountCents * line.cents / subtotalCents);
+    unallocatedCents -= share;
+
+    if (isLineTaxable(line.item, taxConfig)) {
+      taxableCents += line.cents - share;
+      taxCents += Math.round((line.cents - share) * taxConfig.taxRate);
+    }
+  });
+
+  return {
+    subtotal: subtotalCents / 100,
+    discount: discountCents / 100,
+    deliveryFee: deliveryFeeCents / 100,
+    taxableSubtotal: taxableCents / 100,
+    estimatedTax: taxConfig ? taxCents / 100 : null,
+    total: taxConfig ? (subtotalCents - discountCents + taxCents + deliveryFeeCents) / 100 : null
+  };
+}
+
+/**
+ * Build the order-level Square tax for a location
+ * @param {Object|null} taxConfig - Result of getTaxConfig
+ * @returns {Object|null} Square OrderLineItemTax (LINE_ITEM scope) or null if the location has no tax rate
+ */
+function buildSquareTax(taxConfig) {
+  if (!taxConfig) return null;
+
+  return {
+    uid: SQUARE_TAX_UID,
+    name: taxConfig.taxName,
+    type: 'ADDITIVE',
+    // Square expects a percentage string ("6" or "8.875")
+    percentage: String(Number((taxConfig.taxRate * 100).toFixed(4))),
+    scope: 'LINE_ITEM'
+  };
+}
+
+module.exports = {
+  SQUARE_TAX_UID,
+  roundCurrency,
+  calculateLineTotal,
+  getTaxConfig,
+  isLineTaxable,
+  calculateCartTotals,
+  buildSquareTax
+};
@@ -0,0 +1,125 @@
+/**
+ * Cart Recovery
+ * Finds the cart a caller left behind when their call dropped, so the next call can pick it up
+ *
+ * Session carts are stamped with the caller's number (caller_number) and location (location_id)
+ * when items are added. A cart counts as abandoned when it:
+ * - belongs to the same caller at the same location, on a different call
+ * - has items, was never checked out (no ordered_at) and hasn't been restored yet (no recovered_by)
+ * - was last updated within the location's recovery window
+ *
+ * The window is set per location on its clientDatabase record:
+ *   "cartRecoveryMinutes": 30    // 0 turns recovery off; capped at the 2-hour cart TTL
+ *
+ * Carts are looked up with a Query on the session-carts caller index (CALLER_CARTS_INDEX:
+ * caller_number + updated_at), so only the caller's own recent carts are read.
+ */
+
+const { buildOrderRecord, summarizeOrder } = require('./customerProfiles');
+
+const DEFAULT_RECOVERY_MINUTES = 30;
+
+// Session carts expire after 2 hours, so there is nothing older to recover
+const MAX_RECOVERY_MINUTES = 120;
+
+// session-carts index: caller_number (hash) + updated_at (range); carts without a caller number aren't in it
+const CALLER_CARTS_INDEX = 'caller_number-updated_at-index';
+
+/**
+ * Read how long after a dropped call its cart can be recovered
+ * @param {Object} locationRecord - clientDatabase item
+ * @returns {number} Minutes (0 = recovery is off)
+ */
+function getRecoveryWindowMinutes(locationRecord) {
+  const minutes = Number(locationRecord?.cartRecoveryMinutes);
+  if (locationRecord?.cartRecoveryMinutes === undefined || locationRecord?.cartRecoveryMinutes === null || !Number.isFinite(minutes) || minutes < 0) {
+    return DEFAULT_RECOVERY_MINUTES;
+  }
+  return Math.min(minutes, MAX_RECOVERY_MINUTES);
+}
+
+/**
+ * Check whether a session cart can be recovered into another call
+ * @param {Object} session - session-carts item
+ * @param {Object} options - { callerNumber, locationId, excludeCallId, since } (since as an ISO string)
+ * @returns {boolean}
+ */
+function isRecoverableCart(session, { callerNumber, locationId, excludeCallId, since }) {
+  return !!session &&
+    session.call_id !== excludeCallId &&
+    session.caller_number === callerNumber &&
+    session.location_id === locationId &&
+    (session.cart_items || []).length > 0 &&
+    !session.ordered_at &&
+    !session.recovered_by &&
+    (session.updated_at || '') >= since;
+}
+
+/**
+ * Pick the most recently updated recoverable cart
+ * @param {Array<Object>} sessions - session-carts items
+ * @param {Object} options - See isRecoverableCart
+ * @returns {Object|null}
+ */
+function pickAbandonedCart(sessions, options) {
+  return (sessions || [])
+    .filter(session => isRecoverableCart(session, options))
+    .sort((a, b) => (b.updated_at || '').localeCompare(a.updated_at || ''))[0] || null;
+}
+
+/**
+ * Find a caller's most recent unfinished cart at a location
+ * Index reads can lag a moment behind the table, so read the cart itself before restoring it.
+ * @param {Object} dynamodb - DocumentClient
+ * @param {string} tableName - session-carts table
+ * @param {Object} options - See isRecoverableCart
+ * @returns {Promise<Object|null>}
+ */
+async function findAbandonedCart(dynamodb, tableName, options) {
+  const sessions = [];
+  let lastKey;
+  do {
+    const result = await dynamodb.query({
+      TableName: tableName,
+      IndexName: CALLER_CARTS_INDEX,
+      KeyConditionExpression: '#caller = :callerNumber AND #updatedAt >= :since',
+      FilterExpression: '#location = :locationId AND attribute_not_exists(#orderedAt) AND attribute_not_exists(#recoveredBy)',
+      ExpressionAttributeNames: {
+        '#caller': 'caller_number',
+        '#updatedAt': 'updated_at',
+        '#location': 'location_id',
+        '#orderedAt': 'ordered_at',
+        '#recoveredBy': 'recovered_by'
+      },
+      ExpressionAttributeValues: { ':callerNumber': options.callerNumber, ':since': options.since, ':locationId': options.locationId },
+      ...(lastKey && { ExclusiveStartKey: lastKey })
+    }).promise();
+    sessions.push(...(result.Items || []));
+    lastKey = result.LastEvaluatedKey;
+  } while (lastKey);
+
+  return pickAbandonedCart(sessions, options);
+}
+
+/**
+ * Get the Retell dynamic variables for an abandoned cart (all strings, as Retell expects)
+ * @param {Object|null} session - Result of pickAbandonedCart
+ * @returns {Object} { has_abandoned_cart, abandoned_cart_summary, abandoned_call_id }
+ */
+function getRecoveryVariables(session) {
+  return {
+    has_abandoned_cart: String(!!session),
+    abandoned_cart_summary: session ? summarizeOrder(buildOrderRecord(session.cart_items)) : '',
+    abandoned_call_id: session ? session.call_id : ''
+  };
+}
+
+module.exports = {
+  DEFAULT_RECOVERY_MINUTES,
+  CALLER_CARTS_INDEX,
+  getRecoveryWindowMinutes,
+  isRecoverableCart,
+  pickAbandonedCart,
+  findAbandonedCart,
+  getRecoveryVariables
+};
@@ -0,0 +1,96 @@
+/**
+ * Channel
+ * Works out which channel a Retell request came from and which location it is for
+ *
+ * - Phone calls: the restaurant number the caller dialed (call.to_number) maps to a location
+ *   in phoneNumberClientMap
+ * - Web calls (including test calls from the Retell dashboard) and web chat have no to_number,
+ *   so they must carry the location ID themselves, in the call's metadata or dynamic variables:
+ *     "metadata": { "location_id": "L1RNWD28M2J3M" }
+ *     "retell_llm_dynamic_variables": { "location_id": "L1RNWD28M2J3M" }
+ *   ("locationId" and "locationID" are accepted too)
+ *
+ * Only these fields are trusted: the location never comes from tool call arguments, which the
+ * model writes, and a phone call always goes to the restaurant that was dialed. Requests with
+ * none of these are rejected instead of being routed to a default restaurant.
+ */
+
+const LOCATION_ID_KEYS = ['location_id', 'locationId', 'locationID'];
+
+// Helper function to read the first location ID key that is set on an object
+function readLocationId(source) {
+  if (!source || typeof source !== 'object') return null;
+  const key = LOCATION_ID_KEYS.find(name => source[name] !== undefined && source[name] !== null && String(source[name]).trim() !== '');
+  return key ? String(source[key]).trim() : null;
+}
+
+/**
+ * Get the Retell conversation object of a request (a call, or a chat for chat agents)
+ * @param {Object} body - Parsed request body
+ * @returns {Object} body.call, body.chat, or {}
+ */
+function getConversation(body) {
+  return body?.call || body?.chat || {};
+}
+
+/**
+ * Get the session ID a cart is kept under: the call ID, or the chat ID for web chat
+ * @param {Object} body - Parsed request body
+ * @returns {string|undefined}
+ */
+function extractSessionId(body) {
+  return body?.call?.call_id || body?.chat?.chat_id;
+}
+
+/**
+ * Get the channel a request came from
+ * @param {Object} body - Parsed request body
+ * @returns {string} 'phone', 'web' or 'chat'
+ */
+function getChannel(body) {
+  if (body?.chat) return 'chat';
+  if (body?.call?.call_type === 'web_call') return 'web';
+  // Older payloads have no call_type; a call without a dialed number can't be a phone call
+  return body?.call?.call_type === 'phone_call' || body?.call?.to_number ? 'phone' : 'web';
+}
+
+/**
+ * Work out how to find a request's location
+ * @param {Object} body - Parsed request body
+ * @returns {Object} { channel, locationId, phoneNumber }: look up locationId when set, else phoneNumber
+ */
+function getLocationTarget(body) {
+  const conversation = getConversation(body);
+  const channel = getChannel(body);
+
+  if (channel === 'phone') {
+    return { channel: channel, locationId: null, phoneNumber: conversation.to_number || null };
+  }
+
+  return {
+    channel: channel,
+    locationId: readLocationId(conversation.metadata) || readLocationId(conversation.retell_llm_dynamic_variables),
+    phoneNumber: null
+  };
+}
+
+/**
+ * Explain why a request's location couldn't be determined
+ * @param {string} channel - Result of getChannel
+ * @returns {string}
+ */
+function describeMissingLocation(channel) {
+  if (channel === 'phone') {
+    return 'The call has no restaurant phone number (to_number), so the location could not be determined.';
+  }
+  const source = channel === 'chat' ? 'chat' : 'web call';
+  return `This ${source} has no location. Set location_id in its metadata or dynamic variables.`;
+}
+
+module.exports = {
+  getConversation,
+  extractSessionId,
+  getChannel,
+  getLocationTarget,
+  describeMissingLocation
+};
@@ -0,0 +1,277 @@
+/**
+ * Combos
+ * Recognizes meal deals in a session cart and folds their parts into one combo line
+ *
+ * Combos live on the location's clientMenu record:
+ *   "combos": [
+ *     {
+ *       "name": "Sandwich Combo",
+ *       "itemName": "Sandwich Combo",       // optional menu item the combo is rung up as in Square
+ *       "price": 899,                       // cents; defaults to that menu item's price
+ *       "components": [
+ *         { "match": "Sandwich (1pc)" },
+ *         { "match": "Sides" },
+ *         { "match": "Drinks", "quantity": 1 }
+ *       ],
+ *       "autoApply": false                  // true = convert without asking; false = the agent offers it
+ *     }
+ *   ]
+ *
+ * Component selectors match an item by name, by one of its `tags`, or by its `category`.
+ * A combo only matches when it is cheaper than its parts. Modifiers and special
+ * instructions of the parts carry over, and modifier prices are still charged.
+ *
+ * Each part keeps a line ID of its own (sourceLineId is the cart line it came from),
+ * so the modifier tools can still change one part after the combo is applied.
+ */
+
+const { itemMatchesSelector, speakItemName } = require('./menuMatcher');
+const { roundCurrency, calculateLineTotal } = require('./cartPricing');
+
+/**
+ * Read the combo definitions from a clientMenu record
+ * Combos without components or a price (their own or their menu item's) are skipped
+ * @param {Object} locationMenu - clientMenu record
+ * @returns {Array<Object>} { name, itemName, variationId, price (cents), currency, taxCategory, spokenName, components, autoApply }
+ */
+function getCombos(locationMenu) {
+  const combos = Array.isArray(locationMenu?.combos) ? locationMenu.combos : [];
+
+  return combos
+    .map(combo => {
+      const menuItem = combo?.itemName ? locationMenu[combo.itemName] : null;
+      const price = Number.isFinite(combo?.price) ? combo.price : menuItem?.price;
+      const components = (combo?.components || [])
+        .filter(component => component && component.match)
+        .map(component => ({
+          match: component.match,
+          quantity: Number.isInteger(component.quantity) && component.quantity > 0 ? component.quantity : 1
+        }));
+
+      if (!combo?.name || !Number.isFinite(price) || components.length === 0) {
+        return null;
+      }
+
+      return {
+        name: combo.name,
+        itemName: menuItem ? combo.itemName : null,
+        variationId: menuItem?.variation_id || null,
+        price: price,
+        currency: menuItem?.currency || combo.currency || 'USD',
+        taxCategory: combo.taxCategory || menuItem?.taxCategory,
+        spokenName: combo.spokenName || menuItem?.spokenName,
+        components: components,
+        autoApply: combo.autoApply === true
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Find the combos a cart can be converted into
+ * Each cart unit is used at most once, so two sandwiches and two fries make two combo matches
+ * @param {Object} locationMenu - clientMenu record
+ * @param {Array} sessionCart - Session cart lines
+ * @returns {Array<Object>} Matches: { combo, parts: [{ lineId, itemName, unitPrice }], regularPrice, comboPrice, savings } (dollars)
+ */
+function findComboMatches(locationMenu, sessionCart) {
+  // Units still available to build combos from (combo lines are never re-combined)
+  const available = new Map();
+  for (const item of sessionCart || []) {
+    if (item.comboItems || !item.lineId) continue;
+    available.set(item.lineId, item.quantity || 0);
+  }
+
+  const matches = [];
+
+  for (const combo of getCombos(locationMenu)) {
+    for (;;) {
+      const taken = new Map();
+      const parts = [];
+
+      const complete = combo.components.every(component => {
+        for (let unit = 0; unit < component.quantity; unit++) {
+          const line = (sessionCart || []).find(item => {
+            if (!available.has(item.lineId)) return false;
+            if ((available.get(item.lineId) - (taken.get(item.lineId) || 0)) <= 0) return false;
+            return itemMatchesSelector(item.item_name, locationMenu?.[item.item_name], component.match);
+          });
+          if (!line) return false;
+
+          taken.set(line.lineId, (taken.get(line.lineId) || 0) + 1);
+          parts.push({ lineId: line.lineId, itemName: line.item_name, unitPrice: line.unitPrice });
+        }
+        return true;
+      });
+
+      if (!complete) break;
+
+      const regularPrice = roundCurrency(parts.reduce((sum, part) => sum + (part.unitPrice || 0), 0));
+      const comboPrice = combo.price / 100;
+      if (comboPrice >= regularPrice) break;
+
+      for (const [lineId, count] of taken) {
+        available.set(lineId, available.get(lineId) - count);
+      }
+      matches.push({ combo, parts, regularPrice, comboPrice, savings: roundCurrency(regularPrice - comboPrice) });
+    }
+  }
+
+  return matches;
+}
+
+// Helper function to tag a part's modifiers with the part they belong to, for read-back
+function tagPartModifiers(cartItem) {
+  const partName = cartItem.spokenName || speakItemName(cartItem.item_name).toLowerCase();
+
+  return (cartItem.modifiers || []).map(modifier => ({
+    ...modifier,
+    componentName: modifier.componentName ? `${partName} ${modifier.componentName}` : partName
+  }));
+}
+
+/**
+ * Convert a combo match into a combo line (mutates the cart)
+ * Parts are taken one unit at a time from their lines; emptied lines are removed.
+ * An identical combo already in the cart is incremented instead of adding a new line.
+ * @param {Array} sessionCart - Session cart lines (must be the cart findComboMatches saw)
+ * @param {Object} match - Result entry of findComboMatches
+ * @param {Function} newLineId - Returns a fresh line ID for the combo line and each of its parts
+ * @returns {Object} The combo line
+ */
+function applyComboMatch(sessionCart, match, newLineId) {
+  const comboItems = match.parts.map(part => {
+    const line = sessionCart.find(item => item.lineId === part.lineId);
+    return {
+      sourceLineId: line.lineId,
+      item_name: line.item_name,
+      variation_id: line.variation_id,
+      unitPrice: line.unitPrice,
+      modifiers: (line.modifiers || []).map(modifier => ({ ...modifier })),
+      specialInstructions: line.specialInstructions || '',
+      ...(line.spokenName && { spokenName: line.spokenName })
+    };
+  });
+
+  // Take one unit of each part from its line
+  for (const part of match.parts) {
+    const index = sessionCart.findIndex(item => item.lineId === part.lineId);
+    sessionCart[index].quantity -= 1;
+    if (sessionCart[index].quantity <= 0) {
+      sessionCart.splice(index, 1);
+    } else {
+      sessionCart[index].lineTotal = calculateLineTotal(sessionCart[index]);
+    }
+  }
+
+  // Same combo built from identically configured parts -> one line with a higher quantity
+  const signature = JSON.stringify(comboItems.map(part => [
+    part.item_name,
+    part.modifiers.map(mod => mod.optionId).sort(),
+    part.specialInstructions
+  ]));
+  const existing = sessionCart.find(item =>
+    item.comboName === match.combo.name &&
+    JSON.stringify(item.comboItems.map(part => [
+      part.item_name,
+      (part.modifiers || []).map(mod => mod.optionId).sort(),
+      part.specialInstructions
+    ])) === signature
+  );
+
+  if (existing) {
+    existing.quantity += 1;
+    existing.lineTotal = calculateLineTotal(existing);
+    return existing;
+  }
+
+  const lineId = newLineId();
+  comboItems.forEach(part => {
+    part.lineId = newLineId();
+  });
+
+  const comboLine = {
+    variation_id: match.combo.variationId,
+    item_name: match.combo.name,
+    price: match.combo.price,
+    currency: match.combo.currency,
+    description: `Combo: ${comboItems.map(part => part.item_name).join(', ')}`,
+    quantity: 1,
+    specialInstructions: '',
+    unitPrice: match.comboPrice,
+    modifiers: comboItems.flatMap(tagPartModifiers),
+    comboName: match.combo.name,
+    comboItems: comboItems,
+    regularPrice: match.regularPrice,
+    savings: match.savings,
+    lineId: lineId,
+    itemId: match.combo.variationId,
+    name: match.combo.name,
+    ...(match.combo.taxCategory && { taxCategory: match.combo.taxCategory }),
+    ...(match.combo.spokenName && { spokenName: match.combo.spokenName })
+  };
+  comboLine.lineTotal = calculateLineTotal(comboLine);
+
+  sessionCart.push(comboLine);
+  return comboLine;
+}
+
+/**
+ * Re-read a combo line's modifiers and total from its parts after a part changed (mutates the line)
+ * @param {Object} comboLine - Combo cart line
+ * @returns {Object} The combo line
+ */
+function refreshComboLine(comboLine) {
+  comboLine.modifiers = comboLine.comboItems.flatMap(tagPartModifiers);
+  comboLine.lineTotal = calculateLineTotal(comboLine);
+  return comboLine;
+}
+
+/**
+ * Build the sentence the agent reads to offer a combo
+ * @param {Object} match - Result entry of findComboMatches
+ * @returns {string} e.g. "Your Sandwich 1 piece, Regular Fries and SODA can be a Sandwich Combo for $8.99, saving $1.27. Want me to make it a combo?"
+ */
+function describeComboOffer(match) {
+  const partNames = match.parts.map(part => speakItemName(part.itemName));
+  const partsText = partNames.length > 1
+    ? `${partNames.slice(0, -1).join(', ')} and ${partNames[partNames.length - 1]}`
+    : partNames.join('');
+  const comboName = match.combo.spokenName || speakItemName(match.combo.name);
+
+  return `Your ${partsText} can be a ${comboName} for $${match.comboPrice.toFixed(2)}, saving $${match.savings.toFixed(2)}. Want me to make it a combo?`;
+}
+
+/**
+ * Describe what's inside a combo line for the kitchen (Square line note)
+ * @param {Object} cartItem - Combo cart line
+ * @returns {string} e.g. "Sandwich (1pc) (Hot); Regular Fries; SODA (Coke)" ("" for regular lines)
+ */
+function describeComboItems(cartItem) {
+  return (cartItem.comboItems || []).map(part => {
+    const details = [
+      ...(part.modifiers || []).map(mod => mod.optionName),
+      ...(part.specialInstructions ? [part.specialInstructions] : [])
+    ];
+    return details.length > 0 ? `${part.item_name} (${details.join(', ')})` : part.item_name;
+  }).join('; ');
+}
+
+/**
+ * Total combo savings of a cart
+ * @param {Array} sessionCart - Session cart lines
+ * @returns {number} Savings in dollars
+ */
+function calculateComboSavings(sessionCart) {
+  return roundCurrency((sessionCart || []).reduce((sum, item) => sum + (item.savings || 0) * (item.quantity || 0), 0));
+}
+
+module.exports = {
+  getCombos,
+  findComboMatches,
+  applyComboMatch,
+  refreshComboLine,
+  describeComboOffer,
+  describeComboItems,
+  calculateComboSavings
+};
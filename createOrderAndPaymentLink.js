@@ -1,6 +1,21 @@
 const AWS = require('aws-sdk');
 const { SquareClient, SquareEnvironment, SquareError } = require('square');
 const https = require('https');
+const { getTaxConfig, isLineTaxable, calculateCartTotals, buildSquareTax } = require('./cartPricing');
+const { checkCartModifiers, describeModifierViolations } = require('./modifierRules');
+const { describeComboItems } = require('./combos');
+const { findPromotion, getPromotionUsage, checkPromotion, buildSquareDiscount } = require('./promotions');
+const { checkPickupTime, formatLocalTimeForSpeech, formatPickupTimeForSpeech } = require('./storeHours');
+const { estimatePrepTime, describePrepTime, countRecentOrders } = require('./prepTime');
+const { extractSessionId, getLocationTarget, describeMissingLocation } = require('./channel');
+const { normalizePhoneNumber, buildOrderRecord, addOrderToProfile } = require('./customerProfiles');
+const {
+  getDeliveryConfig,
+  describeDeliveryAddress,
+  checkDeliveryAddress,
+  checkDeliveryMinimum,
+  buildSquareDeliveryCharge
+} = require('./delivery');
 
 // Configure AWS region (Lambda uses IAM role for credentials)
 AWS.config.update({ 
@@ -98,7 +113,9 @@ async function getRestaurantSquareCredentials(restaurantName) {
 const SESSION_CARTS_TABLE = process.env.SESSION_CARTS_TABLE || 'session-carts';
 const PHONE_NUMBER_CLIENT_MAP_TABLE = process.env.PHONE_NUMBER_CLIENT_MAP_TABLE || 'phoneNumberClientMap';
 const CLIENT_DATABASE_TABLE = process.env.CLIENT_DATABASE_TABLE || 'clientDatabase';
+const CLIENT_MENU_TABLE = process.env.CLIENT_MENU_TABLE || 'clientMenu';
 const MERCHANTS_TABLE = process.env.MERCHANTS_TABLE || 'square-merchants';
+const CUSTOMER_PROFILES_TABLE = process.env.CUSTOMER_PROFILES_TABLE || 'customer-profiles';
 
 // Simple UUID alternative using timestamp and random number
 function generateIdempotencyKey() {
@@ -106,15 +123,18 @@ function generateIdempotencyKey() {
 }
 
 // Session cart helper functions
+// Carts are kept per call (per chat for web chat)
 function extractCallId(body) {
-  return body.call?.call_id;
+  return extractSessionId(body);
 }
 
-function extractPhoneNumber(body) {
-  // Extract the restaurant phone number (the number customer called)
-  // For phone calls: use to_number
-  // For web calls: fallback to default restaurant number for testing
-  return body.call?.to_number || '+17037057917';
+// Thrown when a request doesn't say which location it is for (see channel.js)
+const LOCATION_UNKNOWN_ERROR = 'LocationUnknown';
+
+// Function to extract customer phone number from Retell call data
+function extractCustomerPhoneNumber(body) {
+  // Extract the customer phone number (the number that called)
+  return body.call?.from_number;
 }
 
 async function getLocationFromPhoneNumber(phoneNumber) {
@@ -146,6 +166,28 @@ async function getLocationFromPhoneNumber(phoneNumber) {
   }
 }
 
+// Function to find the location a request is for: the location ID a web call or chat
+// carries, or the restaurant number a phone call came in on
+async function getLocationForRequest(body) {
+  const target = getLocationTarget(body);
+
+  if (target.locationId) {
+    const restaurantDetails = await getRestaurantDetails(target.locationId);
+    return {
+      locationId: target.locationId,
+      restaurantName: restaurantDetails.restaurantName
+    };
+  }
+
+  if (target.phoneNumber) {
+    return getLocationFromPhoneNumber(target.phoneNumber);
+  }
+
+  const error = new Error(describeMissingLocation(target.channel));
+  error.code = LOCATION_UNKNOWN_ERROR;
+  throw error;
+}
+
 async function getRestaurantDetails(locationId) {
   if (!locationId) {
     throw new Error('Location ID is required for restaurant lookup');
@@ -168,7 +210,19 @@ async function getRestaurantDetails(locationId) {
     return {
       restaurantName: result.Item.restaurantName,
       address: result.Item.address,
-      locationId: result.Item.locationId
+      locationId: result.Item.locationId,
+      taxConfig: getTaxConfig(result.Item),
+      promotions: result.Item.promotions || [],
+      promotionUsage: result.Item.promotionUsage || {},
+      timeZone: result.Item.timeZone,
+      hours: result.Item.hours || {},
+      holidayHours: result.Item.holidayHours || [],
+      prepTimeMinutes: result.Item.prepTimeMinutes,
+      itemPrepMinutes: result.Item.itemPrepMinutes,
+      prepLoadWindowMinutes: result.Item.prepLoadWindowMinutes,
+      prepMinutesPerRecentOrder: result.Item.prepMinutesPerRecentOrder,
+      maxScheduleDays: result.Item.maxScheduleDays,
+      delivery: result.Item.delivery || null
     };
   } catch (error) {
     console.error('Error getting restaurant details:', error);
@@ -176,8 +230,48 @@ async function getRestaurantDetails(locationId) {
   }
 }
 
-async function getSessionCart(callId) {
-  if (!callId) return [];
+async function getLocationMenu(restaurantName, locationId) {
+  if (!restaurantName || !locationId) {
+    throw new Error('Restaurant name and location ID are required');
+  }
+
+  const params = {
+    TableName: CLIENT_MENU_TABLE,
+    Key: {
+      restaurantName: restaurantName,
+      locationID: locationId
+    }
+  };
+
+  try {
+    console.log(`Getting menu for: ${restaurantName} at location: ${locationId}`);
+    const result = await dynamodb.get(params).promise();
+
+    if (!result.Item) {
+      throw new Error(`No menu found for ${restaurantName} at location ${locationId}`);
+    }
+
+    return result.Item;
+  } catch (error) {
+    console.error('Error getting location menu:', error);
+    throw error;
+  }
+}
+
+// Helper function to find cart lines that are missing required modifier selections
+// Checkout is not blocked if the menu can't be loaded (the cart was validated when items were added)
+async function findIncompleteCartLines(locationData, sessionCart) {
+  try {
+    const locationMenu = await getLocationMenu(locationData.restaurantName, locationData.locationId);
+    return checkCartModifiers(locationMenu, sessionCart);
+  } catch (error) {
+    console.warn('⚠️ Could not check modifier rules before checkout:', error.message);
+    return [];
+  }
+}
+
+async function getSessionRecord(callId) {
+  if (!callId) return null;
   
   const params = {
     TableName: SESSION_CARTS_TABLE,
@@ -186,10 +280,171 @@ async function getSessionCart(callId) {
   
   try {
     const result = await dynamodb.get(params).promise();
-    return result.Item?.cart_items || [];
+    return result.Item || null;
   } catch (error) {
     console.error('Error getting session cart:', error);
-    return [];
+    return null;
+  }
+}
+
+// Helper function to count a promotion use before its payment link is created
+// Usage counts live next to the promotion definitions on the clientDatabase record. The count only
+// goes up while it is under maxUses, so two callers can't both take the last use, and each call
+// counts a code once (session `promotion_counted`), however often its link is re-sent.
+// Returns 'counted', 'already_counted' or 'limit_reached'
+async function reservePromotionUse(callId, locationId, promotion) {
+  const code = promotion.code;
+
+  try {
+    await dynamodb.update({
+      TableName: SESSION_CARTS_TABLE,
+      Key: { call_id: callId },
+      UpdateExpression: 'SET #counted = :code',
+      ConditionExpression: 'attribute_not_exists(#counted) OR #counted <> :code',
+      ExpressionAttributeNames: { '#counted': 'promotion_counted' },
+      ExpressionAttributeValues: { ':code': code }
+    }).promise();
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      console.log(`Promotion ${code} was already counted for call ${callId}`);
+      return 'already_counted';
+    }
+    // A missed count shouldn't fail the order
+    console.error(`⚠️ Could not record use of promotion ${code}:`, error.message);
+    return 'already_counted';
+  }
+
+  try {
+    await dynamodb.update({
+      TableName: CLIENT_DATABASE_TABLE,
+      Key: { locationId: locationId },
+      UpdateExpression: 'SET #usage = if_not_exists(#usage, :empty_map)',
+      ExpressionAttributeNames: { '#usage': 'promotionUsage' },
+      ExpressionAttributeValues: { ':empty_map': {} }
+    }).promise();
+
+    await dynamodb.update({
+      TableName: CLIENT_DATABASE_TABLE,
+      Key: { locationId: locationId },
+      UpdateExpression: 'SET #usage.#code = if_not_exists(#usage.#code, :zero) + :one',
+      ...(promotion.maxUses !== null && { ConditionExpression: 'attribute_not_exists(#usage.#code) OR #usage.#code < :max' }),
+      ExpressionAttributeNames: { '#usage': 'promotionUsage', '#code': code },
+      ExpressionAttributeValues: { ':zero': 0, ':one': 1, ...(promotion.maxUses !== null && { ':max': promotion.maxUses }) }
+    }).promise();
+
+    console.log(`✅ Recorded use of promotion ${code} at location ${locationId}`);
+    return 'counted';
+  } catch (error) {
+    await clearPromotionCounted(callId, code);
+    if (error.code === 'ConditionalCheckFailedException') {
+      console.log(`Promotion ${code} reached its usage limit of ${promotion.maxUses}`);
+      return 'limit_reached';
+    }
+    console.error(`⚠️ Could not record use of promotion ${code}:`, error.message);
+    return 'already_counted';
+  }
+}
+
+// Helper function to clear a call's promotion_counted mark, so a later checkout can count the code again
+async function clearPromotionCounted(callId, code) {
+  try {
+    await dynamodb.update({
+      TableName: SESSION_CARTS_TABLE,
+      Key: { call_id: callId },
+      UpdateExpression: 'REMOVE #counted',
+      ConditionExpression: '#counted = :code',
+      ExpressionAttributeNames: { '#counted': 'promotion_counted' },
+      ExpressionAttributeValues: { ':code': code }
+    }).promise();
+  } catch (error) {
+    console.error(`⚠️ Could not clear promotion ${code} on call ${callId}:`, error.message);
+  }
+}
+
+// Helper function to give back a promotion use counted for a payment link that was never created
+async function releasePromotionUse(callId, locationId, code) {
+  try {
+    await dynamodb.update({
+      TableName: CLIENT_DATABASE_TABLE,
+      Key: { locationId: locationId },
+      UpdateExpression: 'SET #usage.#code = #usage.#code - :one',
+      ConditionExpression: '#usage.#code > :zero',
+      ExpressionAttributeNames: { '#usage': 'promotionUsage', '#code': code },
+      ExpressionAttributeValues: { ':zero': 0, ':one': 1 }
+    }).promise();
+    await clearPromotionCounted(callId, code);
+    console.log(`Released use of promotion ${code} at location ${locationId}`);
+  } catch (error) {
+    console.error(`⚠️ Could not release use of promotion ${code}:`, error.message);
+  }
+}
+
+// Helper function to estimate when an ASAP order will be ready (or delivered, with the drive time added)
+async function estimateReadyTime(restaurantDetails, sessionCart, deliveryMinutes = 0) {
+  let locationMenu = null;
+  try {
+    locationMenu = await getLocationMenu(restaurantDetails.restaurantName, restaurantDetails.locationId);
+  } catch (error) {
+    console.warn('⚠️ Could not load menu prep times:', error.message);
+  }
+
+  const recentOrders = await countRecentOrders(dynamodb, SESSION_CARTS_TABLE, restaurantDetails.locationId, restaurantDetails);
+  const estimate = estimatePrepTime(sessionCart, locationMenu, restaurantDetails, { recentOrders });
+  const minutes = estimate.minutes + deliveryMinutes;
+  const readyAt = new Date(Date.now() + minutes * 60000);
+
+  return {
+    minutes: minutes,
+    prepMinutes: estimate.minutes,
+    readyAt: readyAt.toISOString(),
+    spoken: `${describePrepTime(minutes)} (around ${formatLocalTimeForSpeech(readyAt, restaurantDetails.timeZone)})`
+  };
+}
+
+// Helper function to mark a session cart as ordered, so it counts toward the kitchen load
+// Only the first checkout on a call stamps it; returns false when the call had already ordered
+async function recordOrderPlaced(callId, locationId) {
+  try {
+    await dynamodb.update({
+      TableName: SESSION_CARTS_TABLE,
+      Key: { call_id: callId },
+      UpdateExpression: 'SET #orderedAt = :now, #location = :locationId',
+      ConditionExpression: 'attribute_not_exists(#orderedAt)',
+      ExpressionAttributeNames: { '#orderedAt': 'ordered_at', '#location': 'location_id' },
+      ExpressionAttributeValues: { ':now': new Date().toISOString(), ':locationId': locationId }
+    }).promise();
+    return true;
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      console.log(`Call ${callId} already placed an order; not recording it again`);
+      return false;
+    }
+    // The order already went out; a missed stamp only makes the next estimate a little short
+    console.error('⚠️ Could not record order on session cart:', error.message);
+    return true;
+  }
+}
+
+// Helper function to save an order to the customer's profile, so the next call can offer it again
+async function recordCustomerOrder(phoneNumber, locationId, order, customerName) {
+  try {
+    const key = { phoneNumber: phoneNumber, locationId: locationId };
+    const result = await dynamodb.get({ TableName: CUSTOMER_PROFILES_TABLE, Key: key }).promise();
+    const fields = addOrderToProfile(result.Item || null, order, customerName);
+
+    // SET only the order fields, so a visit counted by a concurrent inbound call isn't overwritten
+    const names = Object.keys(fields).filter(name => fields[name] !== null);
+    await dynamodb.update({
+      TableName: CUSTOMER_PROFILES_TABLE,
+      Key: key,
+      UpdateExpression: `SET ${names.map(name => `#${name} = :${name}`).join(', ')}, #createdAt = if_not_exists(#createdAt, :lastOrderAt)`,
+      ExpressionAttributeNames: Object.fromEntries([...names, 'createdAt'].map(name => [`#${name}`, name])),
+      ExpressionAttributeValues: Object.fromEntries(names.map(name => [`:${name}`, fields[name]]))
+    }).promise();
+    console.log(`Saved order to customer profile (${fields.orderCount} order(s))`);
+  } catch (error) {
+    // The order already went out; the caller just won't be offered it as their usual next time
+    console.error('⚠️ Could not save order to customer profile:', error.message);
   }
 }
 
@@ -238,43 +493,158 @@ module.exports.createOrderAndPaymentLink = async (event) => {
 
     console.log(`Creating order for call: ${callId}`);
 
-    // Get session cart (contains full DynamoDB data)
-    const sessionCart = await getSessionCart(callId);
+    // Get session cart (contains full DynamoDB data) and any promotion applied to it
+    const session = await getSessionRecord(callId);
+    const sessionCart = session?.cart_items || [];
     
     if (!sessionCart || sessionCart.length === 0) {
       return createErrorResponse(400, 'Cart is empty. Please add items first.');
     }
 
+    // Extract customer info and other data from request  
+    const phone = requestBody.args?.phone || requestBody.phone;
+    const customerName = requestBody.args?.customerName || requestBody.customerName;
+
+    // Get the location: the number a phone call dialed, or a web call / chat's metadata or dynamic variables (never args; see channel.js)
+    let locationData;
+    try {
+      locationData = await getLocationForRequest(requestBody);
+      console.log(`✅ Resolved location: ${locationData.restaurantName} - ${locationData.locationId}`);
+    } catch (error) {
+      console.error('❌ Failed to resolve location:', error.message);
+      return createErrorResponse(error.code === LOCATION_UNKNOWN_ERROR ? 400 : 404, `Location lookup failed: ${error.message}`);
+    }
+    const locationId = locationData.locationId;
+
+    // Refuse to create a payment link while required choices (e.g. spice level) are missing
+    const incompleteLines = await findIncompleteCartLines(locationData, sessionCart);
+    if (incompleteLines.length > 0) {
+      const prompt = incompleteLines
+        .map(line => describeModifierViolations(line.itemName, line.violations))
+        .join(' ');
+      console.log(`Checkout blocked: ${incompleteLines.length} incomplete cart line(s)`);
+      return createErrorResponse(400, `Before I send the payment link: ${prompt}`, { incompleteLines });
+    }
+
+    // Get the location's tax configuration (tax is left to Square checkout if it's missing)
+    let taxConfig = null;
+    let restaurantDetails = null;
+    if (locationId) {
+      try {
+        restaurantDetails = await getRestaurantDetails(locationId);
+        taxConfig = restaurantDetails.taxConfig;
+      } catch (error) {
+        console.warn(`⚠️ Could not load tax configuration for location ${locationId}:`, error.message);
+      }
+    }
+
+    // A scheduled pickup must still be possible (the call may have run past it, or hours changed)
+    let pickupTime = null;
+    if (session?.pickup_time?.pickupAt) {
+      const pickupAt = new Date(session.pickup_time.pickupAt);
+      const check = restaurantDetails ? checkPickupTime(restaurantDetails, pickupAt) : { valid: true };
+      if (!check.valid) {
+        console.log(`Checkout blocked: pickup time ${session.pickup_time.pickupAt} no longer valid`);
+        return createErrorResponse(400, `Before I send the payment link: ${check.reason} What time would you like to pick up instead?`, {
+          earliestPickupTime: check.earliest ? check.earliest.toISOString() : null
+        });
+      }
+      pickupTime = {
+        pickupAt: session.pickup_time.pickupAt,
+        spoken: formatPickupTimeForSpeech(pickupAt, restaurantDetails?.timeZone)
+      };
+    }
+
+    // A delivery address must still be inside the location's delivery zones
+    let delivery = null;
+    if (session?.fulfillment_type === 'delivery') {
+      if (!session.delivery) {
+        return createErrorResponse(400, "Before I send the payment link: what's the delivery address?", { needsAddress: true });
+      }
+
+      // Zones and fees are re-read; the quote saved with the address is used if the location can't be loaded
+      const check = restaurantDetails ? checkDeliveryAddress(restaurantDetails, session.delivery.address) : { valid: true, ...session.delivery };
+      if (!check.valid) {
+        console.log(`Checkout blocked: delivery address no longer valid (${check.reason})`);
+        return createErrorResponse(400, `Before I send the payment link: ${check.reason}`);
+      }
+      delivery = {
+        address: session.delivery.address,
+        spoken: describeDeliveryAddress(session.delivery.address),
+        zone: check.zone,
+        fee: check.fee,
+        minSubtotal: check.minSubtotal
+      };
+    }
+
+    // Quote when an ASAP order will be ready (scheduled orders already have a pickup time)
+    const deliveryMinutes = delivery ? getDeliveryConfig(restaurantDetails)?.deliveryMinutes || 0 : 0;
+    const readyEstimate = !pickupTime && restaurantDetails
+      ? await estimateReadyTime(restaurantDetails, sessionCart, deliveryMinutes)
+      : null;
+
+    // Re-check the applied promotion against the location's current definition and usage
+    let promotion = null;
+    let promotionDiscount = 0;
+    let promotionNotApplied = null;
+    if (session?.promotion?.code) {
+      const currentPromotion = restaurantDetails ? findPromotion(restaurantDetails, session.promotion.code) : null;
+      // A use this call already counted (its link is being re-sent) doesn't count against it
+      const ownUses = session.promotion_counted === currentPromotion?.code ? 1 : 0;
+      const check = currentPromotion
+        ? checkPromotion(currentPromotion, sessionCart, { usageCount: Math.max(0, getPromotionUsage(restaurantDetails, currentPromotion.code) - ownUses) })
+        : { valid: false, reason: `Promo ${session.promotion.code} is no longer available.` };
+
+      if (check.valid) {
+        promotion = currentPromotion;
+        promotionDiscount = check.discount;
+      } else {
+        promotionNotApplied = check.reason;
+        console.warn(`⚠️ Promotion ${session.promotion.code} not applied at checkout: ${check.reason}`);
+      }
+    }
+
     // Calculate cart summary from session cart
-    const subtotal = sessionCart.reduce((sum, item) => sum + item.lineTotal, 0);
+    let totals = calculateCartTotals(sessionCart, taxConfig, promotionDiscount, delivery?.fee || 0);
+    const subtotal = totals.subtotal;
+
+    if (delivery) {
+      const minimumCheck = checkDeliveryMinimum(delivery, subtotal);
+      if (!minimumCheck.valid) {
+        console.log(`Checkout blocked: delivery minimum not met (short $${minimumCheck.shortBy.toFixed(2)})`);
+        return createErrorResponse(400, `Before I send the payment link: ${minimumCheck.reason}`, { shortBy: minimumCheck.shortBy });
+      }
+    }
+
+    // Take the promotion use now; if the last one went to another caller meanwhile, the order goes out without it
+    let promotionUse = null;
+    if (promotion && locationId) {
+      promotionUse = await reservePromotionUse(callId, locationId, promotion);
+      if (promotionUse === 'limit_reached') {
+        promotionNotApplied = `Promo ${promotion.code} has reached its usage limit.`;
+        console.warn(`⚠️ Promotion ${promotion.code} not applied at checkout: usage limit reached`);
+        promotion = null;
+        promotionDiscount = 0;
+        totals = calculateCartTotals(sessionCart, taxConfig, 0, delivery?.fee || 0);
+      }
+    }
     const itemCount = sessionCart.reduce((sum, item) => sum + item.quantity, 0);
-    
+
     const cartSummary = {
       items: sessionCart,
       subtotal: subtotal,
+      discount: totals.discount,
+      promotion: promotion,
+      deliveryFee: totals.deliveryFee,
+      delivery: delivery,
+      estimatedTax: totals.estimatedTax,
+      total: totals.total,
       itemCount: itemCount,
-      message: 'Tax will be calculated at checkout'
+      pickupTime: pickupTime,
+      readyEstimate: readyEstimate,
+      message: taxConfig ? 'Tax estimated from location tax rate' : 'Tax will be calculated at checkout'
     };
 
-    // Extract customer info and other data from request  
-    const phone = requestBody.args?.phone || requestBody.phone;
-    const customerName = requestBody.customerName;
-    const phoneNumber = extractPhoneNumber(requestBody);
-    
-    // Get location ID from phone number mapping
-    let locationId = requestBody.args?.locationId || requestBody.locationId;
-    if (!locationId) {
-      try {
-        const locationData = await getLocationFromPhoneNumber(phoneNumber);
-        locationId = locationData.locationId;
-        console.log(`✅ Resolved location ID from phone ${phoneNumber}: ${locationId}`);
-      } catch (error) {
-        console.error(`❌ Failed to resolve location from phone ${phoneNumber}:`, error.message);
-        // Fallback to secrets if lookup fails
-        locationId = null;
-      }
-    }
-    
     cartData = {
       updatedCart: sessionCart,
       cartSummary: cartSummary,
@@ -282,8 +652,7 @@ module.exports.createOrderAndPaymentLink = async (event) => {
       customerName: customerName,
       locationId: locationId,
       checkoutOptions: requestBody.args?.checkoutOptions || requestBody.checkoutOptions,
-      description: requestBody.args?.description || requestBody.description,
-      phoneNumber: phoneNumber  // Add phone number for restaurant lookup
+      description: requestBody.args?.description || requestBody.description
     };
 
     console.log('Payment link request with session cart:', {
@@ -294,48 +663,66 @@ module.exports.createOrderAndPaymentLink = async (event) => {
     });
 
     // Step 1: Convert cart data to Square format (no validation needed)
-    const orderResult = convertCartToSquareOrder(cartData.updatedCart, cartData.cartSummary);
+    const orderResult = convertCartToSquareOrder(cartData.updatedCart, cartData.cartSummary, taxConfig);
+
+    // Pickup (or delivery) details for the Square POS ticket and KDS: who, when, and a number to reach them
+    const recipient = buildFulfillmentRecipient(cartData.customerName, cartData.customerInfo?.phone || extractCustomerPhoneNumber(requestBody));
+    const squareFulfillments = cartData.cartSummary.delivery
+      ? buildDeliveryFulfillments(cartData.cartSummary, recipient)
+      : buildPickupFulfillments(cartData.cartSummary, recipient);
     
     // Step 2: Create payment link (environment-specific)
     let paymentLinkResult;
-    if (environment === 'sandbox') {
-      console.log('🧪 Sandbox mode: Creating mock payment link');
-      paymentLinkResult = await createMockPaymentLink({
-        locationId: cartData.locationId || squareCredentialsCache[environment].SQUARE_LOCATION_ID,
-        orderSummary: orderResult.orderSummary,
-        description: cartData.description,
-        customerName: cartData.customerName
-      });
-    } else {
-      console.log('🏭 Production mode: Creating real Square payment link');
+    try {
+      if (environment === 'sandbox') {
+        console.log('🧪 Sandbox mode: Creating mock payment link');
+        paymentLinkResult = await createMockPaymentLink({
+          locationId: cartData.locationId || squareCredentialsCache[environment].SQUARE_LOCATION_ID,
+          orderSummary: orderResult.orderSummary,
+          description: cartData.description,
+          customerName: cartData.customerName
+        });
+      } else {
+        console.log('🏭 Production mode: Creating real Square payment link');
       
-      // Get restaurant info from phone number mapping
-      const locationData = await getLocationFromPhoneNumber(phoneNumber);
-      const restaurantName = locationData.restaurantName; // "The Red Bird Hot Chicken & Fries"
-      const restaurantLocationId = locationData.locationId; // "L1RNWD28M2J3M"
+        // Get restaurant info from the resolved location
+        const restaurantName = locationData.restaurantName; // "The Red Bird Hot Chicken & Fries"
+        const restaurantLocationId = locationData.locationId; // "L1RNWD28M2J3M"
       
-      console.log(`✅ Restaurant: ${restaurantName}, Location: ${restaurantLocationId}`);
+        console.log(`✅ Restaurant: ${restaurantName}, Location: ${restaurantLocationId}`);
       
-      // Get restaurant's OAuth credentials
-      const restaurantCredentials = await getRestaurantSquareCredentials(restaurantName);
+        // Get restaurant's OAuth credentials
+        const restaurantCredentials = await getRestaurantSquareCredentials(restaurantName);
       
-      // Create Square client with restaurant's OAuth token
-      const restaurantSquareClient = new SquareClient({
-        token: restaurantCredentials.access_token,
-        environment: SquareEnvironment.Production
-      });
+        // Create Square client with restaurant's OAuth token
+        const restaurantSquareClient = new SquareClient({
+          token: restaurantCredentials.access_token,
+          environment: SquareEnvironment.Production
+        });
       
-      console.log(`✅ Using restaurant OAuth credentials for: ${restaurantCredentials.business_name}`);
+        console.log(`✅ Using restaurant OAuth credentials for: ${restaurantCredentials.business_name}`);
       
-      paymentLinkResult = await createSquarePaymentLink({
-        squareClient: restaurantSquareClient,
-        locationId: cartData.locationId || restaurantLocationId,
-        lineItems: orderResult.squareLineItems,
-        customerInfo: cartData.customerInfo,
-        orderSummary: orderResult.orderSummary,
-        checkoutOptions: cartData.checkoutOptions,
-        description: cartData.description
-      });
+        paymentLinkResult = await createSquarePaymentLink({
+          squareClient: restaurantSquareClient,
+          locationId: cartData.locationId || restaurantLocationId,
+          lineItems: orderResult.squareLineItems,
+          taxes: orderResult.squareTaxes,
+          discounts: orderResult.squareDiscounts,
+          serviceCharges: orderResult.squareServiceCharges,
+          fulfillments: squareFulfillments,
+          customerInfo: cartData.customerInfo,
+          customerName: cartData.customerName,
+          orderSummary: orderResult.orderSummary,
+          checkoutOptions: cartData.checkoutOptions,
+          description: cartData.description
+        });
+      }
+    } catch (error) {
+      // No link went out, so the promotion use taken above is given back
+      if (promotionUse === 'counted') {
+        await releasePromotionUse(callId, locationId, promotion.code);
+      }
+      throw error;
     }
 
     // Step 3: Send SMS with payment link if customer phone is provided
@@ -346,7 +733,7 @@ module.exports.createOrderAndPaymentLink = async (event) => {
           cartData.customerInfo.phone,
           paymentLinkResult.paymentLink.url,
           orderResult.orderSummary,
-          cartData.phoneNumber  // Pass restaurant phone number for lookup
+          cartData.locationId  // Pass location ID for restaurant lookup
         );
         console.log('✅ SMS sent successfully with payment link');
       } catch (smsError) {
@@ -355,7 +742,25 @@ module.exports.createOrderAndPaymentLink = async (event) => {
       }
     }
 
-    console.log(`🎉 Complete workflow successful: ${orderResult.orderSummary.itemCount} items, $${cartData.cartSummary.subtotal.toFixed(2)} subtotal + tax `);
+    // Count this order toward the kitchen load for later prep estimates
+    // A checkout re-run on the same call (a new link for the same cart) isn't a new order
+    const firstOrder = cartData.locationId ? await recordOrderPlaced(callId, cartData.locationId) : false;
+
+    // Remember the order for this caller, under the number they called from only: a phone given
+    // on a web call or chat could be anyone's, and profiles are read back to whoever calls from it
+    const profilePhoneNumber = normalizePhoneNumber(extractCustomerPhoneNumber(requestBody));
+    if (profilePhoneNumber && firstOrder) {
+      const order = buildOrderRecord(sessionCart, {
+        fulfillmentType: cartData.cartSummary.delivery ? 'delivery' : 'pickup',
+        total: cartData.cartSummary.total ?? cartData.cartSummary.subtotal
+      });
+      await recordCustomerOrder(profilePhoneNumber, cartData.locationId, order, cartData.customerName);
+    }
+
+    const taxLog = cartData.cartSummary.estimatedTax !== null
+      ? `+ $${cartData.cartSummary.estimatedTax.toFixed(2)} tax`
+      : '+ tax';
+    console.log(`🎉 Complete workflow successful: ${orderResult.orderSummary.itemCount} items, $${cartData.cartSummary.subtotal.toFixed(2)} subtotal ${taxLog}`);
 
     return createSuccessResponse({
       success: true,
@@ -363,7 +768,9 @@ module.exports.createOrderAndPaymentLink = async (event) => {
       orderSummary: orderResult.orderSummary,
       paymentLink: paymentLinkResult.paymentLink,
       smsResult: smsResult,
-      squareLineItems: orderResult.squareLineItems
+      squareLineItems: orderResult.squareLineItems,
+      squareFulfillments: squareFulfillments,
+      ...(promotionNotApplied && { promotionNotApplied: promotionNotApplied })
     });
 
   } catch (error) {
@@ -388,8 +795,13 @@ module.exports.createOrderAndPaymentLink = async (event) => {
 };
 
 // Helper function to convert pre-validated cart data to Square order format
-function convertCartToSquareOrder(cartItems, cartSummary) {
+function convertCartToSquareOrder(cartItems, cartSummary, taxConfig = null) {
   console.log('Converting cart data to Square order format...');
+
+  // Explicit order-level tax and promotion discount so Square charges exactly what the agent quoted
+  const squareTax = buildSquareTax(taxConfig);
+  const squareDiscount = buildSquareDiscount(cartSummary.promotion, cartSummary.discount, cartItems[0]?.currency || 'USD');
+  const squareDeliveryCharge = buildSquareDeliveryCharge(cartSummary.deliveryFee, cartItems[0]?.currency || 'USD');
   
   // Build Square-ready line items from DynamoDB cart data
   const squareLineItems = cartItems.map(item => {
@@ -405,38 +817,124 @@ function convertCartToSquareOrder(cartItems, cartSummary) {
       .reduce((sum, mod) => sum + Math.round((mod.price || 0) * 100), 0);
     
     const totalPriceInCents = item.price + modifierPriceInCents;
+
+    // Combo lines tell the kitchen what's inside them
+    const note = [describeComboItems(item), item.specialInstructions].filter(Boolean).join('; ');
     
     return {
       name: `${item.item_name} - Regular`,  // Hard-code "Regular" since cart no longer includes variation
       quantity: item.quantity.toString(),
       variationName: "Regular",  // Hard-code "Regular" 
-      catalogObjectId: item.variation_id, // Use variation_id from cart
+      // Use variation_id from cart (combos without a catalog item go in as ad hoc lines)
+      ...(item.variation_id && { catalogObjectId: item.variation_id }),
       basePriceMoney: {
         amount: BigInt(totalPriceInCents), // Total price including modifiers in cents
         currency: item.currency
       },
-      ...(item.specialInstructions && { note: item.specialInstructions })
+      ...(note && { note: note }),
+      ...(squareTax && isLineTaxable(item, taxConfig) && { appliedTaxes: [{ taxUid: squareTax.uid }] })
     };
   });
 
-  // Use the cart summary data (Square will calculate tax automatically)
+  // Use the cart summary data (tax is estimated when the location has a tax rate)
+  const hasTaxEstimate = cartSummary.estimatedTax !== null && cartSummary.estimatedTax !== undefined;
   const orderSummary = {
     items: cartItems,
     subtotal: Math.round(cartSummary.subtotal * 100), // Convert to cents
+    discount: Math.round((cartSummary.discount || 0) * 100),
+    promoCode: cartSummary.promotion?.code || null,
+    deliveryFee: Math.round((cartSummary.deliveryFee || 0) * 100),
+    fulfillmentType: cartSummary.delivery ? 'delivery' : 'pickup',
+    deliveryAddress: cartSummary.delivery?.spoken || null,
+    estimatedTax: hasTaxEstimate ? Math.round(cartSummary.estimatedTax * 100) : null,
+    total: hasTaxEstimate ? Math.round(cartSummary.total * 100) : null,
     itemCount: cartSummary.itemCount,
-    // Remove tax fields - Square handles tax calculation
-    taxMessage: 'Tax will be calculated at checkout',
+    pickupTime: cartSummary.pickupTime || null,
+    readyEstimate: cartSummary.readyEstimate || null,
+    taxMessage: hasTaxEstimate ? 'Estimated tax included in total' : 'Tax will be calculated at checkout',
     createdAt: new Date().toISOString()
   };
 
-  console.log(`✅ Converted cart: ${cartItems.length} items, $${cartSummary.subtotal.toFixed(2)} subtotal (+ tax)`);
+  console.log(`✅ Converted cart: ${cartItems.length} items, $${cartSummary.subtotal.toFixed(2)} subtotal ${hasTaxEstimate ? `+ $${cartSummary.estimatedTax.toFixed(2)} tax` : '(+ tax)'}`);
 
   return {
     orderSummary,
-    squareLineItems
+    squareLineItems,
+    squareTaxes: squareTax ? [squareTax] : [],
+    squareDiscounts: squareDiscount ? [squareDiscount] : [],
+    squareServiceCharges: squareDeliveryCharge ? [squareDeliveryCharge] : []
+  };
+}
+
+// Helper function to build the Square fulfillment recipient from the caller's name and phone number
+// Returns null when neither is known
+function buildFulfillmentRecipient(customerName, customerPhone) {
+  if (!customerName && !customerPhone) return null;
+
+  return {
+    ...(customerName && { displayName: customerName }),
+    ...(customerPhone && { phoneNumber: customerPhone })
+  };
+}
+
+// Helper function to describe when a fulfillment is due in Square terms:
+// SCHEDULED at the requested time, or ASAP with the kitchen's prep estimate
+function buildFulfillmentSchedule(cartSummary) {
+  if (cartSummary.pickupTime?.pickupAt) {
+    return { scheduleType: 'SCHEDULED', at: cartSummary.pickupTime.pickupAt };
+  }
+
+  const prepMinutes = cartSummary.readyEstimate?.prepMinutes;
+  return {
+    scheduleType: 'ASAP',
+    ...(prepMinutes && { prepTimeDuration: `PT${prepMinutes}M` })
   };
 }
 
+// Helper function to build the Square pickup fulfillment, so the ticket shows who is picking up and when
+function buildPickupFulfillments(cartSummary, recipient) {
+  const schedule = buildFulfillmentSchedule(cartSummary);
+
+  return [{
+    type: 'PICKUP',
+    state: 'PROPOSED',
+    pickupDetails: {
+      scheduleType: schedule.scheduleType,
+      ...(schedule.at && { pickupAt: schedule.at }),
+      ...(schedule.prepTimeDuration && { prepTimeDuration: schedule.prepTimeDuration }),
+      ...(recipient && { recipient: recipient })
+    }
+  }];
+}
+
+// Helper function to build the Square delivery fulfillment with the address the caller gave
+function buildDeliveryFulfillments(cartSummary, recipient) {
+  const address = cartSummary.delivery.address;
+  const schedule = buildFulfillmentSchedule(cartSummary);
+
+  return [{
+    type: 'DELIVERY',
+    state: 'PROPOSED',
+    deliveryDetails: {
+      scheduleType: schedule.scheduleType,
+      ...(schedule.at && { deliverAt: schedule.at }),
+      ...(schedule.prepTimeDuration && { prepTimeDuration: schedule.prepTimeDuration }),
+      recipient: {
+        ...recipient,
+        address: {
+          addressLine1: address.line1,
+          ...(address.line2 && { addressLine2: address.line2 }),
+          ...(address.city && { locality: address.city }),
+          ...(address.state && { administrativeDistrictLevel1: address.state }),
+          ...(address.zipCode && { postalCode: address.zipCode }),
+          country: 'US'
+        }
+      },
+      ...(address.notes && { note: address.notes })
+    }
+  }];
+}
+
 // Helper function to process order with menu data (OLD - now unused)
 async function processOrderWithMenu(items) {
   // This function is no longer needed since cart functions handle validation
@@ -472,7 +970,7 @@ async function createMockPaymentLink({ locationId, orderSummary, description, cu
 }
 
 // Helper function to create Square payment link
-async function createSquarePaymentLink({ squareClient, locationId, lineItems, customerInfo, orderSummary, checkoutOptions, description }) {
+async function createSquarePaymentLink({ squareClient, locationId, lineItems, taxes, discounts, serviceCharges, fulfillments, customerInfo, customerName, orderSummary, checkoutOptions, description }) {
   console.log('Creating Square payment link...');
 
   const paymentLinkRequest = {
@@ -481,9 +979,13 @@ async function createSquarePaymentLink({ squareClient, locationId, lineItems, cu
     order: {
       locationId: locationId,
       lineItems: lineItems,
+      ...(taxes && taxes.length > 0 && { taxes: taxes }),
+      ...(discounts && discounts.length > 0 && { discounts: discounts }),
+      ...(serviceCharges && serviceCharges.length > 0 && { serviceCharges: serviceCharges }),
+      ...(fulfillments && fulfillments.length > 0 && { fulfillments: fulfillments }),
       referenceId: `ORDER-${Date.now()}`,
       source: {
-        name: `Order for ${cartData.customerName} by yapn Voice AI`
+        name: customerName ? `Order for ${customerName} by yapn Voice AI` : 'yapn Voice AI'
       }
     }
   };
@@ -567,7 +1069,7 @@ function createErrorResponse(statusCode, message, additionalData = {}) {
 }
 
 // Function to send payment link via SMS using TextBelt
-async function sendPaymentLinkSMS(phoneNumber, paymentLinkUrl, orderSummary, restaurantPhoneNumber) {
+async function sendPaymentLinkSMS(phoneNumber, paymentLinkUrl, orderSummary, locationId) {
   return new Promise(async (resolve, reject) => {
     try {
       // Get restaurant details for dynamic SMS
@@ -575,8 +1077,7 @@ async function sendPaymentLinkSMS(phoneNumber, paymentLinkUrl, orderSummary, res
       let address = 'Restaurant location';
       
       try {
-        const locationData = await getLocationFromPhoneNumber(restaurantPhoneNumber);
-        const restaurantDetails = await getRestaurantDetails(locationData.locationId);
+        const restaurantDetails = await getRestaurantDetails(locationId);
         restaurantName = restaurantDetails.restaurantName;
         address = restaurantDetails.address;
         console.log(`Using dynamic restaurant data: ${restaurantName} at ${address}`);
@@ -593,6 +1094,16 @@ async function sendPaymentLinkSMS(phoneNumber, paymentLinkUrl, orderSummary, res
       // Create order summary for SMS
       const itemCount = orderSummary.itemCount;
       const subtotal = (orderSummary.subtotal / 100).toFixed(2);
+      const hasTaxEstimate = orderSummary.estimatedTax !== null && orderSummary.estimatedTax !== undefined;
+      const discountText = orderSummary.discount > 0
+        ? `, Promo ${orderSummary.promoCode}: -$${(orderSummary.discount / 100).toFixed(2)}`
+        : '';
+      const deliveryFeeText = orderSummary.deliveryFee > 0
+        ? `, Delivery: $${(orderSummary.deliveryFee / 100).toFixed(2)}`
+        : '';
+      const totalsText = hasTaxEstimate
+        ? `Subtotal: $${subtotal}${discountText}, Est. tax: $${(orderSummary.estimatedTax / 100).toFixed(2)}${deliveryFeeText}, Total: $${(orderSummary.total / 100).toFixed(2)}.`
+        : `Subtotal: $${subtotal}${discountText}${deliveryFeeText} (+ tax).`;
       
       // Build item list for SMS
       let itemList = '';
@@ -610,8 +1121,14 @@ async function sendPaymentLinkSMS(phoneNumber, paymentLinkUrl, orderSummary, res
 
       // Format the SMS message with dynamic restaurant data (graceful fallback for missing data)
       const restaurantPart = restaurantName ? `from ${restaurantName} ` : '';
-      const addressPart = address ? `Pick up at: ${address}.` : '';
-      const message = `Your order ${restaurantPart}is almost ready! \n${itemList}Subtotal: $${subtotal} (+ tax). \nComplete your payment here: ${paymentLinkUrl}. \n${addressPart}`;
+      const delivering = orderSummary.fulfillmentType === 'delivery';
+      const pickupPart = orderSummary.pickupTime
+        ? `${delivering ? 'Delivery' : 'Pickup'}: ${orderSummary.pickupTime.spoken}. `
+        : orderSummary.readyEstimate ? `${delivering ? 'Delivery' : 'Ready'} in ${orderSummary.readyEstimate.spoken}. ` : '';
+      const addressPart = delivering
+        ? `Delivering to: ${orderSummary.deliveryAddress}.`
+        : address ? `Pick up at: ${address}.` : '';
+      const message = `Your order ${restaurantPart}is almost ready! \n${itemList}${totalsText} \nComplete your payment here: ${paymentLinkUrl}. \n${pickupPart}${addressPart}`;
 
       // Prepare form data for TextBelt
       const formData = new URLSearchParams();
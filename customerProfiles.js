@@ -0,0 +1,165 @@
+/**
+ * Customer Profiles
+ * Remembers callers at each location so the agent can greet them by name and offer their usual
+ *
+ * Profiles live in the customer-profiles table, keyed by the caller's phone number and location:
+ *   {
+ *     "phoneNumber": "+17035551234", "locationId": "L1RNWD28M2J3M",
+ *     "customerName": "Jordan",
+ *     "visitCount": 4,              // inbound calls, counted when the call starts
+ *     "orderCount": 3,              // checkouts
+ *     "recentOrders": [              // newest first, at most MAX_RECENT_ORDERS
+ *       { "orderedAt": "...", "fulfillmentType": "pickup", "total": 24.37,
+ *         "items": [{ "itemName": "Sandwich (2pc)", "quantity": 1, "modifiers": [...], "specialInstructions": "" }] }
+ *     ],
+ *     "itemCounts": { "Sandwich (2pc)": 3, "Fries": 2 },
+ *     "favoriteItems": ["Sandwich (2pc)", "Fries"],
+ *     "lastVisitAt": "...", "lastOrderAt": "..."
+ *   }
+ *
+ * Order lines keep the item and modifier names (and modifier option IDs) rather than prices, so
+ * a past order can be added again at today's menu prices. Totals are in dollars, as in the cart.
+ */
+
+const { speakItemName } = require('./menuMatcher');
+
+const MAX_RECENT_ORDERS = 5;
+const MAX_FAVORITE_ITEMS = 3;
+
+// Helper function to keep only what's needed to re-add a modifier
+function toProfileModifier(modifier) {
+  return {
+    category: modifier.category,
+    optionId: modifier.optionId,
+    optionName: modifier.optionName,
+    ...(modifier.component !== undefined && { component: modifier.component })
+  };
+}
+
+// Helper function to copy a cart line (or combo part) into an order record line
+function toProfileLine(line) {
+  return {
+    itemName: line.item_name,
+    ...(line.spokenName && { spokenName: line.spokenName }),
+    modifiers: (line.modifiers || []).map(toProfileModifier),
+    specialInstructions: line.specialInstructions || ''
+  };
+}
+
+/**
+ * Normalize a phone number to E.164, as Retell sends from_number ("703-555-1234" -> "+17035551234")
+ * @param {string} phoneNumber - Phone number in any common US format, or E.164
+ * @returns {string|null} E.164 number, or null if it doesn't look like a phone number
+ */
+function normalizePhoneNumber(phoneNumber) {
+  const raw = String(phoneNumber || '').trim();
+  const digits = raw.replace(/\D/g, '');
+  if (raw.startsWith('+') && digits.length >= 8) return `+${digits}`;
+  if (digits.length === 10) return `+1${digits}`;
+  if (digits.length === 11 && digits.startsWith('1')) return `+${digits}`;
+  return null;
+}
+
+/**
+ * Build the order record saved to a customer's profile at checkout
+ * @param {Array} sessionCart - Session cart lines
+ * @param {Object} [details] - { orderedAt, fulfillmentType, total }
+ * @returns {Object} { orderedAt, fulfillmentType, total, items }
+ */
+function buildOrderRecord(sessionCart, details = {}) {
+  return {
+    orderedAt: details.orderedAt || new Date().toISOString(),
+    fulfillmentType: details.fulfillmentType || 'pickup',
+    total: details.total ?? null,
+    items: (sessionCart || []).map(line => ({
+      ...toProfileLine(line),
+      quantity: line.quantity,
+      ...(line.comboItems && {
+        comboName: line.comboName,
+        // Combo lines carry their parts' modifiers; the parts are the source of truth
+        modifiers: [],
+        comboItems: line.comboItems.map(toProfileLine)
+      })
+    }))
+  };
+}
+
+/**
+ * Add an order to a profile (returns the updated fields; the profile isn't mutated)
+ * @param {Object|null} profile - Stored profile, or null for a first order
+ * @param {Object} order - Result of buildOrderRecord
+ * @param {string} [customerName] - Name given at checkout (keeps the stored name when missing)
+ * @returns {Object} { customerName, recentOrders, itemCounts, favoriteItems, orderCount, lastOrderAt }
+ */
+function addOrderToProfile(profile, order, customerName) {
+  const itemCounts = { ...(profile?.itemCounts || {}) };
+  for (const line of order.items) {
+    itemCounts[line.itemName] = (itemCounts[line.itemName] || 0) + (line.quantity || 1);
+  }
+
+  // Most ordered first; ties go to the item ordered most recently
+  const recentNames = order.items.map(line => line.itemName);
+  const favoriteItems = Object.keys(itemCounts)
+    .sort((a, b) => itemCounts[b] - itemCounts[a] || recentNames.includes(b) - recentNames.includes(a))
+    .slice(0, MAX_FAVORITE_ITEMS);
+
+  return {
+    customerName: (customerName && customerName.trim()) || profile?.customerName || null,
+    recentOrders: [order, ...(profile?.recentOrders || [])].slice(0, MAX_RECENT_ORDERS),
+    itemCounts: itemCounts,
+    favoriteItems: favoriteItems,
+    orderCount: (profile?.orderCount || 0) + 1,
+    lastOrderAt: order.orderedAt
+  };
+}
+
+/**
+ * Describe an order for speech ("2 Sandwich 2 piece with Hot and 1 Fries")
+ * @param {Object} order - Order record from a profile
+ * @returns {string}
+ */
+function summarizeOrder(order) {
+  const lines = (order?.items || []).map(line => {
+    const name = line.spokenName || speakItemName(line.itemName);
+    const parts = line.comboItems
+      ? ` (${line.comboItems.map(part => part.spokenName || speakItemName(part.itemName)).join(', ')})`
+      : '';
+    // Piece numbers ("No Pickles 2") are dropped, as in the cart read-back
+    const options = (line.modifiers || [])
+      .map(modifier => (modifier.optionName || '').replace(/\s*\d+$/, '').trim())
+      .filter(Boolean);
+    const optionText = options.length > 0 ? ` with ${options.join(' and ')}` : '';
+    return `${line.quantity || 1} ${name}${parts}${optionText}`;
+  });
+
+  if (lines.length <= 1) return lines[0] || '';
+  if (lines.length === 2) return lines.join(' and ');
+  return `${lines.slice(0, -1).join(', ')}, and ${lines[lines.length - 1]}`;
+}
+
+/**
+ * Get the Retell dynamic variables for a caller's profile (all strings, as Retell expects)
+ * @param {Object|null} profile - Stored profile as it was before this call
+ * @returns {Object} { customer_name, is_returning_customer, last_order_summary, favorite_items, visit_count }
+ */
+function getProfileVariables(profile) {
+  const visitCount = profile?.visitCount || 0;
+  const lastOrder = profile?.recentOrders?.[0];
+
+  return {
+    customer_name: profile?.customerName || '',
+    is_returning_customer: String(visitCount > 0 || (profile?.orderCount || 0) > 0),
+    last_order_summary: lastOrder ? summarizeOrder(lastOrder) : '',
+    favorite_items: (profile?.favoriteItems || []).map(speakItemName).join(', '),
+    visit_count: String(visitCount)
+  };
+}
+
+module.exports = {
+  MAX_RECENT_ORDERS,
+  normalizePhoneNumber,
+  buildOrderRecord,
+  addOrderToProfile,
+  summarizeOrder,
+  getProfileVariables
+};
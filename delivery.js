@@ -0,0 +1,247 @@
+/**
+ * Delivery
+ * Validates delivery addresses against a location's delivery zones and prices delivery
+ *
+ * Delivery is configured on each location's clientDatabase record:
+ *   "delivery": {
+ *     "latitude": 38.8816, "longitude": -77.0910,   // where drivers leave from
+ *     "zones": [
+ *       { "name": "Nearby", "radiusMiles": 3, "fee": 299 },
+ *       { "name": "Extended", "polygon": [[38.92, -77.17], [38.95, -77.02], [38.83, -76.98], [38.80, -77.12]], "fee": 599, "minSubtotal": 3000 }
+ *     ],
+ *     "zipCodes": ["22201", "22203", "22204"],
+ *     "fee": 399,              // default for zones without their own
+ *     "minSubtotal": 1500,     // default minimum order
+ *     "deliveryMinutes": 20    // drive time added to the prep estimate
+ *   }
+ *
+ * - An address is in a zone when it is within radiusMiles of the store or inside the polygon
+ *   ([latitude, longitude] corners); the first matching zone sets the fee, so list the nearest first
+ * - zipCodes is an allowlist: when it is set, the address ZIP must be on it. With no zones,
+ *   the ZIP alone decides (at the default fee)
+ * - fee and minSubtotal are in cents, as in promotions; minSubtotal is compared with the
+ *   subtotal before tax and promo discounts
+ * - "enabled": false turns delivery off without removing the zones
+ *
+ * The delivery fee is not taxed and is added to the Square order as a service charge.
+ */
+
+const { roundCurrency } = require('./cartPricing');
+
+const DEFAULT_DELIVERY_MINUTES = 20;
+const EARTH_RADIUS_MILES = 3958.8;
+
+// UID of the Square service charge that carries the delivery fee
+const SQUARE_DELIVERY_CHARGE_UID = 'delivery-fee';
+
+// Helper function to read a cents setting as dollars, or null when it isn't set
+function centsToDollars(value) {
+  const cents = Number(value);
+  return value !== undefined && value !== null && value !== '' && Number.isFinite(cents) && cents >= 0
+    ? roundCurrency(cents / 100)
+    : null;
+}
+
+// Helper function to reduce a ZIP code to its five digits ("22201-1234" -> "22201")
+function normalizeZipCode(zipCode) {
+  const match = String(zipCode || '').match(/\b(\d{5})(?:-\d{4})?\b/);
+  return match ? match[1] : null;
+}
+
+// Helper function to read a [latitude, longitude] pair, or null when it isn't usable
+function toPoint(latitude, longitude) {
+  const lat = Number(latitude);
+  const lng = Number(longitude);
+  if (latitude === undefined || latitude === null || longitude === undefined || longitude === null) return null;
+  return Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : null;
+}
+
+/**
+ * Read a location's delivery configuration
+ * @param {Object} locationRecord - clientDatabase item
+ * @returns {Object|null} { origin, zones, zipCodes, fee, minSubtotal, deliveryMinutes } or null if the location doesn't deliver
+ */
+function getDeliveryConfig(locationRecord) {
+  const delivery = locationRecord?.delivery;
+  if (!delivery || delivery.enabled === false) return null;
+
+  const origin = toPoint(delivery.latitude, delivery.longitude);
+  const zones = (Array.isArray(delivery.zones) ? delivery.zones : [])
+    .map((zone, i) => ({
+      name: zone.name || `Zone ${i + 1}`,
+      radiusMiles: Number(zone.radiusMiles) > 0 && origin ? Number(zone.radiusMiles) : null,
+      polygon: Array.isArray(zone.polygon)
+        ? zone.polygon.map(corner => Array.isArray(corner) ? toPoint(corner[0], corner[1]) : null).filter(Boolean)
+        : [],
+      fee: centsToDollars(zone.fee),
+      minSubtotal: centsToDollars(zone.minSubtotal)
+    }))
+    .filter(zone => zone.radiusMiles || zone.polygon.length >= 3);
+  const zipCodes = (Array.isArray(delivery.zipCodes) ? delivery.zipCodes : []).map(normalizeZipCode).filter(Boolean);
+
+  // Nothing to check an address against
+  if (zones.length === 0 && zipCodes.length === 0) return null;
+
+  const deliveryMinutes = Number(delivery.deliveryMinutes);
+
+  return {
+    origin: origin,
+    zones: zones,
+    zipCodes: zipCodes,
+    fee: centsToDollars(delivery.fee) || 0,
+    minSubtotal: centsToDollars(delivery.minSubtotal) || 0,
+    deliveryMinutes: Number.isFinite(deliveryMinutes) && deliveryMinutes >= 0 ? deliveryMinutes : DEFAULT_DELIVERY_MINUTES
+  };
+}
+
+/**
+ * Straight-line distance between two points in miles
+ * @param {Object} from - { lat, lng }
+ * @param {Object} to - { lat, lng }
+ * @returns {number}
+ */
+function distanceInMiles(from, to) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Check whether a point lies inside a polygon (ray casting)
+ * @param {Object} point - { lat, lng }
+ * @param {Array<Object>} polygon - Corners as { lat, lng }
+ * @returns {boolean}
+ */
+function isPointInPolygon(point, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if ((a.lat > point.lat) !== (b.lat > point.lat) &&
+      point.lng < (b.lng - a.lng) * (point.lat - a.lat) / (b.lat - a.lat) + a.lng) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Describe a delivery address for speech ("123 Main Street, Apartment 4, Arlington")
+ * @param {Object} address - { line1, line2, city }
+ * @returns {string}
+ */
+function describeDeliveryAddress(address) {
+  return [address?.line1, address?.line2, address?.city].filter(Boolean).join(', ');
+}
+
+/**
+ * Check a delivery address against a location's zones and ZIP allowlist
+ * @param {Object} locationRecord - clientDatabase item
+ * @param {Object} address - { line1, line2, city, state, zipCode, latitude, longitude }
+ * @returns {Object} { valid, reason, zone, fee, minSubtotal, distanceMiles }
+ */
+function checkDeliveryAddress(locationRecord, address) {
+  const config = getDeliveryConfig(locationRecord);
+  if (!config) {
+    return { valid: false, reason: "Sorry, we don't offer delivery from this location, but you can pick the order up." };
+  }
+
+  const spoken = describeDeliveryAddress(address) || 'that address';
+  const zipCode = normalizeZipCode(address?.zipCode);
+
+  if (config.zipCodes.length > 0) {
+    if (!zipCode) {
+      return { valid: false, reason: `What's the ZIP code for ${spoken}?` };
+    }
+    if (!config.zipCodes.includes(zipCode)) {
+      return { valid: false, reason: `Sorry, we don't deliver to ${zipCode}.` };
+    }
+  }
+
+  const point = toPoint(address?.latitude, address?.longitude);
+  const distanceMiles = point && config.origin ? Math.round(distanceInMiles(config.origin, point) * 10) / 10 : null;
+
+  let zone = null;
+  if (config.zones.length > 0) {
+    if (!point) {
+      return { valid: false, reason: `I couldn't find ${spoken} on the map. Could you say the street address again, with the city or ZIP code?` };
+    }
+
+    zone = config.zones.find(candidate =>
+      (candidate.radiusMiles && distanceInMiles(config.origin, point) <= candidate.radiusMiles) ||
+      (candidate.polygon.length >= 3 && isPointInPolygon(point, candidate.polygon))
+    );
+    if (!zone) {
+      return {
+        valid: false,
+        reason: `Sorry, ${spoken} is outside our delivery area${distanceMiles !== null ? ` (about ${distanceMiles} miles away)` : ''}.`,
+        distanceMiles: distanceMiles
+      };
+    }
+  }
+
+  return {
+    valid: true,
+    reason: null,
+    zone: zone ? zone.name : null,
+    fee: zone?.fee ?? config.fee,
+    minSubtotal: zone?.minSubtotal ?? config.minSubtotal,
+    distanceMiles: distanceMiles
+  };
+}
+
+/**
+ * Check a cart subtotal against a delivery minimum
+ * @param {Object} quote - Result of checkDeliveryAddress (or the quote saved with the address)
+ * @param {number} subtotal - Cart subtotal in dollars (before tax and discounts)
+ * @returns {Object} { valid, reason, shortBy } (shortBy in dollars)
+ */
+function checkDeliveryMinimum(quote, subtotal) {
+  const minSubtotal = quote?.minSubtotal || 0;
+  if (subtotal >= minSubtotal) {
+    return { valid: true, reason: null, shortBy: 0 };
+  }
+
+  const shortBy = roundCurrency(minSubtotal - subtotal);
+  return {
+    valid: false,
+    reason: `Delivery orders need at least $${minSubtotal.toFixed(2)} in food. Add $${shortBy.toFixed(2)} more for delivery.`,
+    shortBy: shortBy
+  };
+}
+
+/**
+ * Build the Square service charge for a delivery fee
+ * @param {number} fee - Delivery fee in dollars
+ * @param {string} [currency] - Currency code
+ * @returns {Object|null} Square OrderServiceCharge or null if there is no fee
+ */
+function buildSquareDeliveryCharge(fee, currency = 'USD') {
+  if (!(fee > 0)) return null;
+
+  return {
+    uid: SQUARE_DELIVERY_CHARGE_UID,
+    name: 'Delivery Fee',
+    amountMoney: {
+      amount: BigInt(Math.round(fee * 100)),
+      currency: currency
+    },
+    calculationPhase: 'TOTAL_PHASE',
+    taxable: false
+  };
+}
+
+module.exports = {
+  SQUARE_DELIVERY_CHARGE_UID,
+  getDeliveryConfig,
+  normalizeZipCode,
+  distanceInMiles,
+  isPointInPolygon,
+  describeDeliveryAddress,
+  checkDeliveryAddress,
+  checkDeliveryMinimum,
+  buildSquareDeliveryCharge
+};
@@ -1,4 +1,15 @@
 const AWS = require('aws-sdk');
+const { getMenuItemEntries, getItemAliases } = require('./menuMatcher');
+const { getSoldOutItems } = require('./availability');
+const { checkItemAvailability, describeWindow } = require('./menuWindows');
+const {
+  parseHours,
+  formatHoursForSpeech,
+  formatWeeklyHoursForSpeech,
+  findTodayHoliday
+} = require('./storeHours');
+const { normalizePhoneNumber, getProfileVariables } = require('./customerProfiles');
+const { getRecoveryWindowMinutes, findAbandonedCart, getRecoveryVariables } = require('./cartRecovery');
 
 // Configure AWS region (Lambda uses IAM role for credentials)
 AWS.config.update({ 
@@ -9,89 +20,8 @@ const dynamodb = new AWS.DynamoDB.DocumentClient();
 const PHONE_NUMBER_CLIENT_MAP_TABLE = process.env.PHONE_NUMBER_CLIENT_MAP_TABLE || 'phoneNumberClientMap';
 const CLIENT_DATABASE_TABLE = process.env.CLIENT_DATABASE_TABLE || 'clientDatabase';
 const CLIENT_MENU_TABLE = process.env.CLIENT_MENU_TABLE || 'clientMenu';
-
-// Helper function to parse hours string (e.g., "11:00-22:00")
-function parseHours(hoursString) {
-  if (!hoursString) return null;
-  
-  const [openStr, closeStr] = hoursString.split('-');
-  if (!openStr || !closeStr) return null;
-  
-  const [openHour, openMin] = openStr.split(':').map(Number);
-  const [closeHour, closeMin] = closeStr.split(':').map(Number);
-  
-  const openTime = openHour * 60 + openMin;
-  let closeTime = closeHour * 60 + closeMin;
-  
-  // Handle midnight: "00:00" should be treated as end of day (1440 minutes)
-  if (closeTime === 0) {
-    closeTime = 1440;
-  }
-  
-  return { openTime, closeTime };
-}
-
-// Helper function to format time for speech (e.g., "11:00" -> "11:00 AM")
-function formatTimeForSpeech(timeString) {
-  if (!timeString) return '';
-  
-  const [hour, minute] = timeString.split(':').map(Number);
-  const period = hour >= 12 ? 'PM' : 'AM';
-  const displayHour = hour === 0 ? 12 : hour > 12 ? hour - 12 : hour;
-  
-  return `${displayHour}:${minute.toString().padStart(2, '0')} ${period}`;
-}
-
-// Helper function to format hours range for speech
-function formatHoursForSpeech(hoursString) {
-  if (!hoursString) return 'hours not available';
-  
-  const [openStr, closeStr] = hoursString.split('-');
-  const openFormatted = formatTimeForSpeech(openStr);
-  const closeFormatted = formatTimeForSpeech(closeStr);
-  
-  return `${openFormatted} to ${closeFormatted}`;
-}
-
-// Helper function to format all weekly hours for speech
-function formatWeeklyHoursForSpeech(restaurantHours) {
-  const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-  
-  const formattedHours = [];
-  
-  dayNames.forEach((dayName) => {
-    const dayHours = restaurantHours[dayName];
-    if (dayHours && dayHours.toUpperCase() !== 'CLOSED') {
-      const formattedRange = formatHoursForSpeech(dayHours);
-      formattedHours.push(`${dayName}: ${formattedRange}`);
-    } else {
-      formattedHours.push(`${dayName}: closed`);
-    }
-  });
-  
-  return formattedHours.join('\n');
-}
-
-// Helper function to get today's date in MM/DD format
-function getTodayDateString(timeZone) {
-  const now = new Date();
-  const localTime = new Date(now.toLocaleString("en-US", {timeZone: timeZone}));
-  const month = (localTime.getMonth() + 1).toString(); // No padding
-  const day = localTime.getDate().toString(); // No padding
-  return `${month}/${day}`;
-}
-
-// Helper function to find if today is a holiday
-function findTodayHoliday(holidayHours, timeZone) {
-  if (!holidayHours || !Array.isArray(holidayHours) || holidayHours.length === 0) {
-    return null;
-  }
-  
-  const todayDate = getTodayDateString(timeZone);
-  const holiday = holidayHours.find(h => h.date === todayDate);
-  
-  return holiday || null;
-}
+const CUSTOMER_PROFILES_TABLE = process.env.CUSTOMER_PROFILES_TABLE || 'customer-profiles';
+const SESSION_CARTS_TABLE = process.env.SESSION_CARTS_TABLE || 'session-carts';
 
 // Helper function to format all holiday hours for speech
 function formatHolidayHoursForSpeech(holidayHours) {
@@ -801,7 +731,10 @@ module.exports.handleInboundCall = async (event) => {
     // Step 4: Get location-specific menu items
     let menuItemNames = [];
     try {
-      menuItemNames = await getLocationSpecificMenuItems(restaurantData.restaurantName, locationData.locationId);
+      menuItemNames = await getLocationSpecificMenuItems(restaurantData.restaurantName, locationData.locationId, {
+        soldOutItems: getSoldOutItems(restaurantData),
+        timeZone: timeZone
+      });
     } catch (error) {
       console.warn('Menu lookup failed, continuing without menu:', error.message);
       menuItemNames = [];
@@ -896,6 +829,41 @@ module.exports.handleInboundCall = async (event) => {
       }
     }
 
+    // Step 8: Recognize returning callers from their profile at this location
+    let customerProfile = null;
+    const callerPhoneNumber = normalizePhoneNumber(fromNumber);
+    if (callerPhoneNumber && locationData?.locationId) {
+      try {
+        customerProfile = await getCustomerProfile(callerPhoneNumber, locationData.locationId);
+        console.log(customerProfile
+          ? `Returning caller: ${customerProfile.visitCount || 0} previous visit(s), ${customerProfile.orderCount || 0} order(s)`
+          : 'New caller at this location');
+        await recordCustomerVisit(callerPhoneNumber, locationData.locationId);
+      } catch (error) {
+        console.warn('Customer profile lookup failed:', error.message);
+      }
+    }
+    const profileVariables = getProfileVariables(customerProfile);
+
+    // Step 9: Find a cart this caller left behind on a dropped call (restored with /restore-abandoned-cart)
+    let abandonedCart = null;
+    const recoveryMinutes = getRecoveryWindowMinutes(restaurantData);
+    if (callerPhoneNumber && locationData?.locationId && recoveryMinutes > 0) {
+      try {
+        abandonedCart = await findAbandonedCart(dynamodb, SESSION_CARTS_TABLE, {
+          callerNumber: callerPhoneNumber,
+          locationId: locationData.locationId,
+          since: new Date(Date.now() - recoveryMinutes * 60000).toISOString()
+        });
+        if (abandonedCart) {
+          console.log(`Abandoned cart found from call ${abandonedCart.call_id} (${abandonedCart.cart_items.length} line(s))`);
+        }
+      } catch (error) {
+        console.warn('Abandoned cart lookup failed:', error.message);
+      }
+    }
+    const recoveryVariables = getRecoveryVariables(abandonedCart);
+
     // Return the response with enhanced dynamic variables
     const response = {
       call_inbound: {
@@ -910,7 +878,9 @@ module.exports.handleInboundCall = async (event) => {
           store_status: storeInfo?.status || 'Store status unavailable',
           store_hours: storeInfo?.allHours || 'Hours not available',
           holiday_hours: holidayHoursFormatted,
-          upcoming_sports_events: upcomingSportsEvents || 'No upcoming games scheduled'
+          upcoming_sports_events: upcomingSportsEvents || 'No upcoming games scheduled',
+          ...profileVariables,
+          ...recoveryVariables
         },
         metadata: {
           request_timestamp: new Date().toISOString()
@@ -985,6 +955,27 @@ async function getLocationFromPhoneNumber(phoneNumber) {
   }
 }
 
+// Helper function to get a caller's profile at a location
+async function getCustomerProfile(phoneNumber, locationId) {
+  const result = await dynamodb.get({
+    TableName: CUSTOMER_PROFILES_TABLE,
+    Key: { phoneNumber: phoneNumber, locationId: locationId }
+  }).promise();
+
+  return result.Item || null;
+}
+
+// Helper function to count a call toward a caller's visits (creates the profile on the first call)
+async function recordCustomerVisit(phoneNumber, locationId) {
+  const now = new Date().toISOString();
+  await dynamodb.update({
+    TableName: CUSTOMER_PROFILES_TABLE,
+    Key: { phoneNumber: phoneNumber, locationId: locationId },
+    UpdateExpression: 'ADD visitCount :one SET lastVisitAt = :now, createdAt = if_not_exists(createdAt, :now)',
+    ExpressionAttributeValues: { ':one': 1, ':now': now }
+  }).promise();
+}
+
 // Helper function to get restaurant details from clientDatabase
 async function getRestaurantDetails(locationId) {
   try {
@@ -1010,7 +1001,8 @@ async function getRestaurantDetails(locationId) {
 }
 
 // Helper function to get location-specific menu items from clientMenu table
-async function getLocationSpecificMenuItems(restaurantName, locationId) {
+// Sold-out items and items outside their menu window are left out so the agent doesn't offer them
+async function getLocationSpecificMenuItems(restaurantName, locationId, { soldOutItems = {}, timeZone } = {}) {
   try {
     console.log(`Getting menu for: ${restaurantName} at location: ${locationId}`);
     
@@ -1032,10 +1024,14 @@ async function getLocationSpecificMenuItems(restaurantName, locationId) {
     console.log(`Found menu with ${result.Item.itemCount || 'unknown'} items`);
     
     // Extract menu item names (skip metadata fields)
-    const metadataFields = ['restaurantName', 'locationID', 'locationName', 'lastUpdated', 'itemCount'];
-    const menuItemNames = Object.entries(result.Item)
-      .filter(([key, value]) => !metadataFields.includes(key))
-      .map(([itemName, itemData]) => {
+    const menuEntries = getMenuItemEntries(result.Item)
+      .filter(([itemName]) => !soldOutItems[itemName])
+      .map(([itemName, itemData]) => [itemName, itemData, checkItemAvailability(result.Item, itemName, timeZone)]);
+    const outsideWindowCount = menuEntries.filter(([, , availability]) => !availability.available).length;
+
+    const menuItemNames = menuEntries
+      .filter(([, , availability]) => availability.available)
+      .map(([itemName, itemData, availability]) => {
         // Extract price from itemData
         const price = itemData.price || 0;
         const formattedPrice = (price / 100).toFixed(2); // Convert cents to dollars
@@ -1045,11 +1041,20 @@ async function getLocationSpecificMenuItems(restaurantName, locationId) {
           ? ` - ${itemData.description}` 
           : '';
         
-        return `${itemName} $${formattedPrice}${description}`;
+        // Add the restaurant's own names for the item so the agent recognizes them
+        const aliases = getItemAliases(itemData).map(alias => alias.name);
+        const aliasText = aliases.length > 0 ? ` (also called: ${aliases.join(', ')})` : '';
+        
+        // Tell the agent when a time-limited item stops being served
+        const windowText = availability.windows.length > 0
+          ? ` (served ${availability.windows.map(describeWindow).join(' or ')})`
+          : '';
+        
+        return `${itemName} $${formattedPrice}${description}${aliasText}${windowText}`;
       })
       .sort();
     
-    console.log(`Retrieved ${menuItemNames.length} menu items`);
+    console.log(`Retrieved ${menuItemNames.length} menu items (${Object.keys(soldOutItems).length} sold out, ${outsideWindowCount} outside their menu window)`);
     return menuItemNames;
     
   } catch (error) {
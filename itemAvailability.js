@@ -0,0 +1,364 @@
+const AWS = require('aws-sdk');
+const { SquareClient, SquareEnvironment } = require('square');
+const { resolveMenuItem } = require('./menuMatcher');
+const { getSoldOutItems, evaluateInventoryCounts } = require('./availability');
+const { getLocationTarget, describeMissingLocation } = require('./channel');
+
+// Configure AWS region (Lambda uses IAM role for credentials)
+AWS.config.update({
+  region: process.env.AWS_REGION || 'us-east-1'
+});
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+
+const PHONE_NUMBER_CLIENT_MAP_TABLE = process.env.PHONE_NUMBER_CLIENT_MAP_TABLE || 'phoneNumberClientMap';
+const CLIENT_MENU_TABLE = process.env.CLIENT_MENU_TABLE || 'clientMenu';
+const CLIENT_DATABASE_TABLE = process.env.CLIENT_DATABASE_TABLE || 'clientDatabase';
+const MERCHANTS_TABLE = process.env.MERCHANTS_TABLE || 'square-merchants';
+
+// Thrown when a request doesn't say which location it is for (see channel.js)
+const LOCATION_UNKNOWN_ERROR = 'LocationUnknown';
+
+// Helper function to parse an API Gateway body
+function parseBody(event) {
+  if (typeof event?.body === 'string') {
+    return JSON.parse(event.body);
+  }
+  return event?.body || {};
+}
+
+// Helper function to get the location ID from a request: the number the call dialed, or the
+// web call / chat's location. Body and args fields are never trusted (see channel.js)
+async function resolveLocationId(body) {
+  const target = getLocationTarget(body);
+  if (target.locationId) return target.locationId;
+
+  const phoneNumber = target.phoneNumber;
+  if (!phoneNumber) {
+    const error = new Error(describeMissingLocation(target.channel));
+    error.code = LOCATION_UNKNOWN_ERROR;
+    throw error;
+  }
+
+  const result = await dynamodb.get({
+    TableName: PHONE_NUMBER_CLIENT_MAP_TABLE,
+    Key: { phoneNumber: phoneNumber }
+  }).promise();
+
+  if (!result.Item) {
+    throw new Error(`No location found for phone number: ${phoneNumber}`);
+  }
+
+  return result.Item.locationId;
+}
+
+// Helper function to answer a failed location lookup: 400 when the request doesn't say
+// which location it is for, 404 when the location it names can't be found
+function createLocationErrorResponse(error) {
+  return createErrorResponse(error.code === LOCATION_UNKNOWN_ERROR ? 400 : 404, `Location lookup failed: ${error.message}`);
+}
+
+async function getLocationRecord(locationId) {
+  const result = await dynamodb.get({
+    TableName: CLIENT_DATABASE_TABLE,
+    Key: { locationId: locationId }
+  }).promise();
+
+  if (!result.Item) {
+    throw new Error(`No restaurant found for location ID: ${locationId}`);
+  }
+
+  return result.Item;
+}
+
+async function getLocationMenu(restaurantName, locationId) {
+  const result = await dynamodb.get({
+    TableName: CLIENT_MENU_TABLE,
+    Key: {
+      restaurantName: restaurantName,
+      locationID: locationId
+    }
+  }).promise();
+
+  if (!result.Item) {
+    throw new Error(`No menu found for ${restaurantName} at location ${locationId}`);
+  }
+
+  return result.Item;
+}
+
+// Helper function to apply sold-out changes to a location record
+// Each item is its own map path, so manual updates and inventory syncs don't overwrite each other
+async function updateSoldOutEntries(locationId, { add = {}, remove = [] }) {
+  const addNames = Object.keys(add);
+  if (addNames.length === 0 && remove.length === 0) return;
+
+  // Make sure the map exists before writing paths inside it
+  await dynamodb.update({
+    TableName: CLIENT_DATABASE_TABLE,
+    Key: { locationId: locationId },
+    UpdateExpression: 'SET #soldOut = if_not_exists(#soldOut, :empty_map)',
+    ExpressionAttributeNames: { '#soldOut': 'soldOutItems' },
+    ExpressionAttributeValues: { ':empty_map': {} }
+  }).promise();
+
+  const expressionAttributeNames = { '#soldOut': 'soldOutItems' };
+  const expressionAttributeValues = {};
+  const setClauses = addNames.map((itemName, i) => {
+    expressionAttributeNames[`#add${i}`] = itemName;
+    expressionAttributeValues[`:add${i}`] = add[itemName];
+    return `#soldOut.#add${i} = :add${i}`;
+  });
+  const removeClauses = remove.map((itemName, i) => {
+    expressionAttributeNames[`#remove${i}`] = itemName;
+    return `#soldOut.#remove${i}`;
+  });
+
+  await dynamodb.update({
+    TableName: CLIENT_DATABASE_TABLE,
+    Key: { locationId: locationId },
+    UpdateExpression: [
+      setClauses.length > 0 ? `SET ${setClauses.join(', ')}` : '',
+      removeClauses.length > 0 ? `REMOVE ${removeClauses.join(', ')}` : ''
+    ].filter(Boolean).join(' '),
+    ExpressionAttributeNames: expressionAttributeNames,
+    ...(setClauses.length > 0 && { ExpressionAttributeValues: expressionAttributeValues })
+  }).promise();
+}
+
+// Manually mark items sold out ("86") or back in stock
+module.exports.updateSoldOutItems = async (event) => {
+  console.log('[updateSoldOutItems] Starting function...');
+
+  try {
+    const body = parseBody(event);
+    const args = body.args || body;
+
+    const items = Array.isArray(args.items) ? args.items : (args.itemName ? [args.itemName] : []);
+    const soldOut = args.soldOut !== false; // default: 86 the items
+    const until = args.until || null;
+
+    console.log('[updateSoldOutItems] Args:', { items, soldOut, until });
+
+    if (items.length === 0) {
+      return createErrorResponse(400, 'Missing required field: items');
+    }
+    if (until && isNaN(new Date(until).getTime())) {
+      return createErrorResponse(400, 'until must be an ISO date');
+    }
+
+    let locationId;
+    let locationRecord;
+    let locationMenu;
+    try {
+      locationId = await resolveLocationId(body);
+      locationRecord = await getLocationRecord(locationId);
+      locationMenu = await getLocationMenu(locationRecord.restaurantName, locationId);
+    } catch (error) {
+      return createLocationErrorResponse(error);
+    }
+
+    // Staff can say "the cake"; resolve to exact menu names
+    const resolved = [];
+    const unresolved = [];
+    for (const item of items) {
+      const match = resolveMenuItem(locationMenu, item);
+      if (match.status === 'matched') {
+        resolved.push(match.itemName);
+      } else {
+        unresolved.push({ item, candidates: match.candidates });
+      }
+    }
+
+    if (soldOut) {
+      const now = new Date().toISOString();
+      const add = {};
+      resolved.forEach(itemName => {
+        add[itemName] = { source: 'manual', since: now, ...(until && { until: until }) };
+      });
+      await updateSoldOutEntries(locationId, { add });
+    } else {
+      await updateSoldOutEntries(locationId, { remove: resolved });
+    }
+
+    console.log(`${soldOut ? '86\'d' : 'Restocked'} at ${locationId}: ${resolved.join(', ') || 'nothing'}`);
+
+    return createSuccessResponse({
+      message: resolved.length > 0
+        ? `${resolved.join(', ')} ${soldOut ? 'marked sold out' : 'back on the menu'}.`
+        : 'No menu items matched.',
+      locationId: locationId,
+      updated: resolved,
+      unresolved: unresolved
+    });
+
+  } catch (error) {
+    console.error('Error updating sold-out items:', error);
+    return createErrorResponse(500, 'Internal server error', { details: error.message });
+  }
+};
+
+// List a location's sold-out items
+module.exports.getSoldOutItems = async (event) => {
+  console.log('[getSoldOutItems] Starting function...');
+
+  try {
+    // Staff dashboards read the list with ?locationId=; the route needs the API key
+    const locationId = event?.queryStringParameters?.locationId;
+
+    let locationRecord;
+    try {
+      locationRecord = await getLocationRecord(locationId || await resolveLocationId(parseBody(event)));
+    } catch (error) {
+      return createLocationErrorResponse(error);
+    }
+
+    const soldOutItems = getSoldOutItems(locationRecord);
+
+    return createSuccessResponse({
+      locationId: locationRecord.locationId,
+      soldOutItems: soldOutItems,
+      count: Object.keys(soldOutItems).length
+    });
+
+  } catch (error) {
+    console.error('Error getting sold-out items:', error);
+    return createErrorResponse(500, 'Internal server error', { details: error.message });
+  }
+};
+
+// Helper function to read IN_STOCK counts for a location's menu variations from Square
+async function fetchInventoryCounts(accessToken, locationId, variationIds) {
+  const squareClient = new SquareClient({
+    token: accessToken,
+    environment: SquareEnvironment.Production
+  });
+
+  const counts = [];
+  // batchGetCounts accepts up to 1000 catalog object IDs per request
+  for (let i = 0; i < variationIds.length; i += 1000) {
+    const page = await squareClient.inventory.batchGetCounts({
+      catalogObjectIds: variationIds.slice(i, i + 1000),
+      locationIds: [locationId],
+      states: ['IN_STOCK']
+    });
+    for await (const count of page) {
+      counts.push(count);
+    }
+  }
+
+  return counts;
+}
+
+// Helper function to sync one location's sold-out items from Square inventory
+async function syncLocationInventory(locationRecord) {
+  const locationId = locationRecord.locationId;
+  const locationMenu = await getLocationMenu(locationRecord.restaurantName, locationId);
+
+  const merchant = await dynamodb.get({
+    TableName: MERCHANTS_TABLE,
+    Key: { PK: locationRecord.restaurantName }
+  }).promise();
+  if (!merchant.Item?.access_token) {
+    throw new Error(`No Square authorization for ${locationRecord.restaurantName}`);
+  }
+
+  const variationIds = [...new Set(Object.values(locationMenu)
+    .map(menuItem => menuItem?.variation_id)
+    .filter(Boolean))];
+  const counts = await fetchInventoryCounts(merchant.Item.access_token, locationId, variationIds);
+  const { soldOut, inStock } = evaluateInventoryCounts(locationMenu, counts);
+
+  // Only Square-sourced entries are cleared here; manual 86s stay until staff remove them
+  const current = locationRecord.soldOutItems || {};
+  const now = new Date().toISOString();
+  const add = {};
+  soldOut
+    .filter(itemName => !current[itemName])
+    .forEach(itemName => {
+      add[itemName] = { source: 'square', since: now };
+    });
+  const remove = inStock.filter(itemName => current[itemName]?.source === 'square');
+
+  await updateSoldOutEntries(locationId, { add, remove });
+
+  console.log(`Inventory sync for ${locationId}: ${Object.keys(add).length} sold out, ${remove.length} restocked`);
+  return { locationId, soldOut: Object.keys(add), restocked: remove };
+}
+
+// Sync sold-out items from Square inventory counts (the call's location on request, every location on schedule)
+module.exports.syncSquareInventory = async (event) => {
+  console.log('[syncSquareInventory] Starting function...');
+
+  try {
+    let locationRecords;
+    if (event?.source !== 'aws.events') {
+      // An HTTP request only ever syncs its own location, never all of them
+      try {
+        locationRecords = [await getLocationRecord(await resolveLocationId(parseBody(event)))];
+      } catch (error) {
+        return createLocationErrorResponse(error);
+      }
+    } else {
+      // Scheduled run: every location with a menu
+      locationRecords = [];
+      let lastKey;
+      do {
+        const result = await dynamodb.scan({
+          TableName: CLIENT_DATABASE_TABLE,
+          ...(lastKey && { ExclusiveStartKey: lastKey })
+        }).promise();
+        locationRecords.push(...(result.Items || []));
+        lastKey = result.LastEvaluatedKey;
+      } while (lastKey);
+    }
+
+    const results = [];
+    for (const locationRecord of locationRecords) {
+      try {
+        results.push(await syncLocationInventory(locationRecord));
+      } catch (error) {
+        // One location without Square access shouldn't stop the others
+        console.warn(`Inventory sync skipped for ${locationRecord.locationId}:`, error.message);
+        results.push({ locationId: locationRecord.locationId, error: error.message });
+      }
+    }
+
+    return createSuccessResponse({
+      message: `Synced inventory for ${results.filter(result => !result.error).length} of ${results.length} locations`,
+      results: results
+    });
+
+  } catch (error) {
+    console.error('Error syncing Square inventory:', error);
+    return createErrorResponse(500, 'Internal server error', { details: error.message });
+  }
+};
+
+// Helper function to create success response
+function createSuccessResponse(data) {
+  return {
+    statusCode: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Headers': 'Content-Type',
+      'Access-Control-Allow-Methods': 'POST, OPTIONS'
+    },
+    body: JSON.stringify(data)
+  };
+}
+
+// Helper function to create error response
+function createErrorResponse(statusCode, message, additionalData = {}) {
+  return {
+    statusCode: statusCode,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Headers': 'Content-Type',
+      'Access-Control-Allow-Methods': 'POST, OPTIONS'
+    },
+    body: JSON.stringify({
+      error: message,
+      ...additionalData
+    })
+  };
+}
@@ -0,0 +1,252 @@
+/**
+ * Menu Item Components
+ * Per-piece modifier slots for multi-piece items (2pc sandwiches, 3pc tenders, combos, family packs)
+ *
+ * A menu item lists its pieces in the clientMenu record, each with its own modifier categories:
+ *   "components": [
+ *     { "name": "first tender", "modifierCategories": ["Tender 1 Spice Level"] },
+ *     { "name": "second tender", "modifierCategories": ["Tender 2 Spice Level"] },
+ *     { "name": "side", "modifierCategories": ["Choose Your Side"] }
+ *   ]
+ *
+ * Items without components are a single piece that owns every modifier category.
+ * Menus synced before components existed still work: items carrying both
+ * "Choose Your First/Second Sandwich Mods" categories get two sandwich slots.
+ */
+
+const LEGACY_SANDWICH_CATEGORIES = ['Choose Your First Sandwich Mods', 'Choose Your Second Sandwich Mods'];
+
+const ORDINALS = ['first', 'second', 'third', 'fourth', 'fifth', 'sixth', 'seventh', 'eighth', 'ninth', 'tenth'];
+
+// Helper function to name the Nth piece when the menu doesn't ("third piece")
+function defaultComponentName(index) {
+  return `${ORDINALS[index - 1] || `#${index}`} piece`;
+}
+
+/**
+ * Get the component slots of a menu item
+ * @param {Object} menuItem - clientMenu item
+ * @returns {Array<{index: number, name: string, modifierCategories: Array<string>}>} Slots (1-based index); empty for single-piece items
+ */
+function getItemComponents(menuItem) {
+  if (Array.isArray(menuItem?.components) && menuItem.components.length > 0) {
+    return menuItem.components.map((component, i) => ({
+      index: i + 1,
+      name: component.name || defaultComponentName(i + 1),
+      modifierCategories: component.modifierCategories || []
+    }));
+  }
+
+  // Legacy 2pc sandwich menus
+  const categoryNames = (menuItem?.modifiers || []).map(cat => cat.category);
+  if (LEGACY_SANDWICH_CATEGORIES.every(name => categoryNames.includes(name))) {
+    return LEGACY_SANDWICH_CATEGORIES.map((category, i) => ({
+      index: i + 1,
+      name: `${ORDINALS[i]} sandwich`,
+      modifierCategories: [category]
+    }));
+  }
+
+  return [];
+}
+
+/**
+ * Resolve a component reference (1-based number, numeric string or component name) to a slot
+ * @param {Object} menuItem - clientMenu item
+ * @param {number|string} component - e.g. 2, "2", "side", "second tender"
+ * @returns {Object|null} Slot from getItemComponents, or null if the item has no such piece
+ */
+function resolveComponent(menuItem, component) {
+  const components = getItemComponents(menuItem);
+  const index = Number(component);
+
+  if (Number.isInteger(index)) {
+    return components[index - 1] || null;
+  }
+
+  const name = String(component || '').trim().toLowerCase();
+  return components.find(slot => slot.name.toLowerCase() === name) || null;
+}
+
+/**
+ * Get the modifier categories a piece of an item can use
+ * Single-piece items expose every category as piece 1
+ * @param {Object} menuItem - clientMenu item
+ * @param {number|string} component - Piece reference (see resolveComponent)
+ * @returns {Object|null} { slot, categories } or null if the piece doesn't exist on this item
+ */
+function getComponentCategories(menuItem, component) {
+  const components = getItemComponents(menuItem);
+
+  if (components.length === 0) {
+    return Number(component) === 1
+      ? { slot: null, categories: menuItem?.modifiers || [] }
+      : null;
+  }
+
+  const slot = resolveComponent(menuItem, component);
+  if (!slot) return null;
+
+  return {
+    slot,
+    categories: (menuItem.modifiers || []).filter(cat => slot.modifierCategories.includes(cat.category))
+  };
+}
+
+// Helper function to build a cart modifier from a menu option, tagged with its piece
+function toCartModifier(category, option, slot) {
+  return {
+    category: category.category,
+    optionId: option.id,
+    optionName: option.name,
+    price: option.price / 100, // Convert cents to dollars
+    currency: option.currency || 'USD',
+    ...(option.spokenName && { spokenName: option.spokenName }),
+    ...(slot && { component: slot.index, componentName: slot.name })
+  };
+}
+
+/**
+ * Find a modifier option for one piece of an item
+ * Falls back to whole-item categories that no piece claims
+ * @param {Object} menuItem - clientMenu item
+ * @param {number|string} component - Piece reference (see resolveComponent)
+ * @param {string} optionName - Modifier option name as listed on the menu
+ * @returns {Object|null} Cart modifier ({ category, optionId, optionName, price, currency, component, componentName })
+ */
+function findComponentModifier(menuItem, component, optionName) {
+  const target = getComponentCategories(menuItem, component);
+  if (!target || !optionName) return null;
+
+  for (const category of target.categories) {
+    const option = (category.options || []).find(opt => opt.name.trim() === optionName.trim());
+    if (option) {
+      return toCartModifier(category, option, target.slot);
+    }
+  }
+
+  // Categories that no piece claims apply to the whole item (e.g. a combo's drink choice)
+  if (target.slot) {
+    const claimed = getItemComponents(menuItem).flatMap(slot => slot.modifierCategories);
+    for (const category of (menuItem.modifiers || []).filter(cat => !claimed.includes(cat.category))) {
+      const option = (category.options || []).find(opt => opt.name.trim() === optionName.trim());
+      if (option) {
+        return toCartModifier(category, option, null);
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find the spice level option for one piece of an item
+ * Prefers the piece's "Spice Level" categories, then any of its categories offering that option
+ * @param {Object} menuItem - clientMenu item
+ * @param {number|string} component - Piece reference (see resolveComponent)
+ * @param {string} spiceLevel - Spice level name (case-insensitive)
+ * @returns {Object|null} Cart modifier, or null if the piece doesn't offer that spice level
+ */
+function findComponentSpiceLevel(menuItem, component, spiceLevel) {
+  const target = getComponentCategories(menuItem, component);
+  if (!target || !spiceLevel) return null;
+
+  const spiceCategories = target.categories.filter(cat => cat.category.toLowerCase().includes('spice level'));
+  const searchOrder = target.slot
+    ? [...spiceCategories, ...target.categories.filter(cat => !spiceCategories.includes(cat))]
+    : spiceCategories;
+
+  for (const category of searchOrder) {
+    const option = (category.options || []).find(opt =>
+      opt.name.trim().toLowerCase() === spiceLevel.trim().toLowerCase()
+    );
+    if (option) {
+      return toCartModifier(category, option, target.slot);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * List the spice levels a menu offers: the options of its "Spice Level" categories
+ * Tells spice levels apart from other mods where a piece's category mixes both (legacy 2pc menus)
+ * @param {Object} locationMenu - clientMenu record
+ * @returns {Array<string>} Option names, lowercased
+ */
+function getMenuSpiceLevels(locationMenu) {
+  const names = new Set();
+  for (const menuItem of Object.values(locationMenu || {})) {
+    for (const category of menuItem?.modifiers || []) {
+      if ((category.category || '').toLowerCase().includes('spice level')) {
+        (category.options || []).forEach(option => names.add(option.name.trim().toLowerCase()));
+      }
+    }
+  }
+  return [...names];
+}
+
+/**
+ * Collect per-piece modifier requests from tool arguments
+ * Accepts the generic `componentModifiers` ([{ component, modifiers }]) plus the
+ * original firstSandwichMods / secondSandwichMods arrays (pieces 1 and 2)
+ * @param {Object} args - Tool call arguments
+ * @returns {Array<{component: (number|string), modifiers: Array<string>}>}
+ */
+function collectComponentModifierArgs(args) {
+  const requests = [];
+
+  if ((args?.firstSandwichMods || []).length > 0) {
+    requests.push({ component: 1, modifiers: args.firstSandwichMods });
+  }
+  if ((args?.secondSandwichMods || []).length > 0) {
+    requests.push({ component: 2, modifiers: args.secondSandwichMods });
+  }
+  for (const request of args?.componentModifiers || []) {
+    if (request && (request.modifiers || []).length > 0) {
+      requests.push({ component: request.component ?? 1, modifiers: request.modifiers });
+    }
+  }
+
+  return requests;
+}
+
+/**
+ * Collect per-piece spice levels from tool arguments
+ * Accepts `spiceLevels` (one per piece, in order) plus firstItemSpiceLevel / secondItemSpiceLevel
+ * @param {Object} args - Tool call arguments
+ * @returns {Array<{component: number, spiceLevel: string}>}
+ */
+function collectSpiceLevelArgs(args) {
+  const spiceLevels = Array.isArray(args?.spiceLevels) ? [...args.spiceLevels] : [];
+  if (args?.firstItemSpiceLevel) spiceLevels[0] = args.firstItemSpiceLevel;
+  if (args?.secondItemSpiceLevel) spiceLevels[1] = args.secondItemSpiceLevel;
+
+  return spiceLevels
+    .map((spiceLevel, i) => ({ component: i + 1, spiceLevel }))
+    .filter(entry => entry.spiceLevel);
+}
+
+/**
+ * Name a piece for messages ("second sandwich", or the item itself for single-piece items)
+ * @param {Object} menuItem - clientMenu item
+ * @param {number|string} component - Piece reference
+ * @returns {string}
+ */
+function describeComponent(menuItem, component) {
+  const slot = resolveComponent(menuItem, component);
+  if (slot) return slot.name;
+  return Number(component) === 1 ? 'item' : (Number.isInteger(Number(component)) ? defaultComponentName(Number(component)) : String(component));
+}
+
+module.exports = {
+  getItemComponents,
+  resolveComponent,
+  getComponentCategories,
+  findComponentModifier,
+  findComponentSpiceLevel,
+  getMenuSpiceLevels,
+  collectComponentModifierArgs,
+  collectSpiceLevelArgs,
+  describeComponent
+};
@@ -0,0 +1,182 @@
+/**
+ * Menu Item Info
+ * Answers caller questions about a menu item: what it costs, what comes on it, and what can be changed
+ *
+ * Everything comes from the location's clientMenu record. Items can also list what's in them,
+ * for questions the description doesn't answer:
+ *   "Sandwich (1pc)": {
+ *     "price": 499, "description": "Hot chicken sandwich",
+ *     "ingredients": ["fried chicken", "pickles", "comeback sauce", "brioche bun"]
+ *   }
+ * ("ingredients" can also be one comma-separated string)
+ *
+ * Prices are in cents on the menu and in dollars in the answer, as in the cart.
+ */
+
+const { speakItemName } = require('./menuMatcher');
+const { getItemComponents } = require('./menuComponents');
+const { getCategoryRules, speakCategoryName } = require('./modifierRules');
+const { roundCurrency } = require('./cartPricing');
+
+// Options read out per category before the answer says "and N more"
+const MAX_SPOKEN_OPTIONS = 6;
+
+// Helper function to join names for speech ("A, B and C", or "A, B or C")
+function joinForSpeech(names, conjunction = 'and') {
+  return names.length > 1 ? `${names.slice(0, -1).join(', ')} ${conjunction} ${names[names.length - 1]}` : names[0] || '';
+}
+
+/**
+ * Read a menu item's ingredient list
+ * @param {Object} menuItem - clientMenu item
+ * @returns {Array<string>}
+ */
+function getItemIngredients(menuItem) {
+  const ingredients = Array.isArray(menuItem?.ingredients)
+    ? menuItem.ingredients
+    : String(menuItem?.ingredients || '').split(',');
+  return ingredients.map(ingredient => String(ingredient).trim()).filter(Boolean);
+}
+
+/**
+ * List a menu item's modifier categories with their options and upcharges
+ * @param {Object} menuItem - clientMenu item
+ * @returns {Array<Object>} { category, spokenCategory, pieceName, required, minSelections, maxSelections, options: [{ name, price }] } (price in dollars)
+ */
+function getModifierCategories(menuItem) {
+  const components = getItemComponents(menuItem);
+
+  return (menuItem?.modifiers || []).map(category => {
+    const { minSelections, maxSelections } = getCategoryRules(category);
+    const piece = components.find(slot => slot.modifierCategories.includes(category.category));
+
+    return {
+      category: category.category,
+      spokenCategory: speakCategoryName(category.category),
+      pieceName: piece ? piece.name : null,
+      required: minSelections > 0,
+      minSelections: minSelections,
+      maxSelections: maxSelections,
+      options: (category.options || []).map(option => ({
+        name: option.name.trim(),
+        ...(option.spokenName && { spokenName: option.spokenName }),
+        price: roundCurrency((option.price || 0) / 100)
+      }))
+    };
+  });
+}
+
+// Helper function to say an option's name, without the piece number some menus add ("No Pickles 2")
+function speakOptionName(option) {
+  return option.spokenName || option.name.replace(/\s*\d+$/, '');
+}
+
+// Helper function to describe one category's choices ("spice level for the first sandwich, pick one: Mild or Hot")
+function describeCategory(category) {
+  const names = category.options.map(option => {
+    const spoken = speakOptionName(option);
+    return option.price > 0 ? `${spoken} for $${option.price.toFixed(2)} more` : spoken;
+  });
+  const spokenOptions = names.length > MAX_SPOKEN_OPTIONS
+    ? `${names.slice(0, MAX_SPOKEN_OPTIONS).join(', ')} and ${names.length - MAX_SPOKEN_OPTIONS} more`
+    : joinForSpeech(names, category.required ? 'or' : 'and');
+
+  let rule = '';
+  if (category.required) {
+    rule = category.minSelections === 1 && category.maxSelections === 1 ? ', pick one' : `, pick at least ${category.minSelections}`;
+  } else if (category.maxSelections) {
+    rule = `, up to ${category.maxSelections}`;
+  }
+
+  const pieceText = category.pieceName && !category.spokenCategory.includes(category.pieceName.toLowerCase())
+    ? ` for the ${category.pieceName}`
+    : '';
+  return `${category.spokenCategory}${pieceText}${rule}: ${spokenOptions}`;
+}
+
+/**
+ * Find the options a caller asked about ("how much with cheese?") on a menu item
+ * @param {Object} menuItem - clientMenu item
+ * @param {Array<string>} optionNames - Option names as said
+ * @returns {Object} { found: [{ category, name, price }], notFound: Array<string> }
+ */
+function findItemOptions(menuItem, optionNames) {
+  const categories = getModifierCategories(menuItem);
+  const found = [];
+  const notFound = [];
+
+  for (const requested of optionNames || []) {
+    const wanted = String(requested).trim().toLowerCase();
+    const match = categories
+      .flatMap(category => category.options.map(option => ({ category: category.category, ...option })))
+      .find(option => [option.name, speakOptionName(option)].some(name => name.toLowerCase() === wanted));
+
+    if (match) {
+      found.push(match);
+    } else if (wanted) {
+      notFound.push(String(requested).trim());
+    }
+  }
+
+  return { found, notFound };
+}
+
+/**
+ * Answer what a menu item costs, what's in it and how it can be changed
+ * @param {string} itemName - Menu item name
+ * @param {Object} menuItem - clientMenu item
+ * @param {Object} [options] - { selectedOptions: option names to price in, soldOut, availability: { available, windowsText } }
+ * @returns {Object} { itemName, spokenName, price, description, ingredients, modifierCategories, selectedOptions, unknownOptions, configuredPrice, message } (prices in dollars)
+ */
+function describeMenuItem(itemName, menuItem, options = {}) {
+  const spokenName = menuItem.spokenName || speakItemName(itemName);
+  const price = roundCurrency((menuItem.price || 0) / 100);
+  const description = (menuItem.description || '').trim();
+  const ingredients = getItemIngredients(menuItem);
+  const modifierCategories = getModifierCategories(menuItem);
+  const selected = findItemOptions(menuItem, options.selectedOptions);
+  const configuredPrice = roundCurrency(price + selected.found.reduce((sum, option) => sum + option.price, 0));
+
+  const sentences = [`The ${spokenName} is $${price.toFixed(2)}.`];
+  if (selected.found.length > 0) {
+    const names = selected.found.map(speakOptionName);
+    sentences.push(`With ${joinForSpeech(names)}, it's $${configuredPrice.toFixed(2)}.`);
+  }
+  if (selected.notFound.length > 0) {
+    sentences.push(`It doesn't come with ${joinForSpeech(selected.notFound, 'or')} as an option.`);
+  }
+  if (description) {
+    sentences.push(/[.!?]$/.test(description) ? description : `${description}.`);
+  }
+  if (ingredients.length > 0) {
+    sentences.push(`It's made with ${joinForSpeech(ingredients)}.`);
+  }
+  if (modifierCategories.length > 0) {
+    sentences.push(`Options: ${modifierCategories.map(describeCategory).join('; ')}.`);
+  }
+  if (options.soldOut) {
+    sentences.push("It's sold out right now.");
+  } else if (options.availability && !options.availability.available) {
+    sentences.push(`It's only served during ${options.availability.windowsText}.`);
+  }
+
+  return {
+    itemName: itemName,
+    spokenName: spokenName,
+    price: price,
+    description: description,
+    ingredients: ingredients,
+    modifierCategories: modifierCategories,
+    selectedOptions: selected.found,
+    unknownOptions: selected.notFound,
+    configuredPrice: configuredPrice,
+    message: sentences.join(' ')
+  };
+}
+
+module.exports = {
+  getItemIngredients,
+  getModifierCategories,
+  findItemOptions,
+  describeMenuItem
+};
@@ -0,0 +1,305 @@
+/**
+ * Menu Item Matching
+ * Resolves what a caller (or the voice agent) said to a key in the clientMenu record
+ *
+ * Scoring combines three signals:
+ * - Token overlap after normalization ("two piece" -> "2pc", "sandos" -> "sandwich")
+ * - Per-token edit distance, so small transcription errors still match
+ * - Whole-string edit distance as a tie breaker
+ */
+
+// clientMenu attributes that describe the menu record rather than an item
+const MENU_METADATA_FIELDS = ['restaurantName', 'locationID', 'locationName', 'lastUpdated', 'itemCount', 'pronunciations', 'upsell', 'combos', 'menuWindows'];
+
+// Scores at or above this are treated as a confident match
+const MIN_MATCH_SCORE = 0.6;
+
+// Anything this close to a perfect score wins outright, even with close runners-up
+const EXACT_MATCH_SCORE = 0.95;
+
+// When the runner-up is within this margin of the top score we ask the caller to pick
+const AMBIGUITY_MARGIN = 0.05;
+
+// Candidates scoring below this are too weak to even suggest
+const MIN_SUGGESTION_SCORE = 0.3;
+
+// Max number of candidates returned for disambiguation / suggestions
+const MAX_CANDIDATES = 3;
+
+const NUMBER_WORDS = {
+  one: '1', two: '2', three: '3', four: '4', five: '5', six: '6',
+  seven: '7', eight: '8', nine: '9', ten: '10', twelve: '12', twenty: '20'
+};
+
+// Generic food-ordering vocabulary (restaurant specific vocabulary belongs in the menu data)
+const SYNONYMS = {
+  sando: 'sandwich',
+  sandos: 'sandwich',
+  sammy: 'sandwich',
+  sammich: 'sandwich',
+  sandwhich: 'sandwich',
+  coke: 'soda',
+  pepsi: 'soda',
+  sprite: 'soda',
+  pop: 'soda',
+  cola: 'soda',
+  nugs: 'nugget',
+  nuggies: 'nugget',
+  tendies: 'tender',
+  strips: 'tender',
+  n: 'and',
+  w: 'with'
+};
+
+const STOP_WORDS = new Set(['a', 'an', 'the', 'of', 'some', 'please', 'order', 'and']);
+
+// Helper function to normalize free text into comparable tokens
+// Pass { synonyms: false } to compare operator-defined aliases literally
+function tokenize(text, { synonyms = true } = {}) {
+  if (!text) return [];
+
+  const normalized = String(text)
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/w\//g, 'with ')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(word => NUMBER_WORDS[word] || word)
+    .join(' ')
+    // "2 pc", "2 piece", "2pcs" -> "2pc"
+    .replace(/\b(\d+)\s*(pc|pcs|piece|pieces|pce)\b/g, '$1pc');
+
+  return normalized
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(word => (synonyms && SYNONYMS[word]) || word)
+    .map(stemToken)
+    .filter(word => !STOP_WORDS.has(word));
+}
+
+// Helper function to strip simple plural endings ("fries" -> "fry", "tenders" -> "tender")
+function stemToken(word) {
+  if (/\d/.test(word) || word.length <= 3) return word;
+  if (word.endsWith('ies')) return word.slice(0, -3) + 'y';
+  if (word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
+
+// Helper function to compute Levenshtein edit distance
+function editDistance(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Helper function to compare two normalized tokens (0 = unrelated, 1 = identical)
+function tokenSimilarity(a, b) {
+  if (a === b) return 1;
+
+  // Quantities and piece counts must match exactly ("1pc" is not "2pc")
+  if (/\d/.test(a) || /\d/.test(b)) return 0;
+
+  // Partial words ("chick" -> "chicken")
+  if (a.length >= 3 && b.length >= 3 && (a.startsWith(b) || b.startsWith(a))) {
+    return 0.85;
+  }
+
+  const ratio = 1 - editDistance(a, b) / Math.max(a.length, b.length);
+  return ratio >= 0.75 ? ratio : 0;
+}
+
+// Helper function to average the best token match of each token in `from` against `to`
+function coverage(from, to) {
+  if (from.length === 0) return 0;
+  const total = from.reduce((sum, token) => {
+    return sum + Math.max(0, ...to.map(other => tokenSimilarity(token, other)));
+  }, 0);
+  return total / from.length;
+}
+
+/**
+ * Score how well a spoken phrase matches a menu item name
+ * @param {string} query - What the caller said (e.g. "2pc sando")
+ * @param {string} candidate - Menu item name or alias (e.g. "Sandwich (2pc)")
+ * @param {Object} [options] - Tokenizer options ({ synonyms: false } for aliases)
+ * @returns {number} Confidence between 0 and 1
+ */
+function scoreMatch(query, candidate, options) {
+  const queryTokens = tokenize(query, options);
+  const candidateTokens = tokenize(candidate, options);
+
+  if (queryTokens.length === 0 || candidateTokens.length === 0) return 0;
+
+  const queryText = queryTokens.join(' ');
+  const candidateText = candidateTokens.join(' ');
+  if (queryText === candidateText) return 1;
+
+  // Token order does not matter ("sandwich 2pc" == "2pc sandwich")
+  if ([...queryTokens].sort().join(' ') === [...candidateTokens].sort().join(' ')) return 0.99;
+
+  // Recall (how much of what was said is in the name) weighs more than precision
+  // because menu names often carry extra words ("Single", "Regular")
+  const tokenScore = coverage(queryTokens, candidateTokens) * 0.7 + coverage(candidateTokens, queryTokens) * 0.3;
+  const charScore = 1 - editDistance(queryText, candidateText) / Math.max(queryText.length, candidateText.length);
+
+  return Math.min(0.98, tokenScore * 0.85 + charScore * 0.15);
+}
+
+/**
+ * Get the item entries of a clientMenu record, skipping metadata attributes
+ * @param {Object} locationMenu - clientMenu record
+ * @returns {Array<[string, Object]>} [itemName, menuItem] pairs
+ */
+function getMenuItemEntries(locationMenu) {
+  return Object.entries(locationMenu || {}).filter(([key, value]) =>
+    !MENU_METADATA_FIELDS.includes(key) && value && typeof value === 'object' && !Array.isArray(value)
+  );
+}
+
+/**
+ * Check whether a menu item matches a configuration selector (upsell rules, combo components)
+ * @param {string} itemName - Menu item name
+ * @param {Object} menuItem - clientMenu item
+ * @param {string} selector - Item name, one of the item's `tags`, or its `category` (case-insensitive)
+ * @returns {boolean}
+ */
+function itemMatchesSelector(itemName, menuItem, selector) {
+  const target = String(selector || '').trim().toLowerCase();
+  if (!target) return false;
+
+  return (itemName || '').toLowerCase() === target ||
+    (menuItem?.category || '').toLowerCase() === target ||
+    (menuItem?.tags || []).some(tag => String(tag).toLowerCase() === target);
+}
+
+/**
+ * Get the operator-defined aliases of a menu item
+ * Aliases live on each item in the clientMenu record, either as plain strings
+ * ("sando") or as objects that also preset the line's special instructions
+ * ({ "name": "coke", "specialInstructions": "Coke" })
+ * @param {Object} menuItem - clientMenu item
+ * @returns {Array<{name: string, specialInstructions: (string|undefined), spokenName: (string|undefined)}>}
+ */
+function getItemAliases(menuItem) {
+  if (!Array.isArray(menuItem?.aliases)) return [];
+
+  return menuItem.aliases
+    .map(alias => (typeof alias === 'string' ? { name: alias } : alias))
+    .filter(alias => alias && typeof alias.name === 'string' && alias.name.trim());
+}
+
+// Helper function to score a query against an item's name and aliases, keeping the winning alias
+function scoreMenuItem(query, itemName, menuItem) {
+  let best = { score: scoreMatch(query, itemName), alias: null };
+
+  for (const alias of getItemAliases(menuItem)) {
+    // Aliases are compared without the built-in synonyms so "sprite" never hits the "coke" alias
+    const aliasScore = scoreMatch(query, alias.name, { synonyms: false });
+    if (aliasScore >= best.score && aliasScore > 0) {
+      best = { score: aliasScore, alias };
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Resolve a spoken item name to a menu item
+ * @param {Object} locationMenu - clientMenu record
+ * @param {string} query - Item name as said by the caller/agent
+ * @returns {Object} { status: 'matched'|'ambiguous'|'not_found', itemName, menuItem, alias, score, candidates }
+ */
+function resolveMenuItem(locationMenu, query) {
+  const entries = getMenuItemEntries(locationMenu);
+
+  // Exact key lookup first (agent already used the menu name)
+  if (query && locationMenu?.[query] && entries.some(([name]) => name === query)) {
+    return {
+      status: 'matched',
+      itemName: query,
+      menuItem: locationMenu[query],
+      alias: null,
+      score: 1,
+      candidates: [{ itemName: query, score: 1 }]
+    };
+  }
+
+  const ranked = entries
+    .map(([itemName, menuItem]) => ({ itemName, menuItem, ...scoreMenuItem(query, itemName, menuItem) }))
+    .filter(entry => entry.score >= MIN_SUGGESTION_SCORE)
+    .sort((a, b) => b.score - a.score);
+
+  const candidates = ranked.slice(0, MAX_CANDIDATES).map(entry => ({
+    itemName: entry.itemName,
+    score: Number(entry.score.toFixed(2))
+  }));
+
+  const [top, runnerUp] = ranked;
+
+  if (!top || top.score < MIN_MATCH_SCORE) {
+    return { status: 'not_found', itemName: null, menuItem: null, alias: null, score: 0, candidates };
+  }
+
+  if (top.score < EXACT_MATCH_SCORE && runnerUp && top.score - runnerUp.score < AMBIGUITY_MARGIN) {
+    // Only offer the options that are actually close to the top match
+    const closeCandidates = candidates.filter(candidate => top.score - candidate.score < AMBIGUITY_MARGIN * 2);
+    return { status: 'ambiguous', itemName: null, menuItem: null, alias: null, score: candidates[0].score, candidates: closeCandidates };
+  }
+
+  return {
+    status: 'matched',
+    itemName: top.itemName,
+    menuItem: top.menuItem,
+    alias: top.alias,
+    score: Number(top.score.toFixed(2)),
+    candidates
+  };
+}
+
+/**
+ * Turn a menu item name into something a voice agent can read out
+ * @param {string} itemName - Menu item name (e.g. "Sandwich (2pc)")
+ * @returns {string} Speakable name (e.g. "Sandwich 2 piece")
+ */
+function speakItemName(itemName) {
+  return (itemName || '')
+    .replace(/(\d+)pc\b/g, '$1 piece')
+    .replace(/[()]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Format ranked candidates as a short spoken list ("A, B, or C")
+ * @param {Array<{itemName: string}>} candidates - Ranked candidates
+ * @returns {string} Speakable list
+ */
+function formatCandidatesForSpeech(candidates) {
+  const names = (candidates || []).map(candidate => speakItemName(candidate.itemName));
+  if (names.length <= 1) return names.join('');
+  if (names.length === 2) return `${names[0]} or ${names[1]}`;
+  return `${names.slice(0, -1).join(', ')}, or ${names[names.length - 1]}`;
+}
+
+module.exports = {
+  MENU_METADATA_FIELDS,
+  resolveMenuItem,
+  scoreMatch,
+  getMenuItemEntries,
+  itemMatchesSelector,
+  getItemAliases,
+  speakItemName,
+  formatCandidatesForSpeech
+};
@@ -0,0 +1,166 @@
+/**
+ * Menu Windows
+ * Time-of-day availability for menu items (breakfast, lunch, late night)
+ *
+ * Windows are defined on the clientMenu record and applied to menu groups with selectors
+ * (item name, category or tag, as in upsell rules):
+ *   "menuWindows": {
+ *     "Breakfast": { "hours": "06:00-10:30", "items": ["Breakfast"] },
+ *     "Late Night": { "hours": "22:00-02:00", "days": ["Friday", "Saturday"], "items": ["late-night"] }
+ *   }
+ *
+ * An item can also carry its own `availability`, which replaces any group window:
+ *   "availability": "Breakfast"                                  // a named window
+ *   "availability": { "hours": "11:00-15:00", "days": ["Monday"] } // an inline window
+ *   "availability": ["Lunch", "Late Night"]                       // available during either
+ *
+ * Hours are "HH:MM-HH:MM" in the restaurant's `timeZone` (clientDatabase). A window that
+ * closes before it opens runs past midnight, and its `days` name the day it opens.
+ * Items without a window are available whenever the store is open.
+ */
+
+const { getMenuItemEntries, itemMatchesSelector, speakItemName } = require('./menuMatcher');
+const { DAY_NAMES, parseHours, formatTimeForSpeech, getLocalDateTime } = require('./storeHours');
+
+// Helper function to join names for speech ("a", "a and b", "a, b and c")
+function joinForSpeech(names) {
+  return names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}` : names[0] || '';
+}
+
+// Helper function to normalize a window definition, or null when it can't be used
+function normalizeWindow(name, definition) {
+  const parsed = parseHours(definition?.hours);
+  if (!parsed) return null;
+
+  const days = Array.isArray(definition.days)
+    ? DAY_NAMES.filter(day => definition.days.some(d => String(d).toLowerCase() === day.toLowerCase()))
+    : [];
+
+  return {
+    name: name || null,
+    hours: definition.hours,
+    days: days,
+    openTime: parsed.openTime,
+    closeTime: parsed.closeTime
+  };
+}
+
+/**
+ * Get the named windows configured on a clientMenu record
+ * @param {Object} locationMenu - clientMenu record
+ * @returns {Array<Object>} { name, hours, days, openTime, closeTime, items }
+ */
+function getMenuWindows(locationMenu) {
+  return Object.entries(locationMenu?.menuWindows || {})
+    .map(([name, definition]) => {
+      const window = normalizeWindow(name, definition);
+      return window && { ...window, items: Array.isArray(definition.items) ? definition.items : [] };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Get the windows an item is sold in
+ * @param {Object} locationMenu - clientMenu record
+ * @param {string} itemName - Menu item name
+ * @returns {Array<Object>} Windows (empty when the item is always available)
+ */
+function getItemWindows(locationMenu, itemName) {
+  const menuItem = locationMenu?.[itemName];
+  const windows = getMenuWindows(locationMenu);
+
+  if (menuItem?.availability) {
+    const entries = Array.isArray(menuItem.availability) ? menuItem.availability : [menuItem.availability];
+    return entries
+      .map(entry => typeof entry === 'string'
+        ? windows.find(window => window.name.toLowerCase() === entry.toLowerCase()) || null
+        : normalizeWindow(entry.name, entry))
+      .filter(Boolean);
+  }
+
+  return windows.filter(window => window.items.some(selector => itemMatchesSelector(itemName, menuItem, selector)));
+}
+
+/**
+ * Check whether a window is open at a local time
+ * @param {Object} window - Window from getMenuWindows / getItemWindows
+ * @param {Object} localTime - Result of getLocalDateTime (storeHours)
+ * @returns {boolean}
+ */
+function isWindowOpen(window, localTime) {
+  const servesOn = dayIndex => window.days.length === 0 || window.days.includes(DAY_NAMES[dayIndex]);
+
+  if (window.openTime < window.closeTime) {
+    return servesOn(localTime.dayIndex) && localTime.minutes >= window.openTime && localTime.minutes < window.closeTime;
+  }
+
+  // Past midnight: the early-morning part belongs to the previous day's window
+  return (servesOn(localTime.dayIndex) && localTime.minutes >= window.openTime) ||
+    (servesOn((localTime.dayIndex + 6) % 7) && localTime.minutes < window.closeTime);
+}
+
+/**
+ * Check whether an item can be ordered at a given time
+ * @param {Object} locationMenu - clientMenu record
+ * @param {string} itemName - Menu item name
+ * @param {string} [timeZone] - Restaurant time zone
+ * @param {Date} [now] - Time the order is for
+ * @returns {Object} { available, windows }
+ */
+function checkItemAvailability(locationMenu, itemName, timeZone, now = new Date()) {
+  const windows = getItemWindows(locationMenu, itemName);
+  if (windows.length === 0) {
+    return { available: true, windows };
+  }
+
+  const localTime = getLocalDateTime(now, timeZone);
+  return { available: windows.some(window => isWindowOpen(window, localTime)), windows };
+}
+
+/**
+ * Get the menu items that can't be ordered at a given time
+ * @param {Object} locationMenu - clientMenu record
+ * @param {string} [timeZone] - Restaurant time zone
+ * @param {Date} [now] - Time the order is for
+ * @returns {Array<string>} Menu item names
+ */
+function getUnavailableItems(locationMenu, timeZone, now = new Date()) {
+  return getMenuItemEntries(locationMenu)
+    .map(([itemName]) => itemName)
+    .filter(itemName => !checkItemAvailability(locationMenu, itemName, timeZone, now).available);
+}
+
+/**
+ * Describe a window for speech ("Breakfast, 6:00 AM to 10:30 AM on Saturday and Sunday")
+ * @param {Object} window - Window from getItemWindows
+ * @returns {string}
+ */
+function describeWindow(window) {
+  const [openStr, closeStr] = window.hours.split('-');
+  const hours = `${formatTimeForSpeech(openStr)} to ${formatTimeForSpeech(closeStr)}`;
+  const days = window.days.length > 0 && window.days.length < 7 ? ` on ${joinForSpeech(window.days)}` : '';
+
+  return `${window.name ? `${window.name}, ` : ''}${hours}${days}`;
+}
+
+/**
+ * Build the sentence the agent reads when an item is ordered outside its window
+ * @param {string} itemName - Menu item name
+ * @param {Array<Object>} windows - The item's windows
+ * @param {Object} [locationMenu] - clientMenu record (for spokenName)
+ * @returns {string} e.g. "Sorry, Biscuit Sandwich is only served during Breakfast, 6:00 AM to 10:30 AM."
+ */
+function describeUnavailable(itemName, windows, locationMenu) {
+  const spoken = locationMenu?.[itemName]?.spokenName || speakItemName(itemName);
+  return `Sorry, ${spoken} is only served during ${windows.map(describeWindow).join(', or ')}.`;
+}
+
+module.exports = {
+  getMenuWindows,
+  getItemWindows,
+  isWindowOpen,
+  checkItemAvailability,
+  getUnavailableItems,
+  describeWindow,
+  describeUnavailable
+};
@@ -0,0 +1,95 @@
+// Script to move Red Bird's cart read-back phrasing into its clientMenu records
+// cart.js used to carry these phrases for every restaurant; they now live on Red Bird's menu data:
+// modifier phrasing in `pronunciations`, and a `spokenName` on items named after the FCK YOU CRA spice level
+require('dotenv').config();
+const AWS = require('aws-sdk');
+
+// Configure AWS
+AWS.config.update({
+  region: process.env.AWS_REGION || 'us-east-1',
+  accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+  secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
+});
+
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+
+const CLIENT_MENU_TABLE = process.env.CLIENT_MENU_TABLE || `clientMenu-${process.env.STAGE || 'dev'}`;
+const RESTAURANT_NAME = process.argv[2] || 'Red Bird';
+
+// Written phrase -> spoken phrase, as cart.js read them back before
+const RED_BIRD_PRONUNCIATIONS = {
+  'Add cheese': 'with cheese',
+  'Add tender': 'with extra tender',
+  'No Big Bird Sauce': 'no sauce',
+  'FCK YOU CRA': 'f you cray'
+};
+
+// Helper function to say an item name the way cart.js did ("FCK YOU CRA Tenders (3pc)" -> "F.C.K. Tenders (3 piece)")
+function speakRedBirdItemName(itemName) {
+  return itemName
+    .replace(/FCK YOU CRA/g, 'F.C.K.')
+    .replace(/(\d+)pc\b/g, '$1 piece');
+}
+
+async function migrateMenu(menu) {
+  const names = { '#pronunciations': 'pronunciations' };
+  const values = {
+    // A pronunciation the restaurant already set wins over the old default
+    ':pronunciations': { ...RED_BIRD_PRONUNCIATIONS, ...(menu.pronunciations || {}) }
+  };
+  const assignments = ['#pronunciations = :pronunciations'];
+
+  const itemNames = Object.keys(menu).filter(key =>
+    key.includes('FCK YOU CRA') && menu[key] && typeof menu[key] === 'object' && !menu[key].spokenName
+  );
+  itemNames.forEach((itemName, i) => {
+    names[`#item${i}`] = itemName;
+    names['#spokenName'] = 'spokenName';
+    values[`:spokenName${i}`] = speakRedBirdItemName(itemName);
+    assignments.push(`#item${i}.#spokenName = :spokenName${i}`);
+  });
+
+  await dynamodb.update({
+    TableName: CLIENT_MENU_TABLE,
+    Key: { restaurantName: menu.restaurantName, locationID: menu.locationID },
+    UpdateExpression: `SET ${assignments.join(', ')}`,
+    ExpressionAttributeNames: names,
+    ExpressionAttributeValues: values
+  }).promise();
+
+  console.log(`✅ ${menu.restaurantName} ${menu.locationID}: pronunciations set${itemNames.length ? `, spokenName added to ${itemNames.join(', ')}` : ''}`);
+}
+
+async function migrateRedBirdSpeech() {
+  console.log(`🗣️ Moving read-back phrasing into ${RESTAURANT_NAME} menus in ${CLIENT_MENU_TABLE}...\n`);
+
+  const menus = [];
+  let lastKey;
+  do {
+    const result = await dynamodb.query({
+      TableName: CLIENT_MENU_TABLE,
+      KeyConditionExpression: 'restaurantName = :restaurantName',
+      ExpressionAttributeValues: { ':restaurantName': RESTAURANT_NAME },
+      ExclusiveStartKey: lastKey
+    }).promise();
+    menus.push(...(result.Items || []));
+    lastKey = result.LastEvaluatedKey;
+  } while (lastKey);
+
+  if (menus.length === 0) {
+    console.error(`❌ No clientMenu records found for ${RESTAURANT_NAME}`);
+    process.exit(1);
+  }
+
+  for (const menu of menus) {
+    await migrateMenu(menu);
+  }
+
+  console.log(`\n🎉 Migrated ${menus.length} ${RESTAURANT_NAME} menu${menus.length === 1 ? '' : 's'}`);
+}
+
+// Run the script
+migrateRedBirdSpeech().catch(error => {
+  console.error('💥 Failed to migrate menu speech data:', error);
+  process.exit(1);
+});
@@ -0,0 +1,127 @@
+/**
+ * Modifier Selection Rules
+ * Checks cart lines against the min/max selection rules of their menu item's modifier categories
+ *
+ * Rules live on each modifier category in the clientMenu record:
+ *   { "category": "Spice Level", "minSelections": 1, "maxSelections": 1, "options": [...] }
+ *
+ * Categories without rules are optional, except spice level categories which
+ * default to exactly one selection so kitchens never get a sandwich without a spice level.
+ */
+
+const { speakItemName } = require('./menuMatcher');
+
+// Helper function to read the selection rules of a modifier category
+function getCategoryRules(category) {
+  const isSpiceLevel = (category.category || '').toLowerCase().includes('spice level');
+  const hasMin = Number.isInteger(category.minSelections);
+  const hasMax = Number.isInteger(category.maxSelections);
+
+  return {
+    minSelections: hasMin ? category.minSelections : (isSpiceLevel ? 1 : 0),
+    maxSelections: hasMax ? category.maxSelections : (isSpiceLevel ? 1 : null)
+  };
+}
+
+// Helper function to turn a category name into speech ("Choose Your Spice Level" -> "spice level")
+function speakCategoryName(categoryName) {
+  return (categoryName || '')
+    .replace(/^choose\s+(your|a|an)\s+/i, '')
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Check a cart line's modifiers against its menu item's category rules
+ * @param {Object} menuItem - clientMenu item (with modifiers categories)
+ * @param {Object} cartItem - Session cart line
+ * @returns {Array<Object>} Violations: { category, minSelections, maxSelections, selected, issue: 'missing'|'too_many', options }
+ */
+function checkLineModifiers(menuItem, cartItem) {
+  const violations = [];
+
+  for (const category of menuItem?.modifiers || []) {
+    const { minSelections, maxSelections } = getCategoryRules(category);
+    const selected = (cartItem.modifiers || []).filter(mod => mod.category === category.category).length;
+
+    if (selected < minSelections) {
+      violations.push({
+        category: category.category,
+        minSelections,
+        maxSelections,
+        selected,
+        issue: 'missing',
+        options: (category.options || []).map(option => option.name.trim())
+      });
+    } else if (maxSelections !== null && selected > maxSelections) {
+      violations.push({
+        category: category.category,
+        minSelections,
+        maxSelections,
+        selected,
+        issue: 'too_many',
+        options: []
+      });
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Check every line of a cart against the location menu
+ * Combo lines are checked part by part and report the part's line ID, so the modifier tools can fix it;
+ * lines whose item is no longer on the menu are skipped
+ * @param {Object} locationMenu - clientMenu record
+ * @param {Array} sessionCart - Session cart lines
+ * @returns {Array<Object>} Incomplete lines: { lineId, itemName, violations }
+ */
+function checkCartModifiers(locationMenu, sessionCart) {
+  return (sessionCart || [])
+    .flatMap(cartItem => (cartItem.comboItems
+      ? cartItem.comboItems.map(part => ({ ...part, lineId: part.lineId || cartItem.lineId }))
+      : [cartItem]))
+    .map(cartItem => {
+      const menuItem = locationMenu?.[cartItem.item_name];
+      if (!menuItem) return null;
+
+      const violations = checkLineModifiers(menuItem, cartItem);
+      return violations.length > 0
+        ? { lineId: cartItem.lineId, itemName: cartItem.item_name, violations }
+        : null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Build a prompt the agent can read to resolve a line's modifier violations
+ * @param {string} itemName - Menu item name of the line
+ * @param {Array<Object>} violations - Result of checkLineModifiers
+ * @returns {string} e.g. "The Sandwich 1 piece still needs a spice level: Mild or Hot."
+ */
+function describeModifierViolations(itemName, violations) {
+  const spokenItem = speakItemName(itemName);
+
+  return violations.map(violation => {
+    const categoryName = speakCategoryName(violation.category);
+
+    if (violation.issue === 'too_many') {
+      const limit = violation.maxSelections === 1 ? 'one' : `up to ${violation.maxSelections}`;
+      return `The ${spokenItem} can only have ${limit} ${categoryName} selection${violation.maxSelections === 1 ? '' : 's'}.`;
+    }
+
+    const options = violation.options.slice(0, 6);
+    const optionsText = options.length > 1
+      ? `${options.slice(0, -1).join(', ')} or ${options[options.length - 1]}`
+      : options.join('');
+    return `The ${spokenItem} still needs a ${categoryName}${optionsText ? `: ${optionsText}` : ''}.`;
+  }).join(' ');
+}
+
+module.exports = {
+  getCategoryRules,
+  speakCategoryName,
+  checkLineModifiers,
+  checkCartModifiers,
+  describeModifierViolations
+};
@@ -1,7 +1,9 @@
 const AWS = require('aws-sdk');
 const dynamodb = new AWS.DynamoDB.DocumentClient();
+const { summarizeUpsellOutcome } = require('./upsellEngine');
 
 const TABLE_NAME = process.env.YAPN_ANALYTICS_TABLE || 'yapn-analytics';
+const SESSION_CARTS_TABLE = process.env.SESSION_CARTS_TABLE;
 
 module.exports.handlePostCallAnalysis = async (event) => {
   console.log('Handling post-call analysis webhook...');
@@ -66,13 +68,19 @@ module.exports.handlePostCallAnalysis = async (event) => {
 
     // Parse and filter items
     const orderedItems = parseAndFilterItems(orderDetails);
-    const upsoldItems = parseAndFilterItems(upsell);
+
+    // Upsells come from the call's cart events; the LLM's _upsell field is only a fallback
+    // for calls that never asked for suggestions (or predate tracking)
+    const upsellOutcome = await getSessionUpsellOutcome(body.call?.call_id);
+    const upsoldItems = upsellOutcome
+      ? upsellOutcome.acceptedItems.map(item => ({ name: item.name, quantity: item.quantity }))
+      : parseAndFilterItems(upsell);
 
     console.log('Parsed ordered items:', orderedItems);
-    console.log('Parsed upsold items:', upsoldItems);
+    console.log(`Upsold items (${upsellOutcome ? 'session cart' : '_upsell'}):`, upsoldItems);
 
     // Update DynamoDB
-    await updateAnalytics(restaurantPhone, orderedItems, upsoldItems);
+    await updateAnalytics(restaurantPhone, orderedItems, upsoldItems, upsellOutcome);
 
     return {
       statusCode: 200,
@@ -85,7 +93,10 @@ module.exports.handlePostCallAnalysis = async (event) => {
         success: true,
         message: 'Post-call analysis processed successfully',
         orderedItems: orderedItems,
-        upsoldItems: upsoldItems
+        upsoldItems: upsoldItems,
+        upsellSource: upsellOutcome ? 'session' : 'custom_analysis',
+        upsellsSuggested: upsellOutcome ? upsellOutcome.suggested : null,
+        upsellsAccepted: upsellOutcome ? upsellOutcome.accepted : null
       })
     };
 
@@ -107,6 +118,42 @@ module.exports.handlePostCallAnalysis = async (event) => {
   }
 };
 
+// Function to read the upsell outcome recorded on the call's session cart
+// Returns null when the call has no session or no suggestions were tracked
+async function getSessionUpsellOutcome(callId) {
+  if (!callId || !SESSION_CARTS_TABLE) {
+    return null;
+  }
+
+  try {
+    const result = await dynamodb.get({
+      TableName: SESSION_CARTS_TABLE,
+      Key: { call_id: callId }
+    }).promise();
+
+    if (!result.Item || !Array.isArray(result.Item.upsell_suggestions)) {
+      return null;
+    }
+
+    const outcome = summarizeUpsellOutcome(result.Item);
+
+    // Merge repeat items so each analytics map key is only updated once
+    const merged = new Map();
+    for (const item of outcome.acceptedItems) {
+      const existing = merged.get(item.name);
+      merged.set(item.name, existing
+        ? { ...existing, quantity: existing.quantity + item.quantity, revenue: existing.revenue + item.revenue }
+        : { ...item });
+    }
+
+    console.log(`Session upsells for call ${callId}: ${outcome.accepted}/${outcome.suggested} accepted`);
+    return { ...outcome, acceptedItems: [...merged.values()] };
+  } catch (error) {
+    console.error('Error reading session cart upsells:', error);
+    return null;
+  }
+}
+
 // Function to parse item strings and filter out sauces
 function parseAndFilterItems(itemString) {
   if (!itemString || itemString.trim() === '') {
@@ -164,13 +211,13 @@ function isSauce(itemName) {
 }
 
 // Function to update analytics in DynamoDB
-async function updateAnalytics(restaurantPhone, orderedItems, upsoldItems) {
+async function updateAnalytics(restaurantPhone, orderedItems, upsoldItems, upsellOutcome) {
   try {
     // First, ensure the record exists with empty maps if it doesn't exist
     await ensureRecordExists(restaurantPhone);
     
     // Now update the counts
-    await updateItemCounts(restaurantPhone, orderedItems, upsoldItems);
+    await updateItemCounts(restaurantPhone, orderedItems, upsoldItems, upsellOutcome);
 
   } catch (error) {
     console.error('Error updating DynamoDB:', error);
@@ -203,7 +250,7 @@ async function ensureRecordExists(restaurantPhone) {
 }
 
 // Function to update item counts
-async function updateItemCounts(restaurantPhone, orderedItems, upsoldItems) {
+async function updateItemCounts(restaurantPhone, orderedItems, upsoldItems, upsellOutcome) {
   // Build update expression
   let updateExpression = 'ADD #total_orders :inc SET #last_updated = :timestamp';
   const expressionAttributeNames = {
@@ -215,6 +262,20 @@ async function updateItemCounts(restaurantPhone, orderedItems, upsoldItems) {
     ':timestamp': new Date().toISOString()
   };
 
+  // Conversion counters, only known when upsells were tracked on the session cart
+  if (upsellOutcome) {
+    updateExpression = updateExpression.replace(
+      ' SET ',
+      ', #total_upsells_suggested :upsells_suggested, #total_upsells_accepted :upsells_accepted, #total_upsell_revenue :upsell_revenue SET '
+    );
+    expressionAttributeNames['#total_upsells_suggested'] = 'total_upsells_suggested';
+    expressionAttributeNames['#total_upsells_accepted'] = 'total_upsells_accepted';
+    expressionAttributeNames['#total_upsell_revenue'] = 'total_upsell_revenue';
+    expressionAttributeValues[':upsells_suggested'] = upsellOutcome.suggested;
+    expressionAttributeValues[':upsells_accepted'] = upsellOutcome.accepted;
+    expressionAttributeValues[':upsell_revenue'] = Math.round(upsellOutcome.acceptedItems.reduce((sum, item) => sum + item.revenue, 0) * 100) / 100;
+  }
+
   // Add ordered items
   for (const item of orderedItems) {
     const sanitizedKey = sanitizeKey(item.name);
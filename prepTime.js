@@ -0,0 +1,144 @@
+/**
+ * Prep Time
+ * Estimates how long the kitchen needs to get an order ready ("how long will it be?")
+ *
+ * Per-location settings on the clientDatabase record:
+ *   "prepTimeMinutes": 15,           // base time for any order (also the minimum lead time for scheduled pickups)
+ *   "itemPrepMinutes": 2,            // per unit, for menu items without their own prepMinutes
+ *   "prepLoadWindowMinutes": 30,     // how far back to count orders for the load factor
+ *   "prepMinutesPerRecentOrder": 3   // added per order placed in that window (unset or 0 turns the load factor off)
+ *
+ * Menu items can set their own per-unit time on the clientMenu record: "prepMinutes": 4
+ *
+ * Estimate = base + per-unit item minutes + recent orders x prepMinutesPerRecentOrder,
+ * rounded up to the next 5 minutes so the agent quotes "about 25 minutes".
+ *
+ * Recent orders are counted from session carts, which checkout stamps with location_id and ordered_at.
+ * The session-carts table has an index on those two (RECENT_ORDERS_INDEX), so the count is a Query.
+ */
+
+const DEFAULT_PREP_TIME_MINUTES = 15;
+const DEFAULT_ITEM_PREP_MINUTES = 1;
+const DEFAULT_LOAD_WINDOW_MINUTES = 30;
+
+// Quotes are rounded up to this many minutes
+const ROUND_TO_MINUTES = 5;
+
+// session-carts index: location_id (hash) + ordered_at (range); only checked-out carts are in it
+const RECENT_ORDERS_INDEX = 'location_id-ordered_at-index';
+
+// Helper function to read a minutes setting, falling back when it's missing or invalid
+function readMinutes(value, fallback) {
+  const minutes = Number(value);
+  return value !== undefined && value !== null && value !== '' && Number.isFinite(minutes) && minutes >= 0 ? minutes : fallback;
+}
+
+/**
+ * Read a location's prep time settings
+ * @param {Object} locationRecord - clientDatabase item
+ * @returns {Object} { baseMinutes, itemMinutes, loadWindowMinutes, minutesPerRecentOrder }
+ */
+function getPrepConfig(locationRecord) {
+  return {
+    baseMinutes: readMinutes(locationRecord?.prepTimeMinutes, DEFAULT_PREP_TIME_MINUTES),
+    itemMinutes: readMinutes(locationRecord?.itemPrepMinutes, DEFAULT_ITEM_PREP_MINUTES),
+    loadWindowMinutes: readMinutes(locationRecord?.prepLoadWindowMinutes, DEFAULT_LOAD_WINDOW_MINUTES),
+    minutesPerRecentOrder: readMinutes(locationRecord?.prepMinutesPerRecentOrder, 0)
+  };
+}
+
+/**
+ * Estimate how long a cart takes to prepare
+ * @param {Array} sessionCart - Session cart lines
+ * @param {Object} locationMenu - clientMenu record (per-item prepMinutes), or null
+ * @param {Object} locationRecord - clientDatabase item
+ * @param {Object} [options] - { recentOrders: orders placed in the load window }
+ * @returns {Object} { minutes (rounded quote), baseMinutes, itemMinutes, loadMinutes, itemCount, recentOrders }
+ */
+function estimatePrepTime(sessionCart, locationMenu, locationRecord, options = {}) {
+  const config = getPrepConfig(locationRecord);
+  const recentOrders = options.recentOrders || 0;
+
+  // Combo lines are prepared part by part
+  const units = (sessionCart || []).flatMap(item => {
+    const names = item.comboItems ? item.comboItems.map(part => part.item_name) : [item.item_name || item.name];
+    return names.map(itemName => ({ itemName, quantity: item.quantity || 1 }));
+  });
+
+  const itemCount = units.reduce((sum, unit) => sum + unit.quantity, 0);
+  const itemMinutes = units.reduce((sum, unit) =>
+    sum + unit.quantity * readMinutes(locationMenu?.[unit.itemName]?.prepMinutes, config.itemMinutes), 0);
+  const loadMinutes = recentOrders * config.minutesPerRecentOrder;
+
+  const total = config.baseMinutes + itemMinutes + loadMinutes;
+
+  return {
+    minutes: Math.ceil(total / ROUND_TO_MINUTES) * ROUND_TO_MINUTES,
+    baseMinutes: config.baseMinutes,
+    itemMinutes: itemMinutes,
+    loadMinutes: loadMinutes,
+    itemCount: itemCount,
+    recentOrders: recentOrders
+  };
+}
+
+/**
+ * Count the orders a location placed in its load window, for the load factor
+ * @param {Object} dynamodb - DocumentClient
+ * @param {string} tableName - session-carts table
+ * @param {string} locationId - Location ID
+ * @param {Object} locationRecord - clientDatabase item
+ * @returns {Promise<number>} 0 when the load factor is off or the count fails
+ */
+async function countRecentOrders(dynamodb, tableName, locationId, locationRecord) {
+  const { loadWindowMinutes, minutesPerRecentOrder } = getPrepConfig(locationRecord);
+  if (!minutesPerRecentOrder || !loadWindowMinutes || !locationId) return 0;
+
+  try {
+    const since = new Date(Date.now() - loadWindowMinutes * 60000).toISOString();
+    let count = 0;
+    let lastKey;
+    do {
+      const result = await dynamodb.query({
+        TableName: tableName,
+        IndexName: RECENT_ORDERS_INDEX,
+        KeyConditionExpression: '#location = :locationId AND #orderedAt >= :since',
+        ExpressionAttributeNames: { '#location': 'location_id', '#orderedAt': 'ordered_at' },
+        ExpressionAttributeValues: { ':locationId': locationId, ':since': since },
+        Select: 'COUNT',
+        ...(lastKey && { ExclusiveStartKey: lastKey })
+      }).promise();
+      count += result.Count || 0;
+      lastKey = result.LastEvaluatedKey;
+    } while (lastKey);
+
+    return count;
+  } catch (error) {
+    console.warn('Could not count recent orders:', error.message);
+    return 0;
+  }
+}
+
+/**
+ * Describe a prep estimate for speech
+ * @param {number} minutes - Estimated minutes
+ * @returns {string} e.g. "about 25 minutes", "about an hour and 10 minutes"
+ */
+function describePrepTime(minutes) {
+  if (minutes < 60) {
+    return `about ${minutes} minutes`;
+  }
+
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  const hoursText = hours === 1 ? 'an hour' : `${hours} hours`;
+  return `about ${hoursText}${rest > 0 ? ` and ${rest} minutes` : ''}`;
+}
+
+module.exports = {
+  RECENT_ORDERS_INDEX,
+  getPrepConfig,
+  estimatePrepTime,
+  countRecentOrders,
+  describePrepTime
+};
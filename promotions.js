@@ -0,0 +1,235 @@
+/**
+ * Promotions
+ * Validates spoken promo codes and prices their discount on a session cart
+ *
+ * Promotions live on each location's clientDatabase record:
+ *   "promotions": [
+ *     { "code": "SAVE10", "description": "10% off", "type": "percent", "value": 10, "minSubtotal": 1500 },
+ *     { "code": "FIVEOFF", "type": "fixed", "value": 500, "expiresAt": "2026-12-31T23:59:59-05:00", "maxUses": 200 },
+ *     { "code": "BOGOSANDO", "type": "bogo", "items": ["Sandwich (1pc)"] }
+ *   ],
+ *   "promotionUsage": { "FIVEOFF": 12 }   // maintained by checkout
+ *
+ * - percent: `value` percent off the subtotal
+ * - fixed: `value` cents off the subtotal
+ * - bogo: every second unit of the listed items is free (the cheaper unit of each pair)
+ * - minSubtotal (cents), startsAt / expiresAt (ISO dates), maxUses and active: false are optional
+ *
+ * Codes are compared after normalization, so "save ten", "save-10" and "SAVE10" all match
+ * SAVE10, and "five off" still matches FIVEOFF.
+ */
+
+const { roundCurrency } = require('./cartPricing');
+
+const PROMOTION_TYPES = ['percent', 'fixed', 'bogo'];
+
+// UID that ties the Square order discount to the promotion
+const SQUARE_DISCOUNT_UID = 'session-promotion';
+
+const UNIT_WORDS = {
+  zero: 0, oh: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+  ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16,
+  seventeen: 17, eighteen: 18, nineteen: 19
+};
+const TENS_WORDS = { twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90 };
+
+/**
+ * Normalize a promo code as spoken or typed
+ * @param {string} code - Promo code
+ * @param {Object} [options] - { numberWords: true to turn spoken numbers into digits ("save twenty five" -> "SAVE25") }
+ * @returns {string} Uppercase letters and digits only
+ */
+function normalizePromoCode(code, options = {}) {
+  const words = String(code || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+  if (!options.numberWords) {
+    return words.join('').toUpperCase();
+  }
+
+  const parts = [];
+
+  for (let i = 0; i < words.length; i++) {
+    const word = words[i];
+    if (TENS_WORDS[word] !== undefined) {
+      // "twenty five" -> 25
+      const next = UNIT_WORDS[words[i + 1]];
+      if (next !== undefined && next > 0 && next < 10) {
+        parts.push(String(TENS_WORDS[word] + next));
+        i++;
+      } else {
+        parts.push(String(TENS_WORDS[word]));
+      }
+    } else if (UNIT_WORDS[word] !== undefined) {
+      parts.push(String(UNIT_WORDS[word]));
+    } else {
+      parts.push(word);
+    }
+  }
+
+  return parts.join('').toUpperCase();
+}
+
+/**
+ * Read the promotions configured on a clientDatabase location record
+ * Definitions with an unknown type, no code or no value are skipped
+ * @param {Object} locationRecord - clientDatabase item
+ * @returns {Array<Object>} { code, description, type, value, items, minSubtotal, startsAt, expiresAt, maxUses, active }
+ */
+function getPromotions(locationRecord) {
+  const promotions = Array.isArray(locationRecord?.promotions) ? locationRecord.promotions : [];
+
+  return promotions
+    .filter(promotion => promotion?.code && PROMOTION_TYPES.includes(promotion.type))
+    .filter(promotion => promotion.type === 'bogo' ? (promotion.items || []).length > 0 : Number(promotion.value) > 0)
+    .map(promotion => ({
+      code: normalizePromoCode(promotion.code),
+      description: promotion.description || '',
+      type: promotion.type,
+      value: Number(promotion.value) || 0,
+      items: promotion.items || [],
+      minSubtotal: Number(promotion.minSubtotal) || 0,
+      startsAt: promotion.startsAt || null,
+      expiresAt: promotion.expiresAt || null,
+      maxUses: Number.isInteger(promotion.maxUses) ? promotion.maxUses : null,
+      active: promotion.active !== false
+    }));
+}
+
+/**
+ * Find a promotion by code on a location record
+ * @param {Object} locationRecord - clientDatabase item (or anything with `promotions`)
+ * @param {string} spokenCode - Code as the caller said it
+ * @returns {Object|null} Promotion from getPromotions
+ */
+function findPromotion(locationRecord, spokenCode) {
+  const candidates = [normalizePromoCode(spokenCode), normalizePromoCode(spokenCode, { numberWords: true })].filter(Boolean);
+  if (candidates.length === 0) return null;
+  return getPromotions(locationRecord).find(promotion => candidates.includes(promotion.code)) || null;
+}
+
+/**
+ * How many times a promotion has been used at a location
+ * @param {Object} locationRecord - clientDatabase item
+ * @param {string} code - Normalized promo code
+ * @returns {number}
+ */
+function getPromotionUsage(locationRecord, code) {
+  return Number(locationRecord?.promotionUsage?.[code]) || 0;
+}
+
+/**
+ * Calculate the discount a promotion gives a cart, capped at the subtotal
+ * @param {Object} promotion - Promotion from getPromotions
+ * @param {Array} sessionCart - Session cart lines
+ * @returns {number} Discount in dollars
+ */
+function calculatePromotionDiscount(promotion, sessionCart) {
+  const subtotal = (sessionCart || []).reduce((sum, item) => sum + (item.lineTotal || 0), 0);
+  let discount = 0;
+
+  if (promotion.type === 'percent') {
+    discount = subtotal * promotion.value / 100;
+  } else if (promotion.type === 'fixed') {
+    discount = promotion.value / 100;
+  } else if (promotion.type === 'bogo') {
+    const itemNames = promotion.items.map(name => String(name).toLowerCase());
+    const unitPrices = (sessionCart || [])
+      .filter(item => itemNames.includes((item.item_name || '').toLowerCase()))
+      .flatMap(item => Array(item.quantity || 0).fill(item.unitPrice || 0))
+      .sort((a, b) => b - a);
+
+    // Pair units from most to least expensive; the second unit of each pair is free
+    for (let i = 1; i < unitPrices.length; i += 2) {
+      discount += unitPrices[i];
+    }
+  }
+
+  return roundCurrency(Math.min(discount, subtotal));
+}
+
+/**
+ * Check whether a promotion can be applied to a cart right now
+ * @param {Object} promotion - Promotion from getPromotions
+ * @param {Array} sessionCart - Session cart lines
+ * @param {Object} [options] - { usageCount, now }
+ * @returns {Object} { valid, reason (speakable, null when valid), discount (dollars) }
+ */
+function checkPromotion(promotion, sessionCart, options = {}) {
+  const now = options.now || new Date();
+  const code = promotion.code;
+  const invalid = reason => ({ valid: false, reason, discount: 0 });
+
+  if (!promotion.active) {
+    return invalid(`Promo ${code} isn't active right now.`);
+  }
+  if (promotion.startsAt && now < new Date(promotion.startsAt)) {
+    return invalid(`Promo ${code} hasn't started yet.`);
+  }
+  if (promotion.expiresAt && now > new Date(promotion.expiresAt)) {
+    return invalid(`Promo ${code} has expired.`);
+  }
+  if (promotion.maxUses !== null && (options.usageCount || 0) >= promotion.maxUses) {
+    return invalid(`Promo ${code} has reached its usage limit.`);
+  }
+
+  const subtotal = roundCurrency((sessionCart || []).reduce((sum, item) => sum + (item.lineTotal || 0), 0));
+  if (subtotal === 0) {
+    return invalid(`Add something to the order first, then I can apply promo ${code}.`);
+  }
+  if (promotion.minSubtotal && Math.round(subtotal * 100) < promotion.minSubtotal) {
+    return invalid(`Promo ${code} needs a subtotal of at least $${(promotion.minSubtotal / 100).toFixed(2)}.`);
+  }
+
+  const discount = calculatePromotionDiscount(promotion, sessionCart);
+  if (discount <= 0) {
+    return invalid(`Promo ${code} is buy one get one on ${promotion.items.join(' or ')}, so it needs two of them in the order.`);
+  }
+
+  return { valid: true, reason: null, discount };
+}
+
+/**
+ * Describe a promotion for read-back ("10% off", "$5.00 off", "buy one get one free on Sandwich (1pc)")
+ * @param {Object} promotion - Promotion from getPromotions
+ * @returns {string}
+ */
+function describePromotion(promotion) {
+  if (promotion.description) return promotion.description;
+  if (promotion.type === 'percent') return `${promotion.value}% off`;
+  if (promotion.type === 'fixed') return `$${(promotion.value / 100).toFixed(2)} off`;
+  return `buy one get one free on ${promotion.items.join(' or ')}`;
+}
+
+/**
+ * Build the Square order discount for an applied promotion
+ * The computed amount is sent as a fixed ORDER discount so Square charges exactly what the agent quoted
+ * @param {Object|null} promotion - Applied promotion ({ code })
+ * @param {number} discount - Discount in dollars
+ * @param {string} currency - Order currency
+ * @returns {Object|null} Square OrderLineItemDiscount, or null when there's nothing to discount
+ */
+function buildSquareDiscount(promotion, discount, currency = 'USD') {
+  if (!promotion || !(discount > 0)) return null;
+
+  return {
+    uid: SQUARE_DISCOUNT_UID,
+    name: `Promo ${promotion.code}`,
+    type: 'FIXED_AMOUNT',
+    amountMoney: {
+      amount: BigInt(Math.round(discount * 100)),
+      currency: currency
+    },
+    scope: 'ORDER'
+  };
+}
+
+module.exports = {
+  SQUARE_DISCOUNT_UID,
+  normalizePromoCode,
+  getPromotions,
+  findPromotion,
+  getPromotionUsage,
+  calculatePromotionDiscount,
+  checkPromotion,
+  describePromotion,
+  buildSquareDiscount
+};
@@ -0,0 +1,406 @@
+/**
+ * Store Hours
+ * Reads a location's weekly and holiday hours (clientDatabase) in its own time zone
+ *
+ * Hours are stored per location:
+ *   "hours": { "Monday": "11:00-22:00", "Tuesday": "CLOSED", ... },
+ *   "holidayHours": [ { "name": "Thanksgiving", "date": "11/26", "hours": "CLOSED" } ],
+ *   "timeZone": "America/New_York"
+ *
+ * Used by the inbound call webhook (store status read to the agent) and by scheduled
+ * pickup orders (is the store open at the requested time?).
+ */
+
+const { getPrepConfig } = require('./prepTime');
+
+const DEFAULT_TIME_ZONE = 'America/New_York';
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// How far ahead a pickup can be scheduled when a location doesn't set maxScheduleDays
+const DEFAULT_MAX_SCHEDULE_DAYS = 7;
+
+// Words callers say around a pickup time that don't change it ("um, around 6 o'clock, please")
+const FILLER_WORDS = new Set(['um', 'uh', 'er', 'please', 'maybe', 'around', 'about', 'approximately', 'roughly', 'like', 'say', 'lets', 'oclock']);
+
+/**
+ * Parse an hours string (e.g., "11:00-22:00") into minutes after midnight
+ * "00:00" as a closing time means end of day (1440)
+ * @param {string} hoursString - "HH:MM-HH:MM"
+ * @returns {Object|null} { openTime, closeTime }
+ */
+function parseHours(hoursString) {
+  if (typeof hoursString !== 'string') return null;
+
+  const [openStr, closeStr] = hoursString.split('-');
+  if (!openStr || !closeStr) return null;
+
+  const [openHour, openMin] = openStr.split(':').map(Number);
+  const [closeHour, closeMin] = closeStr.split(':').map(Number);
+  if ([openHour, openMin, closeHour, closeMin].some(Number.isNaN)) return null;
+
+  const openTime = openHour * 60 + openMin;
+  let closeTime = closeHour * 60 + closeMin;
+
+  // Handle midnight: "00:00" should be treated as end of day (1440 minutes)
+  if (closeTime === 0) {
+    closeTime = 1440;
+  }
+
+  return { openTime, closeTime };
+}
+
+/**
+ * Format a time for speech
+ * @param {string} timeString - "HH:MM" (e.g., "11:00")
+ * @returns {string} e.g. "11:00 AM"
+ */
+function formatTimeForSpeech(timeString) {
+  if (!timeString) return '';
+
+  const [hour, minute] = timeString.split(':').map(Number);
+  const period = hour >= 12 ? 'PM' : 'AM';
+  const displayHour = hour === 0 ? 12 : hour > 12 ? hour - 12 : hour;
+
+  return `${displayHour}:${minute.toString().padStart(2, '0')} ${period}`;
+}
+
+/**
+ * Format an hours range for speech
+ * @param {string} hoursString - "HH:MM-HH:MM"
+ * @returns {string} e.g. "11:00 AM to 10:00 PM"
+ */
+function formatHoursForSpeech(hoursString) {
+  if (!hoursString) return 'hours not available';
+
+  const [openStr, closeStr] = hoursString.split('-');
+  const openFormatted = formatTimeForSpeech(openStr);
+  const closeFormatted = formatTimeForSpeech(closeStr);
+
+  return `${openFormatted} to ${closeFormatted}`;
+}
+
+/**
+ * Format all weekly hours for speech, one day per line
+ * @param {Object} restaurantHours - { Monday: "11:00-22:00", ... }
+ * @returns {string}
+ */
+function formatWeeklyHoursForSpeech(restaurantHours) {
+  const formattedHours = [];
+
+  DAY_NAMES.forEach((dayName) => {
+    const dayHours = restaurantHours[dayName];
+    if (dayHours && dayHours.toUpperCase() !== 'CLOSED') {
+      const formattedRange = formatHoursForSpeech(dayHours);
+      formattedHours.push(`${dayName}: ${formattedRange}`);
+    } else {
+      formattedHours.push(`${dayName}: closed`);
+    }
+  });
+
+  return formattedHours.join('\n');
+}
+
+/**
+ * Get the calendar date and time of day at a restaurant
+ * @param {Date} date - Moment to convert
+ * @param {string} [timeZone] - IANA time zone from clientDatabase
+ * @returns {Object} { year, month (0-11), day, dayIndex (0 = Sunday), minutes (after midnight), dateString ("M/D") }
+ */
+function getLocalDateTime(date, timeZone) {
+  const localTime = new Date(date.toLocaleString('en-US', { timeZone: timeZone || DEFAULT_TIME_ZONE }));
+
+  return {
+    year: localTime.getFullYear(),
+    month: localTime.getMonth(),
+    day: localTime.getDate(),
+    dayIndex: localTime.getDay(),
+    minutes: localTime.getHours() * 60 + localTime.getMinutes(),
+    dateString: `${localTime.getMonth() + 1}/${localTime.getDate()}` // No padding, as in holidayHours
+  };
+}
+
+/**
+ * Get today's date in M/D format (no padding) at a restaurant
+ * @param {string} timeZone - IANA time zone
+ * @returns {string}
+ */
+function getTodayDateString(timeZone) {
+  return getLocalDateTime(new Date(), timeZone).dateString;
+}
+
+/**
+ * Find the holiday entry for a date string
+ * @param {Array} holidayHours - clientDatabase holidayHours
+ * @param {string} dateString - "M/D"
+ * @returns {Object|null} { name, date, hours }
+ */
+function findHoliday(holidayHours, dateString) {
+  if (!holidayHours || !Array.isArray(holidayHours) || holidayHours.length === 0) {
+    return null;
+  }
+
+  return holidayHours.find(h => h.date === dateString) || null;
+}
+
+/**
+ * Find if today is a holiday at a restaurant
+ * @param {Array} holidayHours - clientDatabase holidayHours
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object|null} { name, date, hours }
+ */
+function findTodayHoliday(holidayHours, timeZone) {
+  return findHoliday(holidayHours, getTodayDateString(timeZone));
+}
+
+/**
+ * Get the hours that apply on the local date of a moment (holiday hours take priority)
+ * @param {Object} locationRecord - clientDatabase item (hours, holidayHours, timeZone)
+ * @param {Date} date - Moment whose local date is checked
+ * @returns {Object} { hours ("HH:MM-HH:MM" or null when closed), holiday (name or null), openTime, closeTime }
+ */
+function getHoursForDate(locationRecord, date) {
+  const local = getLocalDateTime(date, locationRecord?.timeZone);
+  const holiday = findHoliday(locationRecord?.holidayHours, local.dateString);
+  const hoursString = holiday ? holiday.hours : locationRecord?.hours?.[DAY_NAMES[local.dayIndex]];
+
+  const parsed = hoursString && hoursString.toUpperCase() !== 'CLOSED' ? parseHours(hoursString) : null;
+
+  return {
+    hours: parsed ? hoursString : null,
+    holiday: holiday ? holiday.name : null,
+    openTime: parsed ? parsed.openTime : null,
+    closeTime: parsed ? parsed.closeTime : null
+  };
+}
+
+/**
+ * Check whether a location is open at a moment
+ * @param {Object} locationRecord - clientDatabase item
+ * @param {Date} date - Moment to check
+ * @returns {boolean}
+ */
+function isOpenAt(locationRecord, date) {
+  const { hours, openTime, closeTime } = getHoursForDate(locationRecord, date);
+  if (!hours) return false;
+
+  const minutes = getLocalDateTime(date, locationRecord?.timeZone).minutes;
+  return minutes >= openTime && minutes < closeTime;
+}
+
+/**
+ * Convert a wall-clock time at a restaurant to a Date
+ * @param {string} timeZone - IANA time zone
+ * @param {Object} local - { year, month (0-11), day, minutes }
+ * @returns {Date}
+ */
+function zonedTimeToDate(timeZone, { year, month, day, minutes }) {
+  const asUtc = Date.UTC(year, month, day, Math.floor(minutes / 60), minutes % 60);
+
+  // The zone's offset at that moment, from how the same instant reads in the zone and in UTC
+  const guess = new Date(asUtc);
+  const offset = new Date(guess.toLocaleString('en-US', { timeZone: timeZone || DEFAULT_TIME_ZONE })) -
+    new Date(guess.toLocaleString('en-US', { timeZone: 'UTC' }));
+
+  return new Date(asUtc - offset);
+}
+
+// Helper function to read a 12-hour clock hour said without am/pm as a pickup-hours time: 11 and 12 are midday, 1-10 are PM
+function assumePickupHour(hour) {
+  return hour >= 11 ? hour : hour + 12;
+}
+
+// Helper function to read a clock time ("6:30 pm", "18:30", "noon") as minutes after midnight
+// "6:30" without am/pm is read as a pickup-hours time (see assumePickupHour); "06:30" is 24-hour
+function parseClockTime(text) {
+  if (/\bnoon\b/.test(text)) return 12 * 60;
+  if (/\bmidnight\b/.test(text)) return 0;
+
+  for (const match of text.matchAll(/\b(\d{1,2})(?::(\d{2}))?\s*(a\.?m\.?|p\.?m\.?)?(?=\s|$)/g)) {
+    let hour = Number(match[1]);
+    const minute = Number(match[2] || 0);
+    const period = match[3] ? match[3][0] : null;
+    if (!match[2] && !period) continue; // A bare number isn't a time
+    if (minute > 59 || hour > 23 || (period && (hour < 1 || hour > 12))) continue;
+
+    if (period === 'p' && hour < 12) hour += 12;
+    if (period === 'a' && hour === 12) hour = 0;
+    if (!period && hour >= 1 && hour <= 12 && !match[1].startsWith('0')) hour = assumePickupHour(hour);
+
+    return hour * 60 + minute;
+  }
+
+  return null;
+}
+
+// Helper function to normalize a spoken pickup time for matching, like tokenize in menuMatcher.js:
+// "a.m." and "p.m." become "am" and "pm", other punctuation (except the colon in "6:30") and filler words go
+function normalizePickupText(text) {
+  return text
+    .replace(/'/g, '')
+    .replace(/(?<![a-z])([ap])\.\s*m\b\.?/g, '$1m')
+    .replace(/[^a-z0-9:\s]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word && !FILLER_WORDS.has(word))
+    .join(' ');
+}
+
+/**
+ * Read a requested pickup time as the agent passes it along
+ * Accepts "ASAP", ISO 8601 times, "in 45 minutes", and clock times like "6:30 pm", "18:30" or
+ * "noon", optionally with "today", "tomorrow" or a weekday ("friday at 6"); punctuation and filler words are ignored
+ * @param {string} text - Requested time
+ * @param {string} [timeZone] - Restaurant time zone (clock times are local)
+ * @param {Date} [now] - Current time
+ * @returns {Date|string|null} A Date, 'asap', or null when it can't be read
+ */
+function parsePickupTime(text, timeZone, now = new Date()) {
+  const raw = String(text || '').trim().toLowerCase();
+
+  // Full timestamps from the agent ("2026-10-23T18:30:00-04:00")
+  if (/^\d{4}-\d{2}-\d{2}t/.test(raw)) {
+    const date = new Date(text);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  const value = normalizePickupText(raw);
+  if (!value) return null;
+
+  if (/^(asap|as soon as possible|now|right away|whenever)/.test(value)) {
+    return 'asap';
+  }
+
+  const relative = value.match(/^in\s+(an?|\d+)\s+(minute|min|hour|hr)s?\b/);
+  if (relative) {
+    const amount = /^an?$/.test(relative[1]) ? 1 : Number(relative[1]);
+    const minutes = relative[2].startsWith('h') ? amount * 60 : amount;
+    return new Date(now.getTime() + minutes * 60000);
+  }
+
+  // A bare hour after "at" ("friday at 6") is read as a pickup-hours time, like "6:30"
+  let minutes = parseClockTime(value);
+  const atHour = value.match(/\bat\s+(\d{1,2})$/);
+  if (minutes === null && atHour && Number(atHour[1]) >= 1 && Number(atHour[1]) <= 12) {
+    minutes = assumePickupHour(Number(atHour[1])) * 60;
+  }
+  if (minutes === null) return null;
+
+  const today = getLocalDateTime(now, timeZone);
+  const weekday = DAY_NAMES.findIndex(day => value.includes(day.toLowerCase()));
+  let daysAhead = 0;
+  if (/\btomorrow\b/.test(value)) {
+    daysAhead = 1;
+  } else if (weekday !== -1) {
+    daysAhead = (weekday - today.dayIndex + 7) % 7;
+  }
+
+  // Date.UTC rolls the day over month and year ends
+  const atDay = (days) => {
+    const target = new Date(Date.UTC(today.year, today.month, today.day + days));
+    return zonedTimeToDate(timeZone, {
+      year: target.getUTCFullYear(),
+      month: target.getUTCMonth(),
+      day: target.getUTCDate(),
+      minutes: minutes
+    });
+  };
+  const pickupAt = atDay(daysAhead);
+
+  // A time that has passed means its next occurrence: tomorrow for "6:30", next week for "monday at 11am"
+  // ("today at 11am" after 11 stays today, so the pickup check can say it's too late)
+  if (pickupAt < now && daysAhead === 0 && !/\btoday\b/.test(value)) {
+    return atDay(weekday !== -1 ? 7 : 1);
+  }
+
+  return pickupAt;
+}
+
+/**
+ * Format the time of day of a moment at a restaurant for speech
+ * @param {Date} date - Moment to format
+ * @param {string} [timeZone] - Restaurant time zone
+ * @returns {string} e.g. "6:45 PM"
+ */
+function formatLocalTimeForSpeech(date, timeZone) {
+  const { minutes } = getLocalDateTime(date, timeZone);
+  return formatTimeForSpeech(`${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, '0')}`);
+}
+
+// Helper function to name a local date relative to today ("today", "tomorrow", "Friday")
+function describeDay(local, today) {
+  const daysAhead = Math.round((Date.UTC(local.year, local.month, local.day) - Date.UTC(today.year, today.month, today.day)) / (24 * 60 * 60000));
+  return daysAhead === 0 ? 'today' : daysAhead === 1 ? 'tomorrow' : DAY_NAMES[local.dayIndex];
+}
+
+/**
+ * Format a pickup time for speech, relative to today at the restaurant
+ * @param {Date} date - Pickup time
+ * @param {string} [timeZone] - Restaurant time zone
+ * @param {Date} [now] - Current time
+ * @returns {string} e.g. "today at 6:30 PM", "tomorrow at 12:00 PM", "Friday at 6:00 PM"
+ */
+function formatPickupTimeForSpeech(date, timeZone, now = new Date()) {
+  const local = getLocalDateTime(date, timeZone);
+  const today = getLocalDateTime(now, timeZone);
+
+  return `${describeDay(local, today)} at ${formatLocalTimeForSpeech(date, timeZone)}`;
+}
+
+/**
+ * Check that a location can have an order ready at a requested pickup time
+ * @param {Object} locationRecord - clientDatabase item (hours, holidayHours, timeZone, prepTimeMinutes, maxScheduleDays)
+ * @param {Date} pickupAt - Requested pickup time
+ * @param {Object} [options] - { now, prepMinutes (overrides the location's prepTimeMinutes) }
+ * @returns {Object} { valid, reason (speakable, null when valid), earliest (Date when the request is too soon) }
+ */
+function checkPickupTime(locationRecord, pickupAt, options = {}) {
+  const now = options.now || new Date();
+  const timeZone = locationRecord?.timeZone;
+  const prepMinutes = options.prepMinutes ?? getPrepConfig(locationRecord).baseMinutes;
+  const maxDays = Number(locationRecord?.maxScheduleDays) || DEFAULT_MAX_SCHEDULE_DAYS;
+  const spoken = formatPickupTimeForSpeech(pickupAt, timeZone, now);
+  const invalid = (reason, earliest = null) => ({ valid: false, reason, earliest });
+
+  const earliest = new Date(now.getTime() + prepMinutes * 60000);
+  if (pickupAt < earliest) {
+    return invalid(
+      `We need about ${prepMinutes} minutes to get an order ready, so the earliest pickup is ${formatPickupTimeForSpeech(earliest, timeZone, now)}.`,
+      earliest
+    );
+  }
+
+  if (pickupAt - now > maxDays * 24 * 60 * 60000) {
+    return invalid(`We can only take orders up to ${maxDays} days ahead.`);
+  }
+
+  const { hours, holiday } = getHoursForDate(locationRecord, pickupAt);
+  if (!hours) {
+    const day = describeDay(getLocalDateTime(pickupAt, timeZone), getLocalDateTime(now, timeZone));
+    return invalid(`We're closed ${day}${holiday ? ` for ${holiday}` : ''}.`);
+  }
+
+  if (!isOpenAt(locationRecord, pickupAt)) {
+    return invalid(`We're not open ${spoken}. Hours that day are ${formatHoursForSpeech(hours)}.`);
+  }
+
+  return { valid: true, reason: null, earliest: null };
+}
+
+module.exports = {
+  DAY_NAMES,
+  DEFAULT_TIME_ZONE,
+  parseHours,
+  formatTimeForSpeech,
+  formatHoursForSpeech,
+  formatWeeklyHoursForSpeech,
+  getLocalDateTime,
+  getTodayDateString,
+  findHoliday,
+  findTodayHoliday,
+  getHoursForDate,
+  isOpenAt,
+  zonedTimeToDate,
+  parsePickupTime,
+  formatLocalTimeForSpeech,
+  formatPickupTimeForSpeech,
+  checkPickupTime
+};
@@ -0,0 +1,88 @@
+// Tests for cartPricing.js: subtotal, discount and tax math
+const test = require('node:test');
+const assert = require('node:assert');
+const { roundCurrency, calculateLineTotal, getTaxConfig, calculateCartTotals, buildSquareTax } = require('../cartPricing');
+
+test('roundCurrency and calculateLineTotal', async (t) => {
+  const cases = [
+    { name: 'rounds to cents', actual: () => roundCurrency(10.775), expected: 10.78 },
+    { name: 'treats a missing amount as zero', actual: () => roundCurrency(undefined), expected: 0 },
+    { name: 'plain line', actual: () => calculateLineTotal({ unitPrice: 4.99, quantity: 2 }), expected: 9.98 },
+    {
+      name: 'modifier prices count per unit',
+      actual: () => roundCurrency(calculateLineTotal({ unitPrice: 4.99, quantity: 2, modifiers: [{ price: 1 }, { price: 0 }] })),
+      expected: 11.98
+    }
+  ];
+
+  for (const { name, actual, expected } of cases) {
+    await t.test(name, () => {
+      assert.strictEqual(actual(), expected);
+    });
+  }
+});
+
+test('getTaxConfig', async (t) => {
+  const cases = [
+    { name: 'no tax rate', record: {}, expected: null },
+    { name: 'negative tax rate', record: { taxRate: -1 }, expected: null },
+    {
+      name: 'rate with exempt categories',
+      record: { taxRate: 0.06, taxExemptCategories: [' Grocery '] },
+      expected: { taxRate: 0.06, taxName: 'Sales Tax', exemptCategories: ['grocery'] }
+    }
+  ];
+
+  for (const { name, record, expected } of cases) {
+    await t.test(name, () => {
+      assert.deepStrictEqual(getTaxConfig(record), expected);
+    });
+  }
+});
+
+test('calculateCartTotals', async (t) => {
+  const taxConfig = getTaxConfig({ taxRate: 0.06, taxExemptCategories: ['grocery'] });
+  const cart = [
+    { lineTotal: 10 },
+    { lineTotal: 5, taxCategory: 'Grocery' }
+  ];
+
+  const cases = [
+    {
+      name: 'tax unknown',
+      args: [cart, null],
+      expected: { subtotal: 15, discount: 0, deliveryFee: 0, taxableSubtotal: 0, estimatedTax: null, total: null }
+    },
+    {
+      name: 'exempt lines are not taxed',
+      args: [cart, taxConfig],
+      expected: { subtotal: 15, discount: 0, deliveryFee: 0, taxableSubtotal: 10, estimatedTax: 0.6, total: 15.6 }
+    },
+    {
+      name: 'discount is spread across lines before tax',
+      args: [cart, taxConfig, 3],
+      expected: { subtotal: 15, discount: 3, deliveryFee: 0, taxableSubtotal: 8, estimatedTax: 0.48, total: 12.48 }
+    },
+    {
+      name: 'discount is capped at the subtotal',
+      args: [cart, taxConfig, 20],
+      expected: { subtotal: 15, discount: 15, deliveryFee: 0, taxableSubtotal: 0, estimatedTax: 0, total: 0 }
+    },
+    {
+      name: 'delivery fee is added after tax',
+      args: [cart, taxConfig, 0, 4.99],
+      expected: { subtotal: 15, discount: 0, deliveryFee: 4.99, taxableSubtotal: 10, estimatedTax: 0.6, total: 20.59 }
+    }
+  ];
+
+  for (const { name, args, expected } of cases) {
+    await t.test(name, () => {
+      assert.deepStrictEqual(calculateCartTotals(...args), expected);
+    });
+  }
+});
+
+test('buildSquareTax sends the rate as a percentage', () => {
+  assert.strictEqual(buildSquareTax(getTaxConfig({ taxRate: 0.08875 })).percentage, '8.875');
+  assert.strictEqual(buildSquareTax(null), null);
+});
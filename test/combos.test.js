@@ -0,0 +1,126 @@
+// Tests for combos.js: finding meal deals in a cart and folding them into combo lines
+const test = require('node:test');
+const assert = require('node:assert');
+const { findComboMatches, applyComboMatch, refreshComboLine, calculateComboSavings, describeComboItems } = require('../combos');
+
+const locationMenu = {
+  'Sandwich (1pc)': { price: 499, category: 'Sandwiches' },
+  'Regular Fries': { price: 349, category: 'Sides' },
+  'Mac & Cheese': { price: 499, category: 'Sides' },
+  'SODA': { price: 229, category: 'Drinks' },
+  combos: [
+    {
+      name: 'Sandwich Combo',
+      price: 899,
+      components: [{ match: 'Sandwich (1pc)' }, { match: 'Sides' }, { match: 'Drinks' }]
+    },
+    {
+      // Dearer than its parts, so never offered
+      name: 'Bad Deal',
+      price: 2000,
+      components: [{ match: 'Sandwich (1pc)' }, { match: 'Sides' }]
+    }
+  ]
+};
+
+// Helper function to build a session cart line
+function line(lineId, itemName, unitPrice, quantity = 1, modifiers = []) {
+  const modifierTotal = modifiers.reduce((sum, mod) => sum + mod.price, 0);
+  return { lineId, item_name: itemName, unitPrice, quantity, modifiers, lineTotal: (unitPrice + modifierTotal) * quantity };
+}
+
+// Helper function to hand out line IDs for combo lines
+function lineIds() {
+  let next = 0;
+  return () => `combo-${++next}`;
+}
+
+test('findComboMatches', async (t) => {
+  const cases = [
+    {
+      name: 'one of each part makes one combo',
+      cart: [line('a', 'Sandwich (1pc)', 4.99), line('b', 'Regular Fries', 3.49), line('c', 'SODA', 2.29)],
+      matches: [{ regularPrice: 10.77, comboPrice: 8.99, savings: 1.78 }]
+    },
+    {
+      name: 'two of each part make two combos',
+      cart: [line('a', 'Sandwich (1pc)', 4.99, 2), line('b', 'Regular Fries', 3.49, 2), line('c', 'SODA', 2.29, 2)],
+      matches: [{ regularPrice: 10.77, comboPrice: 8.99, savings: 1.78 }, { regularPrice: 10.77, comboPrice: 8.99, savings: 1.78 }]
+    },
+    {
+      name: 'a missing part makes no combo',
+      cart: [line('a', 'Sandwich (1pc)', 4.99), line('b', 'Regular Fries', 3.49)],
+      matches: []
+    },
+    {
+      name: 'combo lines are never re-combined',
+      cart: [{ ...line('a', 'Sandwich Combo', 8.99), comboItems: [] }, line('c', 'SODA', 2.29)],
+      matches: []
+    }
+  ];
+
+  for (const { name, cart, matches } of cases) {
+    await t.test(name, () => {
+      const result = findComboMatches(locationMenu, cart);
+      assert.deepStrictEqual(
+        result.map(({ regularPrice, comboPrice, savings }) => ({ regularPrice, comboPrice, savings })),
+        matches
+      );
+      result.forEach(match => assert.strictEqual(match.combo.name, 'Sandwich Combo'));
+    });
+  }
+});
+
+test('applyComboMatch reprices the cart', async (t) => {
+  await t.test('folds the parts into one combo line and keeps modifier prices', () => {
+    const cheese = { category: 'Add Ons', optionId: 'A1', optionName: 'Add cheese', price: 1 };
+    const cart = [line('a', 'Sandwich (1pc)', 4.99, 1, [cheese]), line('b', 'Regular Fries', 3.49), line('c', 'SODA', 2.29, 2)];
+    const [match] = findComboMatches(locationMenu, cart);
+
+    const comboLine = applyComboMatch(cart, match, lineIds());
+
+    assert.deepStrictEqual(cart.map(item => [item.item_name, item.quantity]), [['SODA', 1], ['Sandwich Combo', 1]]);
+    assert.strictEqual(cart[0].lineTotal, 2.29);
+    assert.strictEqual(comboLine.unitPrice, 8.99);
+    assert.strictEqual(comboLine.lineTotal, 9.99);
+    assert.strictEqual(comboLine.lineId, 'combo-1');
+    assert.deepStrictEqual(comboLine.comboItems.map(part => [part.lineId, part.sourceLineId]), [['combo-2', 'a'], ['combo-3', 'b'], ['combo-4', 'c']]);
+    assert.strictEqual(describeComboItems(comboLine), 'Sandwich (1pc) (Add cheese); Regular Fries; SODA');
+    assert.strictEqual(calculateComboSavings(cart), 1.78);
+  });
+
+  await t.test('an identical second combo increments the first', () => {
+    const cart = [line('a', 'Sandwich (1pc)', 4.99, 2), line('b', 'Regular Fries', 3.49, 2), line('c', 'SODA', 2.29, 2)];
+    const newLineId = lineIds();
+
+    findComboMatches(locationMenu, cart).forEach(match => applyComboMatch(cart, match, newLineId));
+
+    assert.strictEqual(cart.length, 1);
+    assert.strictEqual(cart[0].quantity, 2);
+    assert.strictEqual(cart[0].lineTotal, 17.98);
+    assert.strictEqual(calculateComboSavings(cart), 3.56);
+  });
+
+  await t.test('parts keep line IDs of their own when one line feeds two combos', () => {
+    const cart = [line('a', 'Sandwich (1pc)', 4.99, 2), line('b', 'Regular Fries', 3.49), line('c', 'Mac & Cheese', 4.99), line('d', 'SODA', 2.29, 2)];
+    const newLineId = lineIds();
+
+    findComboMatches(locationMenu, cart).forEach(match => applyComboMatch(cart, match, newLineId));
+
+    const partIds = cart.flatMap(item => item.comboItems.map(part => part.lineId));
+    assert.strictEqual(cart.length, 2);
+    assert.strictEqual(new Set(partIds).size, 6);
+  });
+});
+
+test('refreshComboLine reprices after a part changes', () => {
+  const cart = [line('a', 'Sandwich (1pc)', 4.99), line('b', 'Regular Fries', 3.49), line('c', 'SODA', 2.29)];
+  const [match] = findComboMatches(locationMenu, cart);
+  const comboLine = applyComboMatch(cart, match, lineIds());
+
+  comboLine.comboItems[0].modifiers.push({ category: 'Add Ons', optionId: 'A1', optionName: 'Add cheese', price: 1 });
+  refreshComboLine(comboLine);
+
+  assert.strictEqual(comboLine.lineTotal, 9.99);
+  assert.deepStrictEqual(comboLine.modifiers.map(mod => [mod.optionName, mod.componentName]), [['Add cheese', 'sandwich 1 piece']]);
+});
@@ -0,0 +1,63 @@
+// Tests for delivery.js: delivery zones, ZIP allowlists and minimums
+const test = require('node:test');
+const assert = require('node:assert');
+const { checkDeliveryAddress, checkDeliveryMinimum, normalizeZipCode, buildSquareDeliveryCharge } = require('../delivery');
+
+const locationRecord = {
+  delivery: {
+    latitude: 38.8816,
+    longitude: -77.0910,
+    zones: [
+      { name: 'Nearby', radiusMiles: 3, fee: 299 },
+      { name: 'Extended', polygon: [[38.92, -77.17], [38.95, -77.02], [38.83, -76.98], [38.80, -77.12]], fee: 599, minSubtotal: 3000 }
+    ],
+    zipCodes: ['22201', '22203'],
+    fee: 399,
+    minSubtotal: 1500
+  }
+};
+
+test('checkDeliveryAddress', async (t) => {
+  const cases = [
+    { name: 'inside the radius zone', address: { line1: '1 Main St', zipCode: '22201', latitude: 38.89, longitude: -77.09 }, valid: true, zone: 'Nearby', fee: 2.99, minSubtotal: 15 },
+    { name: 'inside the polygon zone', address: { line1: '9 Oak St', zipCode: '22203', latitude: 38.93, longitude: -77.06 }, valid: true, zone: 'Extended', fee: 5.99, minSubtotal: 30 },
+    { name: 'outside every zone', address: { line1: '5 Far Rd', zipCode: '22201', latitude: 39.2, longitude: -77.09 }, valid: false, reason: /outside our delivery area/ },
+    { name: 'ZIP not on the allowlist', address: { line1: '1 Main St', zipCode: '20001', latitude: 38.89, longitude: -77.09 }, valid: false, reason: /don't deliver to 20001/ },
+    { name: 'missing ZIP', address: { line1: '1 Main St', latitude: 38.89, longitude: -77.09 }, valid: false, reason: /ZIP code/ },
+    { name: 'not on the map', address: { line1: '1 Main St', zipCode: '22201' }, valid: false, reason: /couldn't find/ }
+  ];
+
+  for (const { name, address, valid, zone, fee, minSubtotal, reason } of cases) {
+    await t.test(name, () => {
+      const result = checkDeliveryAddress(locationRecord, address);
+      assert.strictEqual(result.valid, valid);
+      if (zone) assert.deepStrictEqual([result.zone, result.fee, result.minSubtotal], [zone, fee, minSubtotal]);
+      if (reason) assert.match(result.reason, reason);
+    });
+  }
+
+  await t.test('location without delivery', () => {
+    assert.strictEqual(checkDeliveryAddress({}, { line1: '1 Main St' }).valid, false);
+  });
+});
+
+test('checkDeliveryMinimum', async (t) => {
+  const cases = [
+    { subtotal: 20, valid: true, shortBy: 0 },
+    { subtotal: 15, valid: true, shortBy: 0 },
+    { subtotal: 12.51, valid: false, shortBy: 2.49 }
+  ];
+
+  for (const { subtotal, valid, shortBy } of cases) {
+    await t.test(`subtotal ${subtotal}`, () => {
+      const result = checkDeliveryMinimum({ minSubtotal: 15 }, subtotal);
+      assert.deepStrictEqual([result.valid, result.shortBy], [valid, shortBy]);
+    });
+  }
+});
+
+test('normalizeZipCode and buildSquareDeliveryCharge', () => {
+  assert.strictEqual(normalizeZipCode('22201-1234'), '22201');
+  assert.strictEqual(buildSquareDeliveryCharge(2.99).amountMoney.amount, 299n);
+  assert.strictEqual(buildSquareDeliveryCharge(0), null);
+});
@@ -0,0 +1,87 @@
+// Tests for menuComponents.js: per-piece modifiers on multi-piece items
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  getItemComponents,
+  findComponentModifier,
+  findComponentSpiceLevel,
+  getMenuSpiceLevels,
+  collectComponentModifierArgs,
+  collectSpiceLevelArgs,
+  describeComponent
+} = require('../menuComponents');
+
+const locationMenu = {
+  restaurantName: 'Red Bird',
+  'Sandwich (1pc)': {
+    modifiers: [
+      { category: 'Spice Level', options: [{ id: 'S1', name: 'Mild', price: 0 }, { id: 'S2', name: 'Hot', price: 0 }] },
+      { category: 'Add Ons', options: [{ id: 'A1', name: 'Add cheese', price: 100 }] }
+    ]
+  },
+  'Sandwich (2pc)': {
+    modifiers: [
+      { category: 'Choose Your First Sandwich Mods', options: [{ id: 'F1', name: 'Hot', price: 0 }, { id: 'F2', name: 'Add cheese 1', price: 100 }] },
+      { category: 'Choose Your Second Sandwich Mods', options: [{ id: 'G1', name: 'Mild', price: 0 }] }
+    ]
+  },
+  'Tender Meal': {
+    components: [{ name: 'tender', modifierCategories: ['Tender Spice Level'] }, { name: 'side', modifierCategories: ['Side'] }],
+    modifiers: [
+      { category: 'Tender Spice Level', options: [{ id: 'T1', name: 'Extra Hot', price: 0 }] },
+      { category: 'Side', options: [{ id: 'D1', name: 'Fries', price: 0 }] },
+      { category: 'Drink', options: [{ id: 'K1', name: 'Coke', price: 50 }] }
+    ]
+  }
+};
+
+test('getItemComponents', async (t) => {
+  const cases = [
+    { itemName: 'Sandwich (1pc)', names: [] },
+    { itemName: 'Sandwich (2pc)', names: ['first sandwich', 'second sandwich'] },
+    { itemName: 'Tender Meal', names: ['tender', 'side'] }
+  ];
+
+  for (const { itemName, names } of cases) {
+    await t.test(itemName, () => {
+      assert.deepStrictEqual(getItemComponents(locationMenu[itemName]).map(slot => slot.name), names);
+    });
+  }
+});
+
+test('findComponentModifier and findComponentSpiceLevel', async (t) => {
+  const cases = [
+    { name: 'single-piece item, piece 1', found: () => findComponentModifier(locationMenu['Sandwich (1pc)'], 1, 'Add cheese'), optionId: 'A1', price: 1 },
+    { name: 'single-piece item has no piece 2', found: () => findComponentModifier(locationMenu['Sandwich (1pc)'], 2, 'Add cheese'), optionId: null },
+    { name: 'legacy 2pc second sandwich', found: () => findComponentSpiceLevel(locationMenu['Sandwich (2pc)'], 2, 'mild'), optionId: 'G1', component: 2 },
+    { name: 'named piece', found: () => findComponentModifier(locationMenu['Tender Meal'], 'side', 'Fries'), optionId: 'D1', component: 2 },
+    { name: 'unclaimed category applies to the whole item', found: () => findComponentModifier(locationMenu['Tender Meal'], 1, 'Coke'), optionId: 'K1', component: undefined },
+    { name: 'spice level from another piece', found: () => findComponentSpiceLevel(locationMenu['Tender Meal'], 2, 'extra hot'), optionId: null }
+  ];
+
+  for (const testCase of cases) {
+    await t.test(testCase.name, () => {
+      const modifier = testCase.found();
+      assert.strictEqual(modifier?.optionId ?? null, testCase.optionId);
+      if ('price' in testCase) assert.strictEqual(modifier.price, testCase.price);
+      if ('component' in testCase) assert.strictEqual(modifier.component, testCase.component);
+    });
+  }
+});
+
+test('getMenuSpiceLevels lists only spice level categories', () => {
+  assert.deepStrictEqual(getMenuSpiceLevels(locationMenu), ['mild', 'hot', 'extra hot']);
+});
+
+test('collecting per-piece tool arguments', () => {
+  assert.deepStrictEqual(
+    collectComponentModifierArgs({ firstSandwichMods: ['Hot'], componentModifiers: [{ component: 'side', modifiers: ['Fries'] }] }),
+    [{ component: 1, modifiers: ['Hot'] }, { component: 'side', modifiers: ['Fries'] }]
+  );
+  assert.deepStrictEqual(
+    collectSpiceLevelArgs({ spiceLevels: ['Mild'], secondItemSpiceLevel: 'Hot' }),
+    [{ component: 1, spiceLevel: 'Mild' }, { component: 2, spiceLevel: 'Hot' }]
+  );
+  assert.strictEqual(describeComponent(locationMenu['Sandwich (2pc)'], 2), 'second sandwich');
+  assert.strictEqual(describeComponent(locationMenu['Sandwich (1pc)'], 1), 'item');
+});
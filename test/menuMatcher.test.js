@@ -0,0 +1,57 @@
+// Tests for menuMatcher.js: spoken item names -> clientMenu keys
+const test = require('node:test');
+const assert = require('node:assert');
+const { resolveMenuItem, itemMatchesSelector, speakItemName } = require('../menuMatcher');
+
+const locationMenu = {
+  restaurantName: 'Red Bird',
+  locationID: 'L1',
+  itemCount: 5,
+  'Sandwich (1pc)': { price: 499, category: 'Sandwiches', aliases: ['sando'] },
+  'Sandwich (2pc)': { price: 899, category: 'Sandwiches' },
+  'SODA': { price: 229, category: 'Drinks', tags: ['drink'], aliases: [{ name: 'coke', specialInstructions: 'Coke' }] },
+  'Regular Fries': { price: 349, category: 'Sides' },
+  'Mac & Cheese': { price: 499, category: 'Sides' }
+};
+
+test('resolveMenuItem', async (t) => {
+  const cases = [
+    { query: '2pc sando', status: 'matched', itemName: 'Sandwich (2pc)' },
+    { query: 'two piece sandwich', status: 'matched', itemName: 'Sandwich (2pc)' },
+    { query: 'sandwich', status: 'ambiguous', candidates: ['Sandwich (1pc)', 'Sandwich (2pc)'] },
+    { query: 'coke', status: 'matched', itemName: 'SODA', specialInstructions: 'Coke' },
+    { query: 'regular fry', status: 'matched', itemName: 'Regular Fries' },
+    { query: 'mac n cheese', status: 'matched', itemName: 'Mac & Cheese' },
+    { query: 'pizza', status: 'not_found' },
+    { query: 'restaurantName', status: 'not_found' }
+  ];
+
+  for (const { query, status, itemName, candidates, specialInstructions } of cases) {
+    await t.test(query, () => {
+      const result = resolveMenuItem(locationMenu, query);
+      assert.strictEqual(result.status, status);
+      if (itemName) assert.strictEqual(result.itemName, itemName);
+      if (candidates) assert.deepStrictEqual(result.candidates.map(candidate => candidate.itemName).sort(), candidates);
+      if (specialInstructions) assert.strictEqual(result.alias.specialInstructions, specialInstructions);
+    });
+  }
+});
+
+test('itemMatchesSelector', async (t) => {
+  const cases = [
+    { itemName: 'Sandwich (1pc)', selector: 'Sandwich (1pc)', expected: true },
+    { itemName: 'Regular Fries', selector: 'Sides', expected: true },
+    { itemName: 'SODA', selector: 'drink', expected: true },
+    { itemName: 'SODA', selector: 'Sides', expected: false }
+  ];
+
+  for (const { itemName, selector, expected } of cases) {
+    await t.test(`${itemName} / ${selector}`, () => {
+      assert.strictEqual(itemMatchesSelector(itemName, locationMenu[itemName], selector), expected);
+    });
+  }
+});
+
+test('speakItemName reads piece counts', () => {
+  assert.strictEqual(speakItemName('Sandwich (2pc)'), 'Sandwich 2 piece');
+});
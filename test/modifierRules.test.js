@@ -0,0 +1,59 @@
+// Tests for modifierRules.js: min/max selection rules on cart lines
+const test = require('node:test');
+const assert = require('node:assert');
+const { checkLineModifiers, checkCartModifiers, describeModifierViolations } = require('../modifierRules');
+
+const locationMenu = {
+  'Sandwich (1pc)': {
+    modifiers: [
+      { category: 'Spice Level', options: [{ id: 'S1', name: 'Mild' }, { id: 'S2', name: 'Hot' }] },
+      { category: 'Choose Your Sauce', minSelections: 0, maxSelections: 2, options: [{ id: 'B1', name: 'Ranch' }, { id: 'B2', name: 'Honey' }, { id: 'B3', name: 'Buffalo' }] }
+    ]
+  },
+  'Regular Fries': {}
+};
+
+// Helper function to build a selected cart modifier
+function mod(category, optionName) {
+  return { category, optionName };
+}
+
+test('checkLineModifiers', async (t) => {
+  const menuItem = locationMenu['Sandwich (1pc)'];
+  const cases = [
+    { name: 'spice level is required by default', modifiers: [], issues: [['Spice Level', 'missing']] },
+    { name: 'complete line', modifiers: [mod('Spice Level', 'Hot'), mod('Choose Your Sauce', 'Ranch')], issues: [] },
+    { name: 'only one spice level', modifiers: [mod('Spice Level', 'Hot'), mod('Spice Level', 'Mild')], issues: [['Spice Level', 'too_many']] },
+    {
+      name: 'category maximum',
+      modifiers: [mod('Spice Level', 'Hot'), mod('Choose Your Sauce', 'Ranch'), mod('Choose Your Sauce', 'Honey'), mod('Choose Your Sauce', 'Buffalo')],
+      issues: [['Choose Your Sauce', 'too_many']]
+    }
+  ];
+
+  for (const { name, modifiers, issues } of cases) {
+    await t.test(name, () => {
+      const violations = checkLineModifiers(menuItem, { modifiers });
+      assert.deepStrictEqual(violations.map(violation => [violation.category, violation.issue]), issues);
+    });
+  }
+});
+
+test('checkCartModifiers reports combo parts by their own line ID', () => {
+  const cart = [
+    { lineId: 'a', item_name: 'Regular Fries', modifiers: [] },
+    { lineId: 'b', item_name: 'Gone From Menu', modifiers: [] },
+    {
+      lineId: 'c',
+      item_name: 'Sandwich Combo',
+      comboItems: [{ lineId: 'p1', item_name: 'Sandwich (1pc)', modifiers: [] }, { lineId: 'p2', item_name: 'Regular Fries', modifiers: [] }]
+    }
+  ];
+
+  const incomplete = checkCartModifiers(locationMenu, cart);
+  assert.deepStrictEqual(incomplete.map(line => [line.lineId, line.itemName]), [['p1', 'Sandwich (1pc)']]);
+  assert.strictEqual(
+    describeModifierViolations('Sandwich (1pc)', incomplete[0].violations),
+    'The Sandwich 1 piece still needs a spice level: Mild or Hot.'
+  );
+});
@@ -0,0 +1,63 @@
+// Tests for prepTime.js: prep time estimates and the recent-order load factor
+const test = require('node:test');
+const assert = require('node:assert');
+const { estimatePrepTime, countRecentOrders, RECENT_ORDERS_INDEX } = require('../prepTime');
+
+const locationMenu = {
+  'Sandwich (1pc)': { prepMinutes: 4 },
+  'Regular Fries': {}
+};
+
+test('estimatePrepTime', async (t) => {
+  const cart = [
+    { item_name: 'Sandwich (1pc)', quantity: 2 },
+    { item_name: 'Regular Fries', quantity: 1 }
+  ];
+  const combo = [{
+    item_name: 'Sandwich Combo',
+    quantity: 1,
+    comboItems: [{ item_name: 'Sandwich (1pc)' }, { item_name: 'Regular Fries' }]
+  }];
+
+  const cases = [
+    { name: 'defaults', args: [cart, locationMenu, {}], minutes: 25, itemMinutes: 9 },
+    { name: 'location settings', args: [cart, locationMenu, { prepTimeMinutes: 10, itemPrepMinutes: 2 }], minutes: 20, itemMinutes: 10 },
+    { name: 'load factor', args: [cart, locationMenu, { prepMinutesPerRecentOrder: 3 }, { recentOrders: 4 }], minutes: 40, itemMinutes: 9 },
+    { name: 'combo parts', args: [combo, locationMenu, {}], minutes: 20, itemMinutes: 5 },
+    { name: 'empty cart', args: [[], null, {}], minutes: 15, itemMinutes: 0 }
+  ];
+
+  for (const { name, args, minutes, itemMinutes } of cases) {
+    await t.test(name, () => {
+      const result = estimatePrepTime(...args);
+      assert.deepStrictEqual([result.minutes, result.itemMinutes], [minutes, itemMinutes]);
+    });
+  }
+});
+
+test('countRecentOrders', async (t) => {
+  // Helper function to fake a DocumentClient that returns one page per query call
+  function fakeDynamodb(pages) {
+    const queries = [];
+    return {
+      queries,
+      query: params => {
+        queries.push(params);
+        return { promise: async () => pages[queries.length - 1] };
+      }
+    };
+  }
+
+  await t.test('is off without a load factor', async () => {
+    const dynamodb = fakeDynamodb([]);
+    assert.strictEqual(await countRecentOrders(dynamodb, 'session-carts', 'L1', {}), 0);
+    assert.strictEqual(dynamodb.queries.length, 0);
+  });
+
+  await t.test('counts every page of the index', async () => {
+    const dynamodb = fakeDynamodb([{ Count: 3, LastEvaluatedKey: { call_id: 'x' } }, { Count: 2 }]);
+    assert.strictEqual(await countRecentOrders(dynamodb, 'session-carts', 'L1', { prepMinutesPerRecentOrder: 2 }), 5);
+    assert.strictEqual(dynamodb.queries[0].IndexName, RECENT_ORDERS_INDEX);
+    assert.strictEqual(dynamodb.queries[0].Select, 'COUNT');
+  });
+});
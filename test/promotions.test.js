@@ -0,0 +1,71 @@
+// Tests for promotions.js: promo code matching, eligibility and discounts
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizePromoCode, findPromotion, getPromotions, checkPromotion } = require('../promotions');
+
+const NOW = new Date('2026-10-19T16:00:00Z');
+
+const locationRecord = {
+  promotions: [
+    { code: 'SAVE10', type: 'percent', value: 10, minSubtotal: 1500 },
+    { code: 'FIVEOFF', type: 'fixed', value: 500, maxUses: 2 },
+    { code: 'BOGOSANDO', type: 'bogo', items: ['Sandwich (1pc)'] },
+    { code: 'FALL', type: 'percent', value: 15, startsAt: '2026-11-01T00:00:00Z' },
+    { code: 'SUMMER', type: 'percent', value: 15, expiresAt: '2026-09-01T00:00:00Z' },
+    { code: 'PAUSED', type: 'fixed', value: 100, active: false },
+    { code: 'BROKEN', type: 'mystery', value: 100 }
+  ]
+};
+
+// Helper function to build a session cart line
+function line(itemName, unitPrice, quantity = 1) {
+  return { item_name: itemName, unitPrice, quantity, lineTotal: unitPrice * quantity };
+}
+
+test('normalizePromoCode and findPromotion', async (t) => {
+  const cases = [
+    { spoken: 'SAVE10', code: 'SAVE10' },
+    { spoken: 'save-10', code: 'SAVE10' },
+    { spoken: 'save ten', code: 'SAVE10' },
+    { spoken: 'five off', code: 'FIVEOFF' },
+    { spoken: 'broken', code: null },
+    { spoken: '', code: null }
+  ];
+
+  for (const { spoken, code } of cases) {
+    await t.test(spoken || '(empty)', () => {
+      assert.strictEqual(findPromotion(locationRecord, spoken)?.code ?? null, code);
+    });
+  }
+
+  assert.strictEqual(normalizePromoCode('save twenty five', { numberWords: true }), 'SAVE25');
+});
+
+test('checkPromotion', async (t) => {
+  const promotions = Object.fromEntries(getPromotions(locationRecord).map(promotion => [promotion.code, promotion]));
+  const bigCart = [line('Sandwich (1pc)', 4.99, 2), line('Regular Fries', 3.49, 2)];
+  const smallCart = [line('Regular Fries', 3.49)];
+
+  const cases = [
+    { name: 'percent off', code: 'SAVE10', cart: bigCart, valid: true, discount: 1.70 },
+    { name: 'below minimum subtotal', code: 'SAVE10', cart: smallCart, valid: false, reason: /at least \$15\.00/ },
+    { name: 'fixed amount', code: 'FIVEOFF', cart: bigCart, valid: true, discount: 5 },
+    { name: 'fixed amount capped at subtotal', code: 'FIVEOFF', cart: smallCart, valid: true, discount: 3.49 },
+    { name: 'usage limit reached', code: 'FIVEOFF', cart: bigCart, usageCount: 2, valid: false, reason: /usage limit/ },
+    { name: 'bogo frees the second unit', code: 'BOGOSANDO', cart: bigCart, valid: true, discount: 4.99 },
+    { name: 'bogo needs two units', code: 'BOGOSANDO', cart: [line('Sandwich (1pc)', 4.99)], valid: false, reason: /needs two/ },
+    { name: 'not started', code: 'FALL', cart: bigCart, valid: false, reason: /hasn't started/ },
+    { name: 'expired', code: 'SUMMER', cart: bigCart, valid: false, reason: /expired/ },
+    { name: 'inactive', code: 'PAUSED', cart: bigCart, valid: false, reason: /isn't active/ },
+    { name: 'empty cart', code: 'FIVEOFF', cart: [], valid: false, reason: /Add something/ }
+  ];
+
+  for (const { name, code, cart, usageCount, valid, discount, reason } of cases) {
+    await t.test(name, () => {
+      const result = checkPromotion(promotions[code], cart, { usageCount, now: NOW });
+      assert.strictEqual(result.valid, valid);
+      if (discount !== undefined) assert.strictEqual(result.discount, discount);
+      if (reason) assert.match(result.reason, reason);
+    });
+  }
+});
@@ -0,0 +1,81 @@
+// Tests for storeHours.js: pickup-time parsing and open hours
+const test = require('node:test');
+const assert = require('node:assert');
+const { parsePickupTime, isOpenAt, checkPickupTime } = require('../storeHours');
+
+const TIME_ZONE = 'America/New_York';
+
+// Monday, October 19 2026, 12:00 PM in New York
+const NOW = new Date('2026-10-19T16:00:00Z');
+
+const locationRecord = {
+  timeZone: TIME_ZONE,
+  prepTimeMinutes: 20,
+  hours: {
+    Sunday: 'closed', Monday: '11:00-21:00', Tuesday: '11:00-21:00', Wednesday: '11:00-21:00',
+    Thursday: '11:00-21:00', Friday: '11:00-22:00', Saturday: '11:00-22:00'
+  }
+};
+
+test('parsePickupTime', async (t) => {
+  const cases = [
+    { text: 'ASAP', expected: 'asap' },
+    { text: 'in 45 minutes', expected: '2026-10-19T16:45:00.000Z' },
+    { text: '6:30 pm', expected: '2026-10-19T22:30:00.000Z' },
+    { text: '18:30', expected: '2026-10-19T22:30:00.000Z' },
+    // No am/pm: an order for 6:30 means the evening
+    { text: 'at 6:30', expected: '2026-10-19T22:30:00.000Z' },
+    // A time already past today rolls to tomorrow
+    { text: '10 am', expected: '2026-10-20T14:00:00.000Z' },
+    { text: 'tomorrow at 6', expected: '2026-10-20T22:00:00.000Z' },
+    { text: 'friday at 6', expected: '2026-10-23T22:00:00.000Z' },
+    // Punctuation and filler words around the time are ignored
+    { text: 'at 6:30, please', expected: '2026-10-19T22:30:00.000Z' },
+    { text: 'Um, around 6:30 p.m.?', expected: '2026-10-19T22:30:00.000Z' },
+    { text: '6p.m.', expected: '2026-10-19T22:00:00.000Z' },
+    { text: "tomorrow at 6 o'clock", expected: '2026-10-20T22:00:00.000Z' },
+    { text: 'in about 20 minutes', expected: '2026-10-19T16:20:00.000Z' },
+    { text: 'ASAP, please!', expected: 'asap' },
+    { text: '2026-10-23T18:30:00-04:00', expected: '2026-10-23T22:30:00.000Z' },
+    { text: 'gibberish', expected: null },
+    { text: '', expected: null }
+  ];
+
+  for (const { text, expected } of cases) {
+    await t.test(text || '(empty)', () => {
+      const result = parsePickupTime(text, TIME_ZONE, NOW);
+      assert.strictEqual(result instanceof Date ? result.toISOString() : result, expected);
+    });
+  }
+});
+
+test('isOpenAt', async (t) => {
+  const cases = [
+    { at: '2026-10-19T16:00:00Z', expected: true },
+    { at: '2026-10-19T14:00:00Z', expected: false },
+    { at: '2026-10-20T00:30:00Z', expected: true },
+    { at: '2026-10-18T18:00:00Z', expected: false }
+  ];
+
+  for (const { at, expected } of cases) {
+    await t.test(at, () => {
+      assert.strictEqual(isOpenAt(locationRecord, new Date(at)), expected);
+    });
+  }
+});
+
+test('checkPickupTime', async (t) => {
+  await t.test('accepts a time after prep while open', () => {
+    assert.strictEqual(checkPickupTime(locationRecord, new Date('2026-10-19T22:30:00Z'), { now: NOW }).valid, true);
+  });
+
+  await t.test('rejects a time sooner than prep allows', () => {
+    const result = checkPickupTime(locationRecord, new Date('2026-10-19T16:05:00Z'), { now: NOW });
+    assert.strictEqual(result.valid, false);
+    assert.ok(result.earliest instanceof Date);
+  });
+
+  await t.test('rejects a time when the store is closed', () => {
+    assert.strictEqual(checkPickupTime(locationRecord, new Date('2026-10-20T02:30:00Z'), { now: NOW }).valid, false);
+  });
+});
@@ -0,0 +1,229 @@
+/**
+ * Upsell Engine
+ * Picks add-on suggestions for a cart from rules stored on the location's clientMenu record
+ *
+ * Configuration (clientMenu "upsell" attribute):
+ *   {
+ *     "maxSuggestions": 3,
+ *     "maxPrice": 600,                       // cents; never suggest anything pricier
+ *     "rules": [
+ *       { "name": "drink with entree", "whenCartHas": ["entree"], "unlessCartHas": ["drink"], "suggest": ["drink"], "priority": 2 }
+ *     ],
+ *     "pairings": { "Sandwich (1pc)": { "Regular Fries": 0.9, "SODA": 0.6 } }
+ *   }
+ *
+ * Rule selectors match a menu item by name, by one of its `tags`, or by its `category`.
+ * Suggestions are ranked by rule priority plus the best pairing score with what's
+ * already in the cart. Without rules, pairings alone drive suggestions.
+ *
+ * Suggestions made during a call are kept on the session-carts record
+ * (upsell_suggestions) and marked accepted when the item is later added,
+ * so post-call analytics count conversions from real cart events.
+ */
+
+const { getMenuItemEntries, itemMatchesSelector, speakItemName } = require('./menuMatcher');
+
+const DEFAULT_MAX_SUGGESTIONS = 3;
+
+// Helper function to look up a pairing score in either direction
+function getPairingScore(pairings, itemA, itemB) {
+  return Number(pairings?.[itemA]?.[itemB] ?? pairings?.[itemB]?.[itemA] ?? 0) || 0;
+}
+
+/**
+ * Read the upsell configuration from a clientMenu record
+ * @param {Object} locationMenu - clientMenu record
+ * @returns {Object} { maxSuggestions, maxPrice, rules, pairings }
+ */
+function getUpsellConfig(locationMenu) {
+  const config = locationMenu?.upsell || {};
+
+  return {
+    maxSuggestions: Number.isInteger(config.maxSuggestions) && config.maxSuggestions > 0
+      ? config.maxSuggestions
+      : DEFAULT_MAX_SUGGESTIONS,
+    maxPrice: Number.isFinite(config.maxPrice) ? config.maxPrice : null,
+    rules: Array.isArray(config.rules) ? config.rules : [],
+    pairings: config.pairings || {}
+  };
+}
+
+/**
+ * Pick upsell suggestions for a cart
+ * @param {Object} locationMenu - clientMenu record (items plus "upsell" configuration)
+ * @param {Array} sessionCart - Session cart lines
+ * @param {Object} [options] - { exclude: item names never to suggest (e.g. already offered or sold out) }
+ * @returns {Array<{itemName: string, price: number, reason: string, score: number}>} Ranked suggestions (price in dollars)
+ */
+function getUpsellSuggestions(locationMenu, sessionCart, options = {}) {
+  const config = getUpsellConfig(locationMenu);
+  const entries = getMenuItemEntries(locationMenu);
+  const exclude = new Set(options.exclude || []);
+
+  // Combo lines count as their parts (a combo's fries are still fries)
+  const cartItemNames = [...new Set((sessionCart || []).flatMap(item =>
+    item.comboItems ? item.comboItems.map(part => part.item_name) : [item.item_name || item.name]
+  ))];
+  const cartEntries = entries.filter(([itemName]) => cartItemNames.includes(itemName));
+  const cartHas = selector => cartEntries.some(([itemName, menuItem]) => itemMatchesSelector(itemName, menuItem, selector));
+
+  // Helper function to check an item can be offered at all
+  const isEligible = (itemName, menuItem) =>
+    !cartItemNames.includes(itemName) &&
+    !exclude.has(itemName) &&
+    (config.maxPrice === null || (menuItem.price || 0) <= config.maxPrice);
+
+  // Best pairing score between a candidate and anything in the cart
+  const pairingWith = itemName => cartItemNames.reduce((best, cartItemName) => {
+    const score = getPairingScore(config.pairings, cartItemName, itemName);
+    return score > best.score ? { score, cartItemName } : best;
+  }, { score: 0, cartItemName: null });
+
+  const candidates = new Map();
+  const consider = (itemName, menuItem, score, reason) => {
+    const existing = candidates.get(itemName);
+    if (!existing || score > existing.score) {
+      candidates.set(itemName, { itemName, price: (menuItem.price || 0) / 100, reason, score: Number(score.toFixed(2)) });
+    }
+  };
+
+  for (const rule of config.rules) {
+    const whenCartHas = rule.whenCartHas || [];
+    const unlessCartHas = rule.unlessCartHas || [];
+
+    if (!whenCartHas.every(cartHas) || unlessCartHas.some(cartHas)) {
+      continue;
+    }
+
+    for (const [itemName, menuItem] of entries) {
+      if (!isEligible(itemName, menuItem)) continue;
+      if (!(rule.suggest || []).some(selector => itemMatchesSelector(itemName, menuItem, selector))) continue;
+
+      const priority = Number.isFinite(rule.priority) ? rule.priority : 1;
+      consider(itemName, menuItem, priority + pairingWith(itemName).score, rule.name || 'rule');
+    }
+  }
+
+  // Pairings alone can also surface items ("goes great with your sandwich")
+  for (const [itemName, menuItem] of entries) {
+    if (!isEligible(itemName, menuItem)) continue;
+
+    const pairing = pairingWith(itemName);
+    if (pairing.score > 0) {
+      consider(itemName, menuItem, pairing.score, `pairs with ${pairing.cartItemName}`);
+    }
+  }
+
+  return [...candidates.values()]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, config.maxSuggestions);
+}
+
+/**
+ * Build the sentence the agent reads for a set of suggestions
+ * @param {Array<{itemName: string}>} suggestions - Result of getUpsellSuggestions
+ * @param {Object} locationMenu - clientMenu record (for item spokenName)
+ * @returns {string} e.g. "Before I confirm, would you like to add Regular Fries, Mac & Cheese, or SODA?" ("" when nothing to suggest)
+ */
+function formatUpsellMessage(suggestions, locationMenu) {
+  const names = (suggestions || []).map(suggestion =>
+    locationMenu?.[suggestion.itemName]?.spokenName || speakItemName(suggestion.itemName)
+  );
+
+  if (names.length === 0) return '';
+  if (names.length === 1) return `Before I confirm, would you like to add ${names[0]}?`;
+  if (names.length === 2) return `Before I confirm, would you like to add ${names[0]} or ${names[1]}?`;
+  return `Before I confirm, would you like to add ${names.slice(0, -1).join(', ')}, or ${names[names.length - 1]}?`;
+}
+
+/**
+ * Record suggestions on a session record (mutates session.upsell_suggestions)
+ * Re-suggesting an item that is still open only bumps its count
+ * @param {Object} session - session-carts record
+ * @param {Array<{itemName: string, reason: string}>} suggestions - Result of getUpsellSuggestions
+ */
+function recordUpsellSuggestions(session, suggestions) {
+  const tracked = session.upsell_suggestions || [];
+  const now = new Date().toISOString();
+
+  for (const suggestion of suggestions || []) {
+    const open = tracked.find(entry => entry.itemName === suggestion.itemName && !entry.accepted);
+    if (open) {
+      open.timesSuggested = (open.timesSuggested || 1) + 1;
+      open.lastSuggestedAt = now;
+    } else {
+      tracked.push({
+        itemName: suggestion.itemName,
+        reason: suggestion.reason,
+        suggestedAt: now,
+        lastSuggestedAt: now,
+        timesSuggested: 1,
+        accepted: false
+      });
+    }
+  }
+
+  session.upsell_suggestions = tracked;
+}
+
+/**
+ * Mark an open suggestion as accepted when its item is added to the cart (mutates the session)
+ * @param {Object} session - session-carts record
+ * @param {Object} accepted - { itemName, lineId, quantity, revenue (dollars) }
+ * @returns {Object|null} The accepted suggestion, or null if the item wasn't suggested
+ */
+function markUpsellAccepted(session, { itemName, lineId, quantity, revenue }) {
+  const suggestion = (session.upsell_suggestions || []).find(entry => entry.itemName === itemName && !entry.accepted);
+  if (!suggestion) return null;
+
+  suggestion.accepted = true;
+  suggestion.acceptedAt = new Date().toISOString();
+  suggestion.lineId = lineId;
+  suggestion.quantity = quantity;
+  suggestion.revenue = Math.round((revenue || 0) * 100) / 100;
+
+  return suggestion;
+}
+
+/**
+ * Summarize a call's upsell outcome from its session record
+ * Accepted items only count while their cart line is still in the cart
+ * @param {Object} session - session-carts record
+ * @returns {Object} { suggested, accepted, acceptedItems: [{ name, quantity, revenue }] }
+ */
+function summarizeUpsellOutcome(session) {
+  const tracked = session?.upsell_suggestions || [];
+  const cart = session?.cart_items || [];
+
+  const acceptedItems = tracked
+    .filter(entry => entry.accepted)
+    .map(entry => {
+      // The accepted line may since have been folded into a combo
+      const remaining = cart.reduce((sum, item) => {
+        if (item.lineId === entry.lineId) return sum + (item.quantity || 0);
+        const parts = (item.comboItems || []).filter(part => (part.sourceLineId || part.lineId) === entry.lineId).length;
+        return sum + parts * (item.quantity || 0);
+      }, 0);
+      if (remaining === 0) return null;
+
+      const quantity = Math.min(entry.quantity || 1, remaining);
+      const unitRevenue = (entry.revenue || 0) / (entry.quantity || 1);
+      return { name: entry.itemName, quantity, revenue: Math.round(unitRevenue * quantity * 100) / 100 };
+    })
+    .filter(item => item && item.quantity > 0);
+
+  return {
+    suggested: tracked.length,
+    accepted: acceptedItems.length,
+    acceptedItems
+  };
+}
+
+module.exports = {
+  getUpsellConfig,
+  getUpsellSuggestions,
+  formatUpsellMessage,
+  recordUpsellSuggestions,
+  markUpsellAccepted,
+  summarizeUpsellOutcome
+};